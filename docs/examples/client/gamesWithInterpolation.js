@@ -37,21 +37,18 @@ createForm.querySelector('button').classList.remove('hidden');
 let room = null;
 
 /*
-  This constant will store the game World state and the last World state
-  to interpolate the player positions between each patch from the server.
-  The delay is the same as the server's patch rate to have a smooth rendering.
+  The snapshot buffer will store the World states received from the server (timestamped on reception)
+  to interpolate the player positions between them. The rendering is a little in the past (the delay)
+  so that there is always a World state before and after the rendered time, even if a patch is late.
+  The delay should be greater than the server's patch interval, twice the interval is a good start.
 
   You are not forced to interpolate, you can just draw the player positions
   But if you do not, you should patch the world at a high rate (for example 60 per second)
   to have a smooth rendering (see the server code for more details)
   In this example we patch the world at 60 patch per second (see the server code for more details)
 */
-const game = {
-  prevWorld: null,
-  curWorld: null,
-  lastUpdateTime: 0,
-  delay: 1000/60  // [ms], must be the same as server's patch rate
-};
+let snapshots = null;
+const interpolationDelay = 2 * 1000/60; // [ms], twice the server's patch interval
 
 /*
   The following is nearly the same as the rooms example
@@ -105,6 +102,8 @@ document.addEventListener('keyup', e => {
 leaveBtn.addEventListener('click', async () => {
   room.leave();
   room = null;
+  snapshots.dispose();
+  snapshots = null;
 
   // Clear the canvas responsively
   canvas.width = canvas.clientWidth;
@@ -142,7 +141,8 @@ function showRoom(theRoom) {
   roomDom.classList.remove('hidden');
   lobbyDom.classList.add('hidden');
   // The server will send the world state at the patch rate (see the server code for more details)
-  room.onMessage(updateWorld);
+  // and the snapshot buffer will store each of them
+  snapshots = room.createSnapshotBuffer({ delay: interpolationDelay });
   // The server will send the client list when a user is joining or leaving the room (or is disconnected)
   room.onClients(onClients);
 }
@@ -155,55 +155,28 @@ function onClients(users) {
   }
 }
 
-/*
-  We store two world states to interpolate the player positions between each patch from the server.
-  This way we can store the previous world state and the current world state without any reference between them.
-  We store the timestamp of the current world state to calculate the delta time between each tick.
-*/
-function updateWorld(world) {
-  game.prevWorld = game.curWorld;
-  game.curWorld = world;
-  game.lastUpdateTime = performance.now();
-}
-
 /*
   We use a simple linear interpolation to smooth the player positions
+  The snapshot buffer gives us the two World states around the rendered time
+  and the progress between them (greater than 1 if the next World state is late)
 */
 function lerp(start, end, t) {
   return start + (end - start) * t;
 }
 
-/*
-  Clamp a value between a min and a max
-  We need to normalize the interpolation progress between 0 and 1
-*/
-function clamp(val, min = 0, max = 1) {
-  return Math.min(max, Math.max(min, val));
-}
-
 /*
   This returns the interpolated world state.
-  If there is no previous world state, we return the current world state.
-  (Nothing to interpolate at the first frame)
+  (SnapshotBuffer.lerp interpolates all the numbers of the states if you do not give a function)
 */
 function getInterpolatedWorld() {
-  if (!game.prevWorld) return game.curWorld;
-
-  // We calculate the progress (between 0 and 1) of the interpolation
-  const now = performance.now();
-  const dt = now - game.lastUpdateTime;
-  const progress = clamp(dt / game.delay);
-
-  return {
-    ...game.curWorld,
+  return snapshots.getInterpolatedState(performance.now(), (prevWorld, curWorld, progress) => ({
+    ...curWorld,
     // On this small example we only interpolate the player positions
-    players: game.curWorld.players.map((_, ind) => getInterpolatedPlayer(ind, progress)),
-  };
+    players: curWorld.players.map((player, ind) => getInterpolatedPlayer(prevWorld.players[ind] ?? player, player, progress)),
+  }));
 }
 
-function getInterpolatedPlayer(ind, progress) {
-  const player = game.curWorld.players[ind];
-  const prevPlayer = game.prevWorld.players[ind];
+function getInterpolatedPlayer(prevPlayer, player, progress) {
   return {
     ...player,
     // Only position is interpolated,
@@ -252,13 +225,14 @@ function drawPlayer(player) {
 */
 function draw() {
   requestAnimationFrame(draw);
-  if (!game?.curWorld) return;
+  const world = snapshots ? getInterpolatedWorld() : null;
+  if (!world) return;
 
   // Clear the canvas, this is better than clearRect because it is responsive
   canvas.width = canvas.clientWidth;
   canvas.height = canvas.clientHeight;
 
-  for (const player of getInterpolatedWorld().players) {
+  for (const player of world.players) {
     drawPlayer(player);
   }
 }
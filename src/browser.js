@@ -1,8 +1,12 @@
-// Browser-only exports
+// Client exports (browsers, Node.js and other runtimes)
 import WSClient from "./websocket/WSClient.js";
 import WSClientRoom from "./websocket/WSClientRoom.js";
+import SnapshotBuffer from "./websocket/SnapshotBuffer.js";
+import Predictor from "./websocket/Predictor.js";
 
 export {
   WSClient,
   WSClientRoom,
+  SnapshotBuffer,
+  Predictor,
 };
@@ -1,20 +1,28 @@
 import WSClient from "./websocket/WSClient.js";
 import WSClientRoom from "./websocket/WSClientRoom.js";
+import SnapshotBuffer from "./websocket/SnapshotBuffer.js";
+import Predictor from "./websocket/Predictor.js";
 
 import WSServerError from "./websocket/WSServerError.mjs";
 
 import WSServerPubSub from "./websocket/WSServerPubSub.mjs";
 import WSServerRoomManager from "./websocket/WSServerRoomManager.mjs";
+import WSServerMatchmaker from "./websocket/WSServerMatchmaker.mjs";
 
 import WSServerRoom from "./websocket/WSServerRoom.mjs";
 import WSServerGameRoom from "./websocket/WSServerGameRoom.mjs";
+import WSServerReplay from "./websocket/WSServerReplay.mjs";
 
 export {
   WSClient,
   WSClientRoom,
+  SnapshotBuffer,
+  Predictor,
   WSServerError,
   WSServerPubSub,
   WSServerRoomManager,
+  WSServerMatchmaker,
   WSServerRoom,
   WSServerGameRoom,
+  WSServerReplay,
 };
\ No newline at end of file
@@ -2,13 +2,17 @@
 import WSServerError from "./websocket/WSServerError.mjs";
 import WSServerPubSub from "./websocket/WSServerPubSub.mjs";
 import WSServerRoomManager from "./websocket/WSServerRoomManager.mjs";
+import WSServerMatchmaker from "./websocket/WSServerMatchmaker.mjs";
 import WSServerRoom from "./websocket/WSServerRoom.mjs";
 import WSServerGameRoom from "./websocket/WSServerGameRoom.mjs";
+import WSServerReplay from "./websocket/WSServerReplay.mjs";
 
 export {
   WSServerError,
   WSServerPubSub,
   WSServerRoomManager,
+  WSServerMatchmaker,
   WSServerRoom,
   WSServerGameRoom,
+  WSServerReplay,
 };
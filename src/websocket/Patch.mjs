@@ -0,0 +1,63 @@
+// Delta compression of JSON states
+// A patch is a list of operations: [path, value] sets the value at the path, [path] deletes it.
+// Arrays are patched by index, a shorter array is truncated by setting its 'length'.
+// The states must be JSON data (as received by the clients), the values of the operations are not copied.
+
+// The keys that would reach the prototypes instead of the state
+const unsafeKeys = new Set(['__proto__', 'constructor', 'prototype']);
+
+export function diffPatch(from, to, path = [], ops = []) {
+  if (from === to) return ops;
+
+  const isFromObject = from !== null && typeof from === 'object';
+  const isToObject = to !== null && typeof to === 'object';
+  if (!isFromObject || !isToObject || Array.isArray(from) !== Array.isArray(to)) {
+    ops.push([path, to]);
+    return ops;
+  }
+
+  if (Array.isArray(to)) {
+    if (from.length > to.length) ops.push([[...path, 'length'], to.length]);
+    for (let index = 0; index < to.length; index++) {
+      diffPatch(from[index], to[index], [...path, index], ops);
+    }
+    return ops;
+  }
+
+  for (const key in from) {
+    if (!Object.hasOwn(to, key)) ops.push([[...path, key]]);
+  }
+  for (const key in to) {
+    if (Object.hasOwn(from, key)) {
+      diffPatch(from[key], to[key], [...path, key], ops);
+    } else {
+      ops.push([[...path, key], to[key]]);
+    }
+  }
+  return ops;
+}
+
+export function applyPatch(state, ops) {
+  let patched = structuredClone(state);
+  for (const [path, ...value] of ops) {
+    if (path.length === 0) {
+      patched = value[0];
+      continue;
+    }
+    if (path.some(key => unsafeKeys.has(key))) throw new Error(`Invalid patch path: ${path.join('.')}`);
+
+    let target = patched;
+    for (const key of path.slice(0, -1)) {
+      if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+      target = target[key];
+    }
+
+    const key = path[path.length - 1];
+    if (value.length === 0) {
+      delete target[key];
+    } else {
+      target[key] = value[0];
+    }
+  }
+  return patched;
+}
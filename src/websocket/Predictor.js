@@ -0,0 +1,100 @@
+export default class Predictor {
+
+/**
+ * A client-side prediction of the state of a game room: the local inputs are applied
+ * immediately, then re-applied on each authoritative state of the server until it processed them
+ * (see WSServerGameRoom onInput and the input acknowledgements).
+ *
+ * @param {object} options - The predictor options.
+ * @param {Function} options.simulate - The local simulation (state, input, dt) => state.
+ * It can modify the given state, which is always a copy.
+ * @param {Function} [options.send=null] - The function (input, tick) => seq sending an input to the server
+ * and returning its sequence number (e.g. room.sendInput).
+ * @param {number} [options.maxPending=128] - The maximum number of inputs waiting for their acknowledgement.
+ * @example
+ * const predictor = new Predictor({ simulate, send: (input, tick) => room.sendInput(input, tick) });
+ * room.onInputAck(({ seq }) => predictor.ack(seq));
+ * room.onMessage(state => predictor.reconcile(state));
+ * // On each local input
+ * predictor.input({ left: true }, dt);
+ * // In the render loop
+ * draw(predictor.state);
+ */
+  constructor({
+    simulate,
+    send = null,
+    maxPending = 128,
+  } = {}) {
+    if (typeof simulate !== 'function') throw new Error('The simulate function is required.');
+    this.simulate = simulate;
+    this.send = send;
+    this.maxPending = maxPending;
+    this.state = null;
+    this.serverState = null;
+    this.pending = [];
+    this.ackSeq = 0;
+    this.unregister = () => {};
+  }
+
+  /**
+   * Send an input to the server and apply it immediately to the predicted state.
+   *
+   * @param {*} input - The input.
+   * @param {number} dt - The time step simulated by the input, given back to simulate.
+   * @param {number} [tick] - The target simulation tick of the server.
+   * @returns {*} - The predicted state.
+   */
+  input(input, dt, tick) {
+    const seq = this.send !== null ? this.send(input, tick) : this.ackSeq + this.pending.length + 1;
+    this.pending.push({ seq, input, dt });
+    if (this.pending.length > this.maxPending) this.pending.shift();
+    // Nothing to predict before the first state of the server
+    if (this.state !== null) this.state = this.simulate(this.state, input, dt);
+    return this.state;
+  }
+
+  /**
+   * Acknowledge the inputs processed by the server, up to a sequence number.
+   * The next authoritative state includes them.
+   *
+   * @param {number} seq - The sequence number of the last processed input.
+   */
+  ack(seq) {
+    if (seq > this.ackSeq) this.ackSeq = seq;
+  }
+
+  /**
+   * Reset the predicted state to an authoritative state, then re-apply the pending inputs.
+   *
+   * @param {*} serverState - The state sent by the server.
+   * @returns {*} - The predicted state.
+   */
+  reconcile(serverState) {
+    this.serverState = serverState;
+    this.pending = this.pending.filter(pending => pending.seq > this.ackSeq);
+
+    let state = structuredClone(serverState);
+    for (const { input, dt } of this.pending) state = this.simulate(state, input, dt);
+    this.state = state;
+    return this.state;
+  }
+
+  /**
+   * Forget the pending inputs and the states.
+   */
+  clear() {
+    this.state = null;
+    this.serverState = null;
+    this.pending = [];
+  }
+
+  /**
+   * Stop the reconciliation (when created by a room) and forget the pending inputs and the states.
+   */
+  dispose() {
+    this.unregister();
+    this.unregister = () => {};
+    this.clear();
+  }
+
+}
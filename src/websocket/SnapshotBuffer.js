@@ -0,0 +1,126 @@
+export default class SnapshotBuffer {
+
+/**
+ * A jitter buffer of timestamped states (e.g. the patches of a WSServerGameRoom)
+ * to render a smooth interpolation between them, a little in the past.
+ *
+ * @param {object} [options] - The buffer options.
+ * @param {number} [options.delay=100] - The interpolation delay in milliseconds: the rendered state is the one
+ * of `renderTime - delay`. It must be greater than the patch interval (plus the network jitter) to always
+ * have a state after the rendered time. Twice the patch interval is a good start.
+ * @param {number} [options.maxSize=60] - The maximum number of buffered snapshots.
+ * @param {number} [options.maxExtrapolation=200] - The maximum time in milliseconds to extrapolate
+ * past the last snapshot when the next one is late. The state is frozen after that.
+ * @param {Function} [options.now=() => performance.now()] - The clock used to timestamp the incoming states.
+ * @example
+ * const snapshots = new SnapshotBuffer({ delay: 100 });
+ * room.onMessage(state => snapshots.push(state));
+ * // In the render loop
+ * const world = snapshots.getInterpolatedState(performance.now());
+ */
+  constructor({
+    delay = 100,
+    maxSize = 60,
+    maxExtrapolation = 200,
+    now = () => performance.now(),
+  } = {}) {
+    this.delay = delay;
+    this.maxSize = maxSize;
+    this.maxExtrapolation = maxExtrapolation;
+    this.now = now;
+    this.snapshots = [];
+    this.unregister = () => {};
+  }
+
+  /**
+   * Add a state to the buffer.
+   *
+   * @param {*} state - The state.
+   * @param {number} [time=now()] - The timestamp of the state, the reception time by default.
+   */
+  push(state, time = this.now()) {
+    // Keep the snapshots sorted by time (a late timestamp is inserted at its place)
+    let index = this.snapshots.length;
+    while (index > 0 && this.snapshots[index - 1].time > time) index--;
+    this.snapshots.splice(index, 0, { time, state });
+    if (this.snapshots.length > this.maxSize) this.snapshots.shift();
+  }
+
+  /**
+   * Get the state at `renderTime - delay`, interpolated between the two surrounding snapshots.
+   * Past the last snapshot, the state is extrapolated from the last two (up to maxExtrapolation).
+   *
+   * @param {number} [renderTime=now()] - The render time, on the same clock as the timestamps.
+   * @param {Function} [lerpFn=SnapshotBuffer.lerp] - The interpolation function (from, to, t) => state.
+   * `t` is between 0 and 1 when interpolating and greater than 1 when extrapolating.
+   * @returns {*} - The interpolated state, or null if the buffer is empty.
+   */
+  getInterpolatedState(renderTime = this.now(), lerpFn = SnapshotBuffer.lerp) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return null;
+
+    const time = renderTime - this.delay;
+    const first = snapshots[0];
+    const last = snapshots[snapshots.length - 1];
+    if (time <= first.time) return first.state;
+
+    if (time >= last.time) {
+      if (snapshots.length === 1) return last.state;
+      const previous = snapshots[snapshots.length - 2];
+      const extrapolatedTime = Math.min(time, last.time + this.maxExtrapolation);
+      return lerpFn(previous.state, last.state, this._progress(previous, last, extrapolatedTime));
+    }
+
+    let index = snapshots.length - 1;
+    while (snapshots[index - 1].time > time) index--;
+    const from = snapshots[index - 1];
+    const to = snapshots[index];
+    return lerpFn(from.state, to.state, this._progress(from, to, time));
+  }
+
+  _progress(from, to, time) {
+    const duration = to.time - from.time;
+    if (duration <= 0) return 1;
+    return (time - from.time) / duration;
+  }
+
+  /**
+   * Remove all the snapshots.
+   */
+  clear() {
+    this.snapshots = [];
+  }
+
+  /**
+   * Stop feeding the buffer (when created by a room) and remove all the snapshots.
+   */
+  dispose() {
+    this.unregister();
+    this.unregister = () => {};
+    this.clear();
+  }
+
+  /**
+   * The default interpolation: numbers are interpolated, recursively in arrays and plain objects.
+   * Other values (and keys missing in `from`) are taken from `to`.
+   *
+   * @param {*} from - The older state.
+   * @param {*} to - The newer state.
+   * @param {number} t - The progress between the two states.
+   * @returns {*} - The interpolated state.
+   */
+  static lerp(from, to, t) {
+    if (typeof from === 'number' && typeof to === 'number') return from + (to - from) * t;
+    if (Array.isArray(to)) {
+      if (!Array.isArray(from)) return to;
+      return to.map((value, index) => SnapshotBuffer.lerp(from[index], value, t));
+    }
+    if (to !== null && typeof to === 'object' && from !== null && typeof from === 'object') {
+      const state = {};
+      for (const key in to) state[key] = SnapshotBuffer.lerp(from[key], to[key], t);
+      return state;
+    }
+    return to;
+  }
+
+}
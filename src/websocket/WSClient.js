@@ -6,18 +6,71 @@ export default class WSClient {
   pubId = 0;
   subId = 0;
   unsubId = 0;
+  syncId = 0;
   clientId = null;
+  token = null;
+  shouldReconnect = false;
+  reconnectAttempts = 0;
+  reconnectTimer = null;
+  subscriptions = new Map();
+  authenticated = false;
+  outbox = [];
+  requestTimers = new Set();
+  state = 'closed';
+  latency = null;
+  timeSyncTimer = null;
 
 /**
  *  A WebSocket PubSub client to interact with the WS PubSub server.
  *
  * @param {string} [url=null] - The WebSocket server URL.
- * If null, the URL will be determined based on the current domain and scheme.
+ * If null, the URL will be determined based on the current domain and scheme (browser only).
+ * @param {number} [defaultTimeout=5000] - The default timeout in milliseconds for RPC, pub, sub and unsub.
+ * @param {object} [options] - The client options.
+ * @param {Function} [options.WebSocket=globalThis.WebSocket] - The WebSocket implementation,
+ * e.g. the one of the `ws` package in runtimes without a global WebSocket.
+ * @param {boolean} [options.reconnect=false] - Automatically reconnect (with the last auth token) when the connection drops.
+ * @param {number} [options.reconnectDelay=1000] - The delay in milliseconds before the first reconnection attempt.
+ * @param {number} [options.reconnectMaxDelay=30000] - The maximum delay in milliseconds between two attempts.
+ * @param {number} [options.reconnectFactor=2] - The exponential backoff factor applied to the delay after each attempt.
+ * @param {number} [options.reconnectJitter=0.5] - The random part of the delay, between 0 (no jitter) and 1.
+ * @param {number} [options.reconnectMaxAttempts=Infinity] - The maximum number of attempts before giving up.
+ * @param {boolean} [options.queue=false] - Queue the outgoing messages while the client is not authenticated
+ * and send them once it is (again). Without the queue, sending while disconnected throws.
+ * @param {number} [options.queueMaxSize=100] - The maximum number of queued messages.
+ * @param {number} [options.queueTimeout=10000] - The time in milliseconds after which a queued message expires.
+ * @param {string} [options.queueOverflow='drop'] - What to do with the pending promises of the messages that cannot be sent:
+ * 'drop' discards the oldest message on overflow (and expired messages) silently, their promises will time out,
+ * 'reject' refuses the new message on overflow and rejects the promises right away.
+ * @param {number} [options.timeSyncInterval=0] - Measure the latency and the server clock offset every
+ * timeSyncInterval milliseconds while connected (see syncTime()). 0 disables the periodic time sync.
+ *
+ * The connection state is available in the `state` property: 'connecting' (socket opening),
+ * 'authenticating' (socket open, waiting for the auth response), 'open' (authenticated),
+ * 'reconnecting' (waiting for the next reconnection attempt), 'closing' or 'closed'.
+ * Each change emits a `statechange` event with `{ state, previous }`.
  * @example
  * const wsClient = new WSClient('ws://localhost:8001');
+ * const wsClientWithReconnect = new WSClient('ws://localhost:8001', 5000, { reconnect: true });
+ * const wsClientForNode = new WSClient('ws://localhost:8001', 5000, { WebSocket: (await import('ws')).default });
  */
-  constructor(url = null, defaultTimeout = 5000) {
+  constructor(url = null, defaultTimeout = 5000, {
+    WebSocket = null,
+    reconnect = false,
+    reconnectDelay = 1000,
+    reconnectMaxDelay = 30000,
+    reconnectFactor = 2,
+    reconnectJitter = 0.5,
+    reconnectMaxAttempts = Infinity,
+    queue = false,
+    queueMaxSize = 100,
+    queueTimeout = 10000,
+    queueOverflow = 'drop',
+    timeSyncInterval = 0,
+  } = {}) {
+    if (!['drop', 'reject'].includes(queueOverflow)) throw new Error(`Invalid queue overflow policy: ${queueOverflow}`);
     if (url === null) {
+      if (typeof window === 'undefined') throw new Error('The WebSocket server URL is required outside of a browser.');
       const hostname = window.location.hostname;
       const mustBeSecure = window.location.protocol == 'https:';
       const port = mustBeSecure ? 443 : 80;
@@ -27,6 +80,21 @@ export default class WSClient {
     }
     this.wsClient = null;
     this.defaultTimeout = defaultTimeout;
+    this.WebSocket = WebSocket;
+
+    this.reconnect = reconnect;
+    this.reconnectDelay = reconnectDelay;
+    this.reconnectMaxDelay = reconnectMaxDelay;
+    this.reconnectFactor = reconnectFactor;
+    this.reconnectJitter = reconnectJitter;
+    this.reconnectMaxAttempts = reconnectMaxAttempts;
+
+    this.queue = queue;
+    this.queueMaxSize = queueMaxSize;
+    this.queueTimeout = queueTimeout;
+    this.queueOverflow = queueOverflow;
+
+    this.timeSyncInterval = timeSyncInterval;
 
     Object.assign(this, EventMixins);
     this.mixinEvent();
@@ -36,6 +104,7 @@ export default class WSClient {
    * Connect to the WebSocket server.
    *
    * @param {string} [token=null] - The authentication token.
+   * The token is kept to be reused by the automatic reconnection.
    * @returns {Promise} - A promise that resolves when the connection is established or rejects if an error occurs.
    * @example
    * await wsClient.connect('secret').catch(console.error);
@@ -45,39 +114,209 @@ export default class WSClient {
     if (token != null && typeof token != 'string') {
       return Promise.reject(new Error('The auth token must be a string.'));
     }
+    this.token = token;
+    this.stopReconnect();
+    return this._open();
+  }
+
+  _open() {
     this.clientId = null;
+    this.authenticated = false;
     const subprotocols = ['ws.mini'];
-    if (typeof token === 'string') {
-      subprotocols.push(bytesBase64Encode(token));
+    if (typeof this.token === 'string') {
+      subprotocols.push(bytesBase64Encode(this.token));
+    }
+
+    // Resolved on each connection so that a global polyfill can be installed after the client creation
+    const WebSocketImpl = this.WebSocket ?? globalThis.WebSocket;
+    if (typeof WebSocketImpl !== 'function') {
+      return Promise.reject(new Error('No WebSocket implementation available, use the WebSocket option.'));
     }
 
-    this.wsClient = new WebSocket(this.url, subprotocols);
+    const wsClient = new WebSocketImpl(this.url, subprotocols);
+    this.wsClient = wsClient;
+    this._setState('connecting');
+    this.wsClient.addEventListener('open', () => {
+      if (wsClient === this.wsClient && this.state === 'connecting') this._setState('authenticating');
+    });
     this.wsClient.addEventListener('message', (event) => this.onMessage(event));
 
     return new Promise((resolve, reject) => {
       this.once('ws:auth:success', () => resolve());
       this.once('ws:auth:failed', () => reject(new Error('WS auth failed')));
-      this.wsClient.addEventListener('error', () => reject(new Error('WS connection error')));
-      this.wsClient.addEventListener('close', () => {
-        this.close();
+      wsClient.addEventListener('error', () => reject(new Error('WS connection error')));
+      wsClient.addEventListener('close', () => {
+        this._onSocketClose(wsClient);
         reject(new Error('WS connection closed.'));
       });
     });
   }
 
+  _onSocketClose(wsClient) {
+    // Ignore the close event of a socket that was already replaced or closed
+    if (wsClient !== this.wsClient) return;
+    const mustReconnect = this.shouldReconnect;
+    this._closeSocket();
+    if (mustReconnect) this._scheduleReconnect();
+  }
+
+  _scheduleReconnect() {
+    if (this.reconnectAttempts >= this.reconnectMaxAttempts) {
+      const attempts = this.reconnectAttempts;
+      this.stopReconnect();
+      this._clearQueue(new Error('WS reconnection failed'));
+      this.emit('reconnect-failed', { attempts, reason: 'max-attempts' });
+      return;
+    }
+
+    const attempt = ++this.reconnectAttempts;
+    const delay = this.getReconnectDelay(attempt);
+    this._setState('reconnecting');
+    this.emit('reconnecting', { attempt, delay });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this._open().then(() => {
+        this.reconnectAttempts = 0;
+        this.emit('reconnected', { attempts: attempt });
+      }, () => {
+        // A failed attempt closes its socket, which schedules the next one
+      });
+    }, delay);
+  }
+
+  /**
+   * Get the delay before a reconnection attempt (exponential backoff with jitter).
+   *
+   * @param {number} attempt - The attempt number, starting at 1.
+   * @returns {number} - The delay in milliseconds.
+   */
+  getReconnectDelay(attempt) {
+    const delay = Math.min(
+      this.reconnectMaxDelay,
+      this.reconnectDelay * Math.pow(this.reconnectFactor, attempt - 1),
+    );
+    return delay - delay * this.reconnectJitter * Math.random();
+  }
+
+  /**
+   * Stop the automatic reconnection (pending attempts are cancelled).
+   */
+  stopReconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.shouldReconnect = false;
+    if (this.state === 'reconnecting') this._setState('closed');
+  }
+
   close() {
+    if (this.wsClient !== null) this._setState('closing');
+    this.stopReconnect();
+    this.subscriptions.clear();
+    this._clearQueue(new Error('WS connection closed.'));
+    this._clearRequestTimers();
+    this._closeSocket();
+  }
+
+  _closeSocket() {
     if (this.wsClient === null) return;
     this.wsClient.close();
     this.wsClient = null;
     this.clientId = null;
+    this.authenticated = false;
+    this._stopTimeSync();
+    this._setState('closed');
+    // The queued requests still wait for their responses
+    const keepResponses = this.outbox.length > 0;
     for (const event of this.listeners.keys()) {
-      if (event.startsWith('ws:')) {
-        this.listeners.delete(event);
-      }
+      if (!event.startsWith('ws:')) continue;
+      if (keepResponses && /^ws:(rpc|pub|sub|unsub):/.test(event)) continue;
+      this.listeners.delete(event);
     }
     this.emit('close');
   }
 
+  _setState(state) {
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    this.emit('statechange', { state, previous });
+  }
+
+  _send(data, reject = null) {
+    if (!this.queue || this.authenticated) {
+      this.wsClient.send(JSON.stringify(data));
+      return null;
+    }
+    return this._enqueue(data, reject);
+  }
+
+  _enqueue(data, reject = null) {
+    if (this.outbox.length >= this.queueMaxSize) {
+      if (this.queueOverflow === 'reject') {
+        reject?.(new Error('WS queue is full'));
+        return null;
+      }
+      this._unqueue(this.outbox[0]);
+    }
+
+    const entry = { data, reject, timer: null };
+    entry.timer = setTimeout(() => {
+      this._unqueue(entry);
+      if (this.queueOverflow === 'reject') reject?.(new Error('WS queued message expired'));
+    }, this.queueTimeout);
+    this.outbox.push(entry);
+    return entry;
+  }
+
+  _unqueue(entry) {
+    const index = this.outbox.indexOf(entry);
+    if (index === -1) return false;
+    clearTimeout(entry.timer);
+    this.outbox.splice(index, 1);
+    return true;
+  }
+
+  _flushQueue() {
+    if (!this.authenticated) return;
+    const entries = this.outbox;
+    this.outbox = [];
+    for (const entry of entries) {
+      clearTimeout(entry.timer);
+      this.wsClient.send(JSON.stringify(entry.data));
+    }
+  }
+
+  _startRequestTimer(onTimeout, timeout) {
+    const timer = setTimeout(() => {
+      this.requestTimers.delete(timer);
+      onTimeout();
+    }, timeout);
+    this.requestTimers.add(timer);
+    return timer;
+  }
+
+  _stopRequestTimer(timer) {
+    clearTimeout(timer);
+    this.requestTimers.delete(timer);
+  }
+
+  _clearRequestTimers() {
+    // The responses cannot arrive anymore, the pending requests are abandoned
+    for (const timer of this.requestTimers) clearTimeout(timer);
+    this.requestTimers.clear();
+  }
+
+  _clearQueue(error) {
+    const entries = this.outbox;
+    this.outbox = [];
+    for (const entry of entries) {
+      clearTimeout(entry.timer);
+      if (this.queueOverflow === 'reject') entry.reject?.(error);
+    }
+  }
+
   onMessage(event) {
     const data = JSON.parse(event.data);
 
@@ -127,20 +366,27 @@ export default class WSClient {
       return;
     }
 
+    if (data.action === 'time-sync') {
+      this.emit('ws:time-sync', { id: data.id, time: data.time });
+      return;
+    }
+
     if (data.action === 'error') {
       this.emit(`ws:error`, data.msg);
       return;
     }
 
     if (data.action === 'auth-failed') {
+      const attempts = this.reconnectAttempts;
       this.emit('ws:auth:failed');
       this.close();
+      // The token is not accepted anymore, retrying is pointless
+      if (attempts > 0) this.emit('reconnect-failed', { attempts, reason: 'auth-failed' });
       return;
     }
 
     if (data.action === 'auth-success') {
-      this.clientId = data.id ?? null;
-      this.emit('ws:auth:success', data);
+      this._onAuthSuccess(data);
       return;
     }
 
@@ -150,6 +396,96 @@ export default class WSClient {
     }
   }
 
+  _onAuthSuccess(data) {
+    this.clientId = data.id ?? null;
+    this.authenticated = true;
+    this.shouldReconnect = this.reconnect;
+    this._setState('open');
+    this.emit('ws:auth:success', data);
+    this._resubscribe();
+    this._flushQueue();
+    this._startTimeSync();
+  }
+
+  /**
+   * Measure the round-trip time and the offset between the local and the server clocks.
+   * Each measure updates the smoothed estimates of `latency` and emits a `latency` event.
+   *
+   * @param {number} [timeout=defaultTimeout] - The timeout in milliseconds.
+   * @returns {Promise<{rtt: number, jitter: number, offset: number, samples: number}>} - The updated latency.
+   * @example
+   * const { rtt, offset } = await wsClient.syncTime();
+   */
+  syncTime(timeout = this.defaultTimeout) {
+    if (this.state !== 'open') return Promise.reject(new Error('WS not connected'));
+
+    return new Promise((resolve, reject) => {
+      const id = this.syncId++;
+      const sentAt = Date.now();
+
+      const timer = setTimeout(() => {
+        this.off('ws:time-sync', callback);
+        reject(new Error('WS Time sync Timeout (sync id: ' + id + ')'));
+      }, timeout);
+
+      const callback = (data) => {
+        if (data.id !== id) return;
+        clearTimeout(timer);
+        this.off('ws:time-sync', callback);
+        resolve(this._addTimeSample(sentAt, data.time, Date.now()));
+      };
+
+      this.on('ws:time-sync', callback);
+      this.wsClient.send(JSON.stringify({action: 'time-sync', id}));
+    });
+  }
+
+  _addTimeSample(sentAt, serverTime, receivedAt) {
+    const rtt = receivedAt - sentAt;
+    // The server is assumed to answer halfway through the round trip
+    const offset = serverTime + rtt / 2 - receivedAt;
+    const previous = this.latency;
+
+    // Smoothing of RFC 6298 (TCP retransmission timer)
+    if (previous === null) {
+      this.latency = { rtt, jitter: rtt / 2, offset, samples: 1 };
+    } else {
+      this.latency = {
+        rtt: previous.rtt + (rtt - previous.rtt) / 8,
+        jitter: previous.jitter + (Math.abs(rtt - previous.rtt) - previous.jitter) / 4,
+        offset: previous.offset + (offset - previous.offset) / 8,
+        samples: previous.samples + 1,
+      };
+    }
+    this.emit('latency', this.latency);
+    return this.latency;
+  }
+
+  /**
+   * Get the estimated current time of the server clock (see syncTime()).
+   * Without any measure, it is the local time.
+   *
+   * @returns {number} - The estimated server timestamp in milliseconds.
+   */
+  serverNow() {
+    return Date.now() + (this.latency?.offset ?? 0);
+  }
+
+  _startTimeSync() {
+    if (this.timeSyncInterval <= 0) return;
+    this._stopTimeSync();
+    const sync = () => this.syncTime().catch(() => {
+      // A lost measure is replaced by the next one
+    });
+    sync();
+    this.timeSyncTimer = setInterval(sync, this.timeSyncInterval);
+  }
+
+  _stopTimeSync() {
+    clearInterval(this.timeSyncTimer);
+    this.timeSyncTimer = null;
+  }
+
   /**
    * Call a remote procedure.
    *
@@ -164,14 +500,15 @@ export default class WSClient {
     return new Promise((resolve, reject) => {
       const id = this.rpcId++;
 
-      const timer = setTimeout(() => {
+      const timer = this._startRequestTimer(() => {
         this.off(`ws:rpc:${name}`, callback);
+        this._unqueue(message);
         reject(new Error('WS RPC Timeout for ' + name + ' (rpc id: ' + id + ')'));
       }, timeout);
 
       const callback = (resp) => {
         if (resp.id !== id) return;
-        clearTimeout(timer);
+        this._stopRequestTimer(timer);
         this.off(`ws:rpc:${name}`, callback);
         if (resp.type === 'success') {
           resolve(resp.response)
@@ -181,7 +518,7 @@ export default class WSClient {
       };
 
       this.on(`ws:rpc:${name}`, callback);
-      this.wsClient.send(JSON.stringify({action: 'rpc', name, data, id}));
+      const message = this._send({action: 'rpc', name, data, id}, reject);
     });
   }
 
@@ -199,14 +536,15 @@ export default class WSClient {
     return new Promise((resolve, reject) => {
       const id = this.pubId++;
 
-      const timer = setTimeout(() => {
+      const timer = this._startRequestTimer(() => {
         this.off(`ws:pub:${chan}`, callback);
+        this._unqueue(message);
         reject(new Error('WS Pub Timeout for ' + chan + ' (pub id: ' + id + ')'));
       }, timeout);
 
       const callback = (resp) => {
         if (resp.id !== id) return;
-        clearTimeout(timer);
+        this._stopRequestTimer(timer);
         this.off(`ws:pub:${chan}`, callback);
         if (resp.type === 'success') {
           resolve(resp.response)
@@ -216,7 +554,7 @@ export default class WSClient {
       };
 
       this.on(`ws:pub:${chan}`, callback);
-      this.wsClient.send(JSON.stringify({action: 'pub', chan, id, msg}));
+      const message = this._send({action: 'pub', chan, id, msg}, reject);
     });
   }
 
@@ -230,11 +568,12 @@ export default class WSClient {
    */
   pubSimple(chan, msg) {
     const id = this.pubId++;
-    this.wsClient.send(JSON.stringify({action: 'pub-simple', chan, id, msg}));
+    this._send({action: 'pub-simple', chan, id, msg});
   }
 
   /**
    * Subscribe to a channel.
+   * The subscription is remembered and replayed after a reconnection (see the `resub-failed` event).
    *
    * @param {string} chan - The channel name.
    * @param {function} callback - The callback to call when a message is received.
@@ -244,30 +583,33 @@ export default class WSClient {
    * wsClient.sub('chat', (msg) => console.log(msg));
    */
   sub(chan, callback, timeout = this.defaultTimeout) {
+    this._rememberSub(chan, callback);
     if (!this.hasListener(`ws:chan:${chan}`)) {
       this.on(`ws:chan:${chan}`, callback);
       return new Promise((resolve, reject) => {
         const id = this.subId++;
 
-        const timer = setTimeout(() => {
+        const timer = this._startRequestTimer(() => {
           this.off(`ws:sub:${chan}`, subCallback);
+          this._unqueue(message);
           reject(new Error('WS Sub Timeout for ' + chan + ' (sub id: ' + id + ')'));
         }, timeout);
 
         const subCallback = (resp) => {
           if (resp.id !== id) return;
-          clearTimeout(timer);
+          this._stopRequestTimer(timer);
           this.off(`ws:sub:${chan}`, subCallback);
           if (resp.type === 'success') {
             resolve(resp.response)
           } else {
             this.off(`ws:chan:${chan}`, callback);
+            this._forgetSub(chan, callback);
             reject(new Error(resp.response));
           }
         };
 
         this.on(`ws:sub:${chan}`, subCallback);
-        this.wsClient.send(JSON.stringify({action: 'sub', chan, id}));
+        const message = this._send({action: 'sub', chan, id}, reject);
       });
     }
     this.on(`ws:chan:${chan}`, callback);
@@ -290,19 +632,31 @@ export default class WSClient {
     } else {
       this.clear(`ws:chan:${chan}`);
     }
+    this._forgetSub(chan, callback);
+
+    if (!this.hasListener(`ws:chan:${chan}`) && this.queue && !this.authenticated) {
+      // The subscription died with the previous socket, just cancel a queued sub
+      for (const entry of [...this.outbox]) {
+        if (entry.data.action !== 'sub' || entry.data.chan !== chan) continue;
+        this._unqueue(entry);
+        entry.reject?.(new Error('WS Sub cancelled for ' + chan));
+      }
+      return Promise.resolve('Unsubscribed');
+    }
 
     if (!this.hasListener(`ws:chan:${chan}`)) {
       return new Promise((resolve, reject) => {
         const id = this.unsubId++;
 
-        const timer = setTimeout(() => {
+        const timer = this._startRequestTimer(() => {
           this.off(`ws:unsub:${chan}`, unsubCallback);
+          this._unqueue(message);
           reject(new Error('WS Unsub Timeout for ' + chan + ' (unsub id: ' + id + ')'));
         }, timeout);
 
         const unsubCallback = (resp) => {
           if (resp.id !== id) return;
-          clearTimeout(timer);
+          this._stopRequestTimer(timer);
           this.off(`ws:unsub:${chan}`, unsubCallback);
           if (resp.type === 'success') {
             resolve(resp.response);
@@ -312,13 +666,47 @@ export default class WSClient {
         };
 
         this.on(`ws:unsub:${chan}`, unsubCallback);
-        this.wsClient.send(JSON.stringify({action: 'unsub', chan, id}));
+        const message = this._send({action: 'unsub', chan, id}, reject);
       });
     }
 
     return Promise.resolve('Unsubscribed');
   }
 
+  _rememberSub(chan, callback) {
+    if (!this.subscriptions.has(chan)) this.subscriptions.set(chan, new Set());
+    this.subscriptions.get(chan).add(callback);
+  }
+
+  _forgetSub(chan, callback = null) {
+    const callbacks = this.subscriptions.get(chan);
+    if (!callbacks) return;
+    if (callback !== null) callbacks.delete(callback);
+    if (callback === null || callbacks.size === 0) this.subscriptions.delete(chan);
+  }
+
+  _resubscribe() {
+    // The channel listeners were removed with the previous socket, replay the subscriptions
+    const wsClient = this.wsClient;
+    for (const [chan, callbacks] of [...this.subscriptions]) {
+      if (this.hasListener(`ws:chan:${chan}`)) continue;
+      // A sub made while disconnected is still queued, only restore its callbacks
+      if (this.outbox.some(entry => entry.data.action === 'sub' && entry.data.chan === chan)) {
+        for (const callback of callbacks) this.on(`ws:chan:${chan}`, callback);
+        continue;
+      }
+      const [callback, ...others] = callbacks;
+      this.sub(chan, callback).catch(error => {
+        // A timeout caused by a new disconnection is not a denial, keep the subscription for the next replay
+        if (wsClient !== this.wsClient) return;
+        this.clear(`ws:chan:${chan}`);
+        this.subscriptions.delete(chan);
+        this.emit('resub-failed', { chan, error });
+      });
+      for (const other of others) this.sub(chan, other);
+    }
+  }
+
   /**
    * Register a callback for server commands.
    *
@@ -1,41 +1,225 @@
 import WSClient from './WSClient.js';
+import SnapshotBuffer from './SnapshotBuffer.js';
+import Predictor from './Predictor.js';
+import { applyPatch } from './Patch.mjs';
 
 export default class WSClientRoom extends WSClient {
   prefix = '__room-';
   unregisterCmdListener = new Map();
+  rooms = new Map();
+  resumeToken = null;
+  pendingResumeToken = null;
+  roomPatches = new Map();
+  roomInputSeqs = new Map();
+  roomQueueTicket = null;
 
-  roomCreateOrJoin(name = null, data = {}, timeout = this.defaultTimeout) {
-    return this._roomAction('createOrJoin', name, data, timeout);
+  roomCreateOrJoin(name = null, data = {}, timeout = this.defaultTimeout, options = {}) {
+    return this._roomAction('createOrJoin', name, data, timeout, options);
   }
 
-  roomCreate(name = null, data = {}, timeout = this.defaultTimeout) {
-    return this._roomAction('create', name, data, timeout);
+  roomCreate(name = null, data = {}, timeout = this.defaultTimeout, options = {}) {
+    return this._roomAction('create', name, data, timeout, options);
   }
 
-  roomJoin(name, data = {}, timeout = this.defaultTimeout) {
-    return this._roomAction('join', name, data, timeout);
+  roomJoin(name, data = {}, timeout = this.defaultTimeout, options = {}) {
+    return this._roomAction('join', name, data, timeout, options);
   }
 
-  _roomAction(action, name, data = {}, timeout = this.defaultTimeout) {
+  roomJoinByInvite(inviteCode, data = {}, timeout = this.defaultTimeout) {
+    return this._roomAction('join', null, data, timeout, { invite: inviteCode });
+  }
+
+  roomSpectate(name, data = {}, timeout = this.defaultTimeout, options = {}) {
+    return this._roomAction('spectate', name, data, timeout, options);
+  }
+
+  _roomAction(action, name, data = {}, timeout = this.defaultTimeout, options = {}) {
     const room = new Room(name, {}, this);
-    return this.rpc(this.prefix + action, { name, msg: data }, timeout)
-      .then(resp => {
-        room.meta = resp.meta;
-        room.name = resp.name;
-        if (resp?.clients) room.clients = resp.clients;
-        this.roomOnClients(room.name, clients => room.clients = clients);
-        return room;
-      })
+    return this.rpc(this.prefix + action, { name, msg: data, ...options }, timeout)
+      .then(resp => this._roomJoined(room, resp))
+  }
+
+  _roomJoined(room, resp) {
+    room.meta = resp.meta;
+    room.name = resp.name;
+    if (resp?.clients) room.clients = resp.clients;
+    room.inviteCode = resp?.inviteCode ?? null;
+    room.isSpectator = resp?.spectator ?? false;
+    this.roomOnClients(room.name, clients => room.clients = clients);
+    this._roomOnPatch(room.name);
+    this.roomOnCmd(room.name, '__kicked', data => this._roomKicked(room.name, data));
+    this.rooms.set(room.name, room);
+    return room;
+  }
+
+  _roomKicked(name, data) {
+    // The server already removed the client, the room is cleaned up after the kicked listeners
+    this.emit(`ws:room-kicked:${this.prefix + name}`, data);
+    this._roomOff(name);
+    this.rooms.delete(name);
+  }
+
+  roomQueue(criteria = {}, timeout = this.defaultTimeout) {
+    if (this.roomQueueTicket !== null) return Promise.reject(new Error('Already in queue'));
+    return new Promise((resolve, reject) => {
+      const unregisterMatch = this.onCmd(this.prefix + 'match', resp => {
+        this._roomQueueEnd();
+        if (resp?.error) return reject(new Error(resp.error));
+        resolve(this._roomJoined(new Room(resp.name, {}, this), resp));
+      });
+      // The server forgets the queued clients on disconnection
+      const unregisterClose = this.on('close', () => {
+        this._roomQueueEnd();
+        reject(new Error('WS connection closed.'));
+      });
+      this.roomQueueTicket = { reject, unregister: () => { unregisterMatch(); unregisterClose(); } };
+
+      this.rpc(this.prefix + 'queue', criteria, timeout).catch(error => {
+        this._roomQueueEnd();
+        reject(error);
+      });
+    });
+  }
+
+  roomQueueCancel(timeout = this.defaultTimeout) {
+    return this.rpc(this.prefix + 'queue-cancel', {}, timeout).then(result => {
+      const ticket = this.roomQueueTicket;
+      this._roomQueueEnd();
+      ticket?.reject(new Error('Matchmaking cancelled'));
+      return result;
+    });
+  }
+
+  roomOnQueue(callback) {
+    return this.onCmd(this.prefix + 'queue', callback);
+  }
+
+  _roomQueueEnd() {
+    this.roomQueueTicket?.unregister();
+    this.roomQueueTicket = null;
   }
 
   roomLeave(name, timeout = this.defaultTimeout) {
     this._roomOff(name);
+    this.rooms.delete(name);
     return this.rpc(this.prefix + 'leave', { name }, timeout);
   }
 
+  _onAuthSuccess(data) {
+    this.resumeToken = data.resumeToken ?? null;
+    super._onAuthSuccess(data);
+    if (this.pendingResumeToken !== null) this._roomResume(this.pendingResumeToken);
+  }
+
+  _closeSocket() {
+    const canResume = this.shouldReconnect && this.rooms.size > 0
+      && (this.resumeToken !== null || this.pendingResumeToken !== null);
+    if (this.wsClient === null || !canResume) {
+      if (this.wsClient !== null) this.rooms.clear();
+      this.resumeToken = null;
+      return super._closeSocket();
+    }
+
+    // Keep the room listeners while trying to resume the session on the next socket
+    this.pendingResumeToken ??= this.resumeToken;
+    this.resumeToken = null;
+    const roomListeners = this._getRoomListeners();
+    super._closeSocket();
+    for (const [event, callbacks] of roomListeners) this.listeners.set(event, callbacks);
+  }
+
+  _flushQueue() {
+    // Room messages must wait for the seats to be taken back
+    if (this.pendingResumeToken !== null) return;
+    super._flushQueue();
+  }
+
+  stopReconnect() {
+    super.stopReconnect();
+    if (this.pendingResumeToken !== null) this._roomResumeFailed(new Error('Reconnection stopped'));
+  }
+
+  _getRoomListeners() {
+    const roomListeners = new Map();
+    for (const name of this.rooms.keys()) {
+      const chan = this.prefix + name;
+      for (const [event, callbacks] of this.listeners) {
+        const isRoomEvent = event === `ws:chan:${chan}` || event === `ws:chan:${chan}-clients`
+          || event === `ws:room-kicked:${chan}`
+          || (event.startsWith('ws:chan-cmd:') && event.endsWith(`:${chan}`));
+        if (isRoomEvent) roomListeners.set(event, callbacks);
+      }
+    }
+    return roomListeners;
+  }
+
+  _roomResume(token, timeout = this.defaultTimeout) {
+    const wsClient = this.wsClient;
+    return this.rpc(this.prefix + 'resume', { token }, timeout).then(resp => {
+      this.pendingResumeToken = null;
+      this.clientId = resp.id ?? this.clientId;
+      const resumed = [];
+      for (const roomData of resp.rooms ?? []) {
+        const room = this.rooms.get(roomData.name);
+        if (!room) continue;
+        room.meta = roomData.meta;
+        if (roomData?.clients) room.clients = roomData.clients;
+        resumed.push(room.name);
+      }
+      const lost = [...this.rooms.keys()].filter(name => !resumed.includes(name));
+      for (const name of lost) {
+        this._roomOff(name);
+        this.rooms.delete(name);
+      }
+      this.emit('rooms-resumed', { rooms: resumed, lost });
+      this._flushQueue();
+    }, error => {
+      // The socket dropped again, the session will be resumed on the next one
+      if (wsClient !== this.wsClient) return;
+      this._roomResumeFailed(error);
+    });
+  }
+
+  _roomResumeFailed(error) {
+    const rooms = [...this.rooms.keys()];
+    this.pendingResumeToken = null;
+    for (const name of rooms) this._roomOff(name);
+    this.rooms.clear();
+    this.emit('rooms-resume-failed', { rooms, error });
+    this._flushQueue();
+  }
+
+  _roomOnPatch(name) {
+    // The delta patches of a game room are rebuilt into full states for the room message listeners
+    const states = new Map();
+    this.roomPatches.set(name, states);
+    this.roomOnCmd(name, '__patch', patch => this._roomApplyPatch(name, states, patch));
+  }
+
+  _roomApplyPatch(name, states, { seq, base, state, ops }) {
+    if (ops !== undefined) {
+      // Without its base, the delta is skipped until the next full state
+      if (!states.has(base)) return;
+      state = applyPatch(states.get(base), ops);
+      // The server never uses a base older than the last one
+      for (const key of states.keys()) {
+        if (key < base) states.delete(key);
+      }
+    }
+    states.set(seq, state);
+    // A base is a recently acknowledged state, no need to keep more than a few seconds of states
+    if (states.size > 128) states.delete(states.keys().next().value);
+    this.wsClient.send(JSON.stringify({action: 'room-patch-ack', room: name, seq}));
+    // The listeners get their own copy, the stored state is the base of the next deltas
+    this.emit(`ws:chan:${this.prefix + name}`, structuredClone(state));
+  }
+
   _roomOff(name) {
+    this.roomPatches.delete(name);
+    this.roomInputSeqs.delete(name);
     this.clear(`ws:chan:${this.prefix + name}`);
     this.clear(`ws:chan:${this.prefix + name}-clients`);
+    this.clear(`ws:room-kicked:${this.prefix + name}`);
     // Clean up command listeners for this room
     if (!this.unregisterCmdListener.has(name)) return;
     for (const removeListener of this.unregisterCmdListener.get(name)) removeListener();
@@ -43,11 +227,34 @@ export default class WSClientRoom extends WSClient {
   }
 
   roomSend(name, data = {}) {
-    this.wsClient.send(JSON.stringify({action: 'pub-room', room: name, msg: data}));
+    this._send({action: 'pub-room', room: name, msg: data});
   }
 
   roomSendCmd(name, cmd, data = {}) {
-    this.wsClient.send(JSON.stringify({action: 'pub-room-cmd', cmd, room: name, msg: data}));
+    this._send({action: 'pub-room-cmd', cmd, room: name, msg: data});
+  }
+
+  roomSendInput(name, input, tick) {
+    const seq = (this.roomInputSeqs.get(name) ?? 0) + 1;
+    this.roomInputSeqs.set(name, seq);
+    this._send({action: 'room-input', room: name, seq, tick, input});
+    return seq;
+  }
+
+  roomOnInputAck(name, callback) {
+    return this.roomOnCmd(name, '__input-ack', callback);
+  }
+
+  roomSendTurnInput(name, turn, input) {
+    this._send({action: 'room-turn', room: name, turn, input});
+  }
+
+  roomOnTurn(name, callback) {
+    return this.roomOnCmd(name, '__turn', callback);
+  }
+
+  roomOnLoopChange(name, callback) {
+    return this.roomOnCmd(name, '__loop', callback);
   }
 
   roomOnMessage(name, callback) {
@@ -64,6 +271,10 @@ export default class WSClientRoom extends WSClient {
     return removeListener;
   }
 
+  roomOnKicked(name, callback) {
+    return this.on(`ws:room-kicked:${this.prefix + name}`, callback);
+  }
+
   roomOnRooms(callback) {
     this.rpc(this.prefix + 'list').then(callback);
     return this.sub(this.prefix + 'list', callback);
@@ -73,6 +284,24 @@ export default class WSClientRoom extends WSClient {
     return this.on(`ws:chan:${this.prefix + name}-clients`, callback);
   }
 
+  roomSnapshotBuffer(name, options = {}) {
+    const buffer = new SnapshotBuffer(options);
+    buffer.unregister = this.roomOnMessage(name, state => buffer.push(state));
+    return buffer;
+  }
+
+  roomPredictor(name, options = {}) {
+    const predictor = new Predictor({ send: (input, tick) => this.roomSendInput(name, input, tick), ...options });
+    // The acknowledgement is received just before the state including the acknowledged inputs
+    const unregisterAck = this.roomOnInputAck(name, ({ seq }) => predictor.ack(seq));
+    const unregisterState = this.roomOnMessage(name, state => predictor.reconcile(state));
+    predictor.unregister = () => {
+      unregisterAck();
+      unregisterState();
+    };
+    return predictor;
+  }
+
 }
 
 class Room {
@@ -80,9 +309,15 @@ class Room {
   constructor(name, meta, wsClient) {
     this.name = name;
     this.wsClient = wsClient;
-    this.wsClient.on('close', () => this.wsClient._roomOff(this.name));
+    this.wsClient.on('close', () => {
+      // The listeners are kept while the room session can be resumed
+      if (this.wsClient.pendingResumeToken !== null) return;
+      this.wsClient._roomOff(this.name);
+    });
     this.meta = meta;
     this.clients = [];
+    this.inviteCode = null;
+    this.isSpectator = false;
   }
 
   send(data) {
@@ -93,6 +328,14 @@ class Room {
     this.wsClient.roomSendCmd(this.name, cmd, data);
   }
 
+  sendInput(input, tick) {
+    return this.wsClient.roomSendInput(this.name, input, tick);
+  }
+
+  sendTurnInput(turn, input) {
+    this.wsClient.roomSendTurnInput(this.name, turn, input);
+  }
+
   leave() {
     this.wsClient.roomLeave(this.name);
   }
@@ -105,9 +348,33 @@ class Room {
     return this.wsClient.roomOnCmd(this.name, cmd, callback);
   }
 
+  onInputAck(callback) {
+    return this.wsClient.roomOnInputAck(this.name, callback);
+  }
+
+  onTurn(callback) {
+    return this.wsClient.roomOnTurn(this.name, callback);
+  }
+
+  onLoopChange(callback) {
+    return this.wsClient.roomOnLoopChange(this.name, callback);
+  }
+
+  onKicked(callback) {
+    return this.wsClient.roomOnKicked(this.name, callback);
+  }
+
   onClients(callback) {
     callback(this.clients);
     return this.wsClient.roomOnClients(this.name, callback);
   }
 
+  createSnapshotBuffer(options = {}) {
+    return this.wsClient.roomSnapshotBuffer(this.name, options);
+  }
+
+  createPredictor(options) {
+    return this.wsClient.roomPredictor(this.name, options);
+  }
+
 }
\ No newline at end of file
@@ -19,6 +19,10 @@ export default class WSServer {
    * The function MUST return an object to store in client metadata or false to reject the connection.
    * For example, you can return {isAdmin: true} to store {isAdmin: true} in the client metadata.
    * Return {} if you don't need to store any additional information.
+   * The function can also return a Promise resolving to one of these values (e.g. to check a session store).
+   * Frames received while the promise is pending are buffered and processed once the client is authenticated.
+   * @param {number} [options.authTimeout=10000] - The timeout in milliseconds for an async authCallback to settle.
+   * The connection is closed if the authentication is not done in time.
    * @param {string} [options.logLevel='info'] - Log level: 'none', 'error', 'warn', 'info', 'debug'.
    * @param {Object} [options.logger=null] - External logger instance (e.g., winston, pino) for logging.
    */
@@ -29,6 +33,7 @@ export default class WSServer {
     origins = '*',
     pingTimeout = 30000,
     authCallback = (token, request, wsServer) => ({}),
+    authTimeout = 10000,
     logLevel = 'info',
     logger = null,
   } = {}) {
@@ -42,6 +47,7 @@ export default class WSServer {
     this.pingTimeout = pingTimeout;
     this.pingInterval = null;
     this.authCallback = authCallback;
+    this.authTimeout = authTimeout;
     this.logger = logger;
     this.clients = new Map();
     this.server = null;
@@ -72,7 +78,8 @@ export default class WSServer {
       if (client.isAlive === false) {
         this.log(`Client ${metadata?.id} is dead`);
         client.terminate();
-        this.clients.delete(client);
+        // The close event of a terminated socket comes later, its metadata is still needed by the cleanup
+        this.onClose(client);
       } else {
         client.isAlive = false;
         client.ping();
@@ -132,10 +139,75 @@ export default class WSServer {
       return false;
     }
 
+    if (typeof customMetadata?.then === 'function') {
+      return this.onAsyncAuth(client, customMetadata);
+    }
+
+    return this.onAuth(client, customMetadata);
+  }
+
+  onAsyncAuth(client, authPromise) {
+    // Buffer the frames received while the auth is pending
+    const pendingMessages = [];
+    let pendingSize = 0;
+    let isPending = true;
+    const bufferMessage = (message) => {
+      pendingSize += message.length;
+      if (pendingSize > this.maxInputSize) {
+        this.log('Client sent too much data before being authenticated', 'warn');
+        return abort();
+      }
+      pendingMessages.push(message);
+    };
+    // Without an error listener, an invalid frame of the unauthenticated client would crash the server
+    const onPendingError = (error) => {
+      this.log(`Unauthenticated client error: ${error?.message}`, 'error');
+      abort();
+    };
+    const onPendingClose = () => settle();
+    const settle = () => {
+      if (!isPending) return false;
+      isPending = false;
+      clearTimeout(timer);
+      client.off('message', bufferMessage);
+      client.off('error', onPendingError);
+      client.off('close', onPendingClose);
+      return true;
+    };
+    const abort = () => {
+      if (!settle()) return false;
+      this.sendAuthFailed(client);
+      client.close();
+      return false;
+    };
+    const timer = setTimeout(() => {
+      this.log('Client authentication timeout', 'warn');
+      abort();
+    }, this.authTimeout);
+    client.on('message', bufferMessage);
+    client.on('error', onPendingError);
+    client.on('close', onPendingClose);
+
+    return Promise.resolve(authPromise).then(
+      (customMetadata) => {
+        if (!settle()) return false;
+        if (client.readyState !== WebSocket.OPEN) return false;
+        if (!this.onAuth(client, customMetadata)) return false;
+        for (const message of pendingMessages) this.onMessage(client, message);
+        return true;
+      },
+      (e) => {
+        this.log(e?.name + ': ' + e?.message, 'error');
+        return abort();
+      },
+    );
+  }
+
+  onAuth(client, customMetadata) {
     if (customMetadata === false) {
       this.sendAuthFailed(client);
       client.close();
-      return;
+      return false;
     }
 
     if (customMetadata === null || typeof customMetadata !== 'object') {
@@ -148,8 +220,12 @@ export default class WSServer {
 
     client.on('error', (error) => this.onError(client, error));
     client.on('message', (message) => this.onMessage(client, message));
-    client.on('close', () => this.onClose(client));
+    client.on('close', () => {
+      // A dead client was already cleaned up by the ping management
+      if (this.clients.has(client)) this.onClose(client);
+    });
     client.on('pong', () => this.onPong(client));
+    return true;
   }
 
   onPong(client) {
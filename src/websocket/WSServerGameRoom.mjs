@@ -1,4 +1,6 @@
 import WSServerRoom from "./WSServerRoom.mjs";
+import WSServerError from "./WSServerError.mjs";
+import { diffPatch } from "./Patch.mjs";
 
 export default class WSServerGameRoom extends WSServerRoom {
 
@@ -14,9 +16,46 @@ export default class WSServerGameRoom extends WSServerRoom {
     this.setPatchPerSec(20);
     this.lastTickTime = 0;
     this.isRunning = false;
+    this.isPaused = false;
+    this.timeScale = 1;
     this.loop = null;
     this.frameDelta = 0;
     this.elapsedTime = 0;
+    this.currentTick = 0;
+
+    this.inputMaxQueueSize = 64;
+    this.inputMaxTicksAhead = 60;
+    this.inputQueues = new Map();
+    this.inputAcks = new Map();
+    this.inputAcksPending = new Set();
+
+    this.stateHistoryEnabled = false;
+    this.stateHistoryDuration = 1000;
+    this.stateHistorySize = 0;
+    this.stateHistory = [];
+    this.stateHistoryStart = 0;
+
+    this.deltaPatch = false;
+    this.keyframeInterval = 20;
+    this.deltaSeq = 0;
+    this.deltaHistory = new Map();
+    this.deltaAcks = new Map();
+
+    this.lockstep = false;
+    this.turn = 0;
+    this.turnTimeout = 200;
+    this.maxTurnsAhead = 10;
+    this.turnElapsed = 0;
+    this.turnInputs = new Map();
+    this.unregisterTurn = () => {};
+
+    this.recorder = null;
+
+    this.statsEnabled = false;
+    this.statsBuckets = [1, 2, 4, 8, 16, 32, 64];
+    this.stats = null;
+    this.timeout = 0;
+    if (wsServer.syncMode === 'lockstep') this.setLockstep(true);
   }
 
   onTick(deltaTime, elapsedTime) {
@@ -28,6 +67,25 @@ export default class WSServerGameRoom extends WSServerRoom {
     return {};
   }
 
+  onSnapshot(tick, elapsedTime) {
+    // to be overriden to return the state kept in the history (e.g. the positions of the players)
+    return {};
+  }
+
+  onInput(input, clientMeta, client, tick) {
+    // to be overriden, called at the start of the simulation step of the input
+  }
+
+  onTurn(frame) {
+    // to be overriden, called with each input frame before its broadcast
+  }
+
+  onPatchClient(clientMeta, deltaTime, elapsedTime, worldState) {
+    // to be overriden to send each client its own view of the world (e.g. its area of interest)
+    // return the same object for the clients sharing a view, undefined to send nothing
+    return worldState;
+  }
+
   setSimulationPerSec(updatePerSec) {
     this.updatePerSec = updatePerSec;
     this.timestep = 1000 / this.updatePerSec;
@@ -48,6 +106,281 @@ export default class WSServerGameRoom extends WSServerRoom {
     this.setPatchPerSec(1000 / patchTimestep);
   }
 
+  /**
+   * Send the world states as deltas: each client only receives the changes since
+   * the last state it acknowledged, with a full state (keyframe) every keyframeInterval patches.
+   * The clients (WSClientRoom) rebuild the full states transparently.
+   *
+   * @param {boolean} [enabled=true] - Enable or disable the delta patches.
+   * @param {number} [keyframeInterval=20] - The number of patches between two full states.
+   */
+  setDeltaPatch(enabled = true, keyframeInterval = 20) {
+    this.deltaPatch = enabled;
+    this.keyframeInterval = keyframeInterval;
+    this.deltaHistory.clear();
+    this.deltaAcks.clear();
+  }
+
+  /**
+   * Keep the states of the last simulation steps (returned by onSnapshot) in a ring buffer,
+   * to evaluate the actions of the clients in the past with rewind (lag compensation).
+   *
+   * @param {boolean} [enabled=true] - Enable or disable the state history.
+   * @param {number} [maxDuration=1000] - The duration of the history in milliseconds, with the current timestep.
+   */
+  setStateHistory(enabled = true, maxDuration = 1000) {
+    this.stateHistoryEnabled = enabled;
+    this.stateHistoryDuration = maxDuration;
+    this.stateHistorySize = Math.ceil(maxDuration / this.timestep) + 1;
+    this.stateHistory = [];
+    this.stateHistoryStart = 0;
+  }
+
+  recordState() {
+    const state = structuredClone(this.onSnapshot(this.currentTick, this.elapsedTime));
+    const snapshot = { tick: this.currentTick, time: this.elapsedTime, state };
+    if (this.stateHistory.length < this.stateHistorySize) {
+      this.stateHistory.push(snapshot);
+      return;
+    }
+    // The oldest snapshot is overwritten
+    this.stateHistory[this.stateHistoryStart] = snapshot;
+    this.stateHistoryStart = (this.stateHistoryStart + 1) % this.stateHistory.length;
+  }
+
+  /**
+   * Get the state of the history at a past time.
+   * Without lerpFn, it is the last state recorded at or before the time.
+   * Before the history, it is the oldest state (the rewind is limited to the history duration).
+   *
+   * @param {number} time - The time, on the elapsedTime clock.
+   * @param {Function} [lerpFn=null] - The interpolation function (from, to, t) => state between two recorded states.
+   * @returns {*} - The state (not a copy, do not modify it), or null if the history is empty.
+   */
+  getStateAt(time, lerpFn = null) {
+    const count = this.stateHistory.length;
+    if (count === 0) return null;
+
+    const at = index => this.stateHistory[(this.stateHistoryStart + index) % count];
+    if (time <= at(0).time) return at(0).state;
+
+    let low = 0;
+    let high = count - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (at(middle).time <= time) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    const from = at(low);
+    if (lerpFn === null || low === count - 1) return from.state;
+    const to = at(low + 1);
+    return lerpFn(from.state, to.state, (time - from.time) / (to.time - from.time));
+  }
+
+  /**
+   * Evaluate a function on the state of the history at a past time (see getStateAt).
+   *
+   * @param {number} time - The time, on the elapsedTime clock.
+   * @param {Function} fn - The function called with the past state, it must not modify it.
+   * @param {Function} [lerpFn=null] - The interpolation function between two recorded states.
+   * @returns {*} - The result of the function.
+   */
+  rewind(time, fn, lerpFn = null) {
+    return fn(this.getStateAt(time, lerpFn));
+  }
+
+  /**
+   * The time of the state displayed by a client when it sent the action received now: the state took
+   * half a round trip to reach the client, was displayed after its interpolation delay, and the action
+   * took another half round trip to reach the server.
+   *
+   * @param {number} rtt - The round-trip time of the client in milliseconds.
+   * @param {number} [interpolationDelay=0] - The interpolation delay of the client in milliseconds.
+   * @returns {number} - The time on the elapsedTime clock.
+   */
+  getClientViewTime(rtt, interpolationDelay = 0) {
+    return this.elapsedTime - rtt - interpolationDelay;
+  }
+
+  /**
+   * Synchronize the clients in deterministic lockstep instead of patches: the clients run the simulation
+   * and the room only relays the inputs. The inputs of each turn are broadcast as a single frame
+   * once all the clients sent theirs, or when the turn timeout expires (the late clients are listed as missing).
+   * Enabled by the 'lockstep' sync mode of WSServerRoomManager.
+   *
+   * @param {boolean} [enabled=true] - Enable or disable the lockstep.
+   * @param {number} [turnTimeout=200] - The maximum duration of a turn in milliseconds (of the game loop).
+   */
+  setLockstep(enabled = true, turnTimeout = 200) {
+    this.lockstep = enabled;
+    this.turnTimeout = turnTimeout;
+    this.turnElapsed = 0;
+    this.unregisterTurn();
+    this.unregisterTurn = () => {};
+    if (!enabled) return;
+    this.unregisterTurn = this.register(dt => {
+      this.turnElapsed += dt;
+      if (this.turnElapsed >= this.turnTimeout) this.endTurn();
+    });
+  }
+
+  submitTurnInput(turn, input, clientMeta, client) {
+    if (turn < this.turn) throw new WSServerError('Late turn input');
+    if (turn > this.turn + this.maxTurnsAhead) throw new WSServerError('Turn too far ahead');
+    if (!this.turnInputs.has(turn)) this.turnInputs.set(turn, new Map());
+    const inputs = this.turnInputs.get(turn);
+    if (inputs.has(client)) throw new WSServerError('Turn input already sent');
+    inputs.set(client, input);
+
+    // The turns already complete are ended without waiting for the timeout
+    while (this.isTurnComplete()) this.endTurn();
+  }
+
+  isTurnComplete() {
+    const inputs = this.turnInputs.get(this.turn);
+    if (!inputs) return false;
+    const clients = this.wsServer.getClientSocketsOfRoom(this.name);
+    return clients.length > 0 && clients.every(client => inputs.has(client));
+  }
+
+  endTurn() {
+    const inputs = this.turnInputs.get(this.turn) ?? new Map();
+    const frame = { turn: this.turn, inputs: {}, missing: [] };
+    for (const client of this.wsServer.getClientSocketsOfRoom(this.name)) {
+      const clientId = this.wsServer.getClientMeta(client).id;
+      if (inputs.has(client)) {
+        frame.inputs[clientId] = inputs.get(client);
+      } else {
+        frame.missing.push(clientId);
+      }
+    }
+
+    this.turnInputs.delete(this.turn);
+    this.turn++;
+    this.turnElapsed = 0;
+    this.record('turn', { frame });
+    this.onTurn(frame);
+    this.broadcastCmd('__turn', frame);
+  }
+
+  /**
+   * Record the match in an append-only log of JSON Lines: the messages and commands of the clients,
+   * the inputs, the turns, the tick boundaries and the patches (see WSServerReplay to replay it).
+   *
+   * @param {Function|{write: Function}} output - A function or a writable stream receiving each line.
+   */
+  startRecording(output) {
+    this.stopRecording();
+    this.recorder = typeof output === 'function' ? output : line => output.write(line);
+    this.record('start', { room: this.name, timestep: this.timestep, patchTimestep: this.patchTimestep, date: Date.now() });
+  }
+
+  stopRecording() {
+    if (this.recorder === null) return;
+    this.record('stop');
+    this.recorder = null;
+  }
+
+  record(type, data = {}) {
+    if (this.recorder === null) return;
+    this.recorder(JSON.stringify({ type, tick: this.currentTick, time: this.elapsedTime, ...data }) + '\n');
+  }
+
+  /**
+   * Collect the performance metrics of the game loop and of the patches, see getStats.
+   *
+   * @param {boolean} [enabled=true] - Enable or disable the metrics.
+   */
+  setStats(enabled = true) {
+    this.statsEnabled = enabled;
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      frames: 0,
+      steps: 0,
+      maxSteps: 0,
+      slowFrames: 0,
+      tickTime: 0,
+      maxTickTime: 0,
+      tickHistogram: new Array(this.statsBuckets.length + 1).fill(0),
+      drift: 0,
+      maxDrift: 0,
+      patches: 0,
+      patchBytes: 0,
+      lastPatchBytes: 0,
+      maxPatchBytes: 0,
+      patchTime: 0,
+      maxPatchTime: 0,
+    };
+  }
+
+  /**
+   * The metrics since setStats or resetStats. The times are in milliseconds.
+   * A frame is a run of the main loop timer, simulating zero or more steps.
+   *
+   * @returns {object|null} - The metrics, null if disabled.
+   */
+  getStats() {
+    if (!this.statsEnabled) return null;
+    const stats = this.stats;
+    const average = (total, count) => count > 0 ? total / count : 0;
+    return {
+      frames: stats.frames,
+      steps: stats.steps,
+      slowFrames: stats.slowFrames,
+      stepsPerFrame: { avg: average(stats.steps, stats.frames), max: stats.maxSteps },
+      tickTime: {
+        avg: average(stats.tickTime, stats.frames),
+        max: stats.maxTickTime,
+        histogram: stats.tickHistogram.map((count, index) => ({ le: this.statsBuckets[index] ?? Infinity, count })),
+      },
+      drift: { avg: average(stats.drift, stats.frames), max: stats.maxDrift },
+      patches: stats.patches,
+      patchBytes: {
+        last: stats.lastPatchBytes,
+        avg: average(stats.patchBytes, stats.patches),
+        max: stats.maxPatchBytes,
+        total: stats.patchBytes,
+      },
+      patchTime: { avg: average(stats.patchTime, stats.patches), max: stats.maxPatchTime },
+    };
+  }
+
+  recordFrameStats(tickTime, steps, drift) {
+    const stats = this.stats;
+    stats.frames++;
+    stats.steps += steps;
+    stats.maxSteps = Math.max(stats.maxSteps, steps);
+    stats.tickTime += tickTime;
+    stats.maxTickTime = Math.max(stats.maxTickTime, tickTime);
+    const bucket = this.statsBuckets.findIndex(limit => tickTime <= limit);
+    stats.tickHistogram[bucket === -1 ? this.statsBuckets.length : bucket]++;
+    stats.drift += drift;
+    stats.maxDrift = Math.max(stats.maxDrift, drift);
+  }
+
+  recordPatchStats(bytes, patchTime) {
+    const stats = this.stats;
+    stats.patches++;
+    stats.patchBytes += bytes;
+    stats.lastPatchBytes = bytes;
+    stats.maxPatchBytes = Math.max(stats.maxPatchBytes, bytes);
+    stats.patchTime += patchTime;
+    stats.maxPatchTime = Math.max(stats.maxPatchTime, patchTime);
+  }
+
+  measure(payload, nbClients) {
+    // Only the payloads are counted, not the message envelopes
+    if (!this.statsEnabled) return 0;
+    return Buffer.byteLength(JSON.stringify(payload ?? null)) * nbClients;
+  }
+
   hrtimeMs() {
     const time = process.hrtime();
     return time[0] * 1000 + time[1] / 1000000;
@@ -56,19 +389,206 @@ export default class WSServerGameRoom extends WSServerRoom {
   startMainLoop() {
     if (this.isRunning) return;
     this.isRunning = true;
-    this.lastTickTime = this.hrtimeMs();
-    this.loop = setTimeout(() => this._tick(), 0);
+    this.isPaused = false;
+    this._restartLoop();
   }
 
   stopMainLoop() {
     if (!this.isRunning) return;
     clearTimeout(this.loop);
     this.isRunning = false;
+    this.isPaused = false;
+  }
+
+  /**
+   * Pause the game loop: no simulation step, no patch, and the registered callbacks
+   * (timeouts and throttles included) are frozen until resume. The clients are notified.
+   */
+  pause() {
+    if (!this.isRunning || this.isPaused) return;
+    clearTimeout(this.loop);
+    this.isPaused = true;
+    this.sendLoopState();
+  }
+
+  /**
+   * Resume a paused game loop, from where it was paused (without catching up the paused time).
+   */
+  resume() {
+    if (!this.isPaused) return;
+    this.isPaused = false;
+    this._restartLoop();
+    this.sendLoopState();
+  }
+
+  /**
+   * Slow down or speed up the game: the simulation steps keep their timestep,
+   * but there are timeScale times as many per second. The clients are notified.
+   *
+   * @param {number} timeScale - The time scale, 1 for real time.
+   */
+  setTimeScale(timeScale) {
+    if (!(timeScale > 0)) throw new Error('Invalid time scale, use pause to stop the time');
+    this.timeScale = timeScale;
+    this.sendLoopState();
+  }
+
+  sendLoopState() {
+    this.broadcastCmd('__loop', { paused: this.isPaused, timeScale: this.timeScale, elapsedTime: this.elapsedTime });
+  }
+
+  _restartLoop() {
+    // The time spent stopped is not simulated
+    this.frameDelta = 0;
+    this.lastTickTime = this.hrtimeMs();
+    this.timeout = 0;
+    this.loop = setTimeout(() => this._tick(), 0);
+  }
+
+  /**
+   * Queue a sequenced input of a client, to be applied by onInput at the start of its target tick.
+   * An input late for its tick is applied on the next one, the inputs of a client are applied in order.
+   *
+   * @param {*} input - The input data.
+   * @param {number} seq - The sequence number of the input, increasing for each input of the client.
+   * @param {number} [tick] - The target simulation tick, the next one by default.
+   * @param {object} clientMeta - The client metadata.
+   * @param {WebSocket} client - The client socket.
+   * @returns {boolean} - False if the input is out of sequence, too far ahead or the queue of the client is full.
+   */
+  queueInput(input, seq, tick, clientMeta, client) {
+    // An input far in the future would hold back the next inputs of the client
+    if (tick != null && !(tick <= this.currentTick + this.inputMaxTicksAhead)) return false;
+    if (!this.inputQueues.has(client)) this.inputQueues.set(client, []);
+    const queue = this.inputQueues.get(client);
+    const last = queue.at(-1);
+    if (seq <= (last?.seq ?? this.inputAcks.get(client) ?? 0)) return false;
+    if (queue.length >= this.inputMaxQueueSize) return false;
+
+    // Never before the next tick, nor before the previous input of the client
+    tick = Math.max(tick ?? 0, this.currentTick + 1, last?.tick ?? 0);
+    queue.push({ seq, tick, input, clientMeta });
+    return true;
+  }
+
+  processInputs(tick) {
+    for (const [client, queue] of this.inputQueues) {
+      while (queue.length > 0 && queue[0].tick <= tick) {
+        const { seq, input, clientMeta } = queue.shift();
+        this.record('input', { client: clientMeta, seq, input });
+        this.onInput(input, clientMeta, client, tick);
+        this.inputAcks.set(client, seq);
+        this.inputAcksPending.add(client);
+      }
+    }
+  }
+
+  sendInputAcks() {
+    if (this.inputQueues.size === 0) return;
+
+    // The last processed input of each client is sent just before the state it is part of
+    const roomClients = new Set(this.wsServer.getClientSocketsOfRoom(this.name));
+    for (const client of this.inputAcksPending) {
+      if (!roomClients.has(client)) continue;
+      this.sendCmd(client, '__input-ack', { seq: this.inputAcks.get(client), tick: this.currentTick });
+    }
+    this.inputAcksPending.clear();
+
+    for (const client of this.inputQueues.keys()) {
+      if (roomClients.has(client)) continue;
+      this.inputQueues.delete(client);
+      this.inputAcks.delete(client);
+    }
   }
 
   patch(deltaTime, elapsedTime) {
+    // In lockstep, the clients run the simulation from the input frames
+    if (this.lockstep) return;
     const worldState = this.onPatch(deltaTime, elapsedTime);
-    this.broadcast(worldState);
+    this.record('patch', { state: worldState });
+    const start = this.statsEnabled ? this.hrtimeMs() : 0;
+    this.sendInputAcks();
+    const bytes = this.sendPatch(worldState, deltaTime, elapsedTime);
+    if (this.statsEnabled) this.recordPatchStats(bytes, this.hrtimeMs() - start);
+  }
+
+  sendPatch(worldState, deltaTime, elapsedTime) {
+    if (this.onPatchClient === WSServerGameRoom.prototype.onPatchClient) {
+      if (this.deltaPatch) return this.sendDeltas(new Map([[worldState, this.getPatchClients()]]));
+      this.broadcast(worldState);
+      return this.statsEnabled ? this.measure(worldState, this.getPatchClients().length) : 0;
+    }
+
+    // The clients sharing the same view (the same object) share its serialization
+    const views = new Map();
+    for (const client of this.getPatchClients()) {
+      const clientMeta = this.wsServer.getClientMeta(client);
+      const view = this.onPatchClient(clientMeta, deltaTime, elapsedTime, worldState);
+      if (view === undefined) continue;
+      if (!views.has(view)) views.set(view, []);
+      views.get(view).push(client);
+    }
+    if (this.deltaPatch) return this.sendDeltas(views);
+    let bytes = 0;
+    for (const [view, clients] of views) {
+      this.sendClients(clients, view);
+      bytes += this.measure(view, clients.length);
+    }
+    return bytes;
+  }
+
+  sendDeltas(views) {
+    const seq = ++this.deltaSeq;
+    let bytes = 0;
+    const isKeyframe = (seq - 1) % this.keyframeInterval === 0;
+
+    for (const [view, clients] of views) {
+      // The deltas are computed on the states as the clients receive them
+      const state = JSON.parse(JSON.stringify(view ?? null));
+      // The clients with the same base share the same patch
+      const patches = new Map();
+      for (const client of clients) {
+        if (!this.deltaHistory.has(client)) this.deltaHistory.set(client, new Map());
+        const history = this.deltaHistory.get(client);
+        for (const oldSeq of history.keys()) {
+          if (oldSeq > seq - this.keyframeInterval) break;
+          history.delete(oldSeq);
+        }
+
+        const ack = this.deltaAcks.get(client);
+        const base = !isKeyframe && history.has(ack) ? ack : null;
+        history.set(seq, state);
+        if (!patches.has(base)) {
+          patches.set(base, { clients: [], ops: base === null ? null : diffPatch(history.get(base), state) });
+        }
+        patches.get(base).clients.push(client);
+      }
+
+      for (const [base, patch] of patches) {
+        const data = base === null ? { seq, state } : { seq, base, ops: patch.ops };
+        this.sendClientsCmd(patch.clients, '__patch', data);
+        bytes += this.measure(data, patch.clients.length);
+      }
+    }
+
+    const roomClients = new Set(this.getPatchClients());
+    for (const client of this.deltaHistory.keys()) {
+      if (roomClients.has(client)) continue;
+      this.deltaHistory.delete(client);
+      this.deltaAcks.delete(client);
+    }
+    return bytes;
+  }
+
+  getPatchClients() {
+    // The spectators receive the patches as the connected clients
+    return [...this.wsServer.getClientSocketsOfRoom(this.name), ...this.wsServer.getSpectatorSocketsOfRoom(this.name)];
+  }
+
+  onPatchAck(seq, clientMeta, client) {
+    // Only the states still in the history can be used as a base
+    if (!this.deltaHistory.get(client)?.has(seq)) return;
+    if (seq > (this.deltaAcks.get(client) ?? 0)) this.deltaAcks.set(client, seq);
   }
 
   register(callback) {
@@ -117,34 +637,58 @@ export default class WSServerGameRoom extends WSServerRoom {
   _tick() {
     const now = this.hrtimeMs();
     const deltaTime = now - this.lastTickTime;
-    this.timeout = Math.max(0, this.timestep - deltaTime);
+    // The lateness of the timer
+    const drift = deltaTime - this.timeout;
+    this.timeout = Math.max(0, this.timestep / this.timeScale - deltaTime);
     this.loop = setTimeout(() => this._tick(), this.timeout);
 
-    this.frameDelta += deltaTime;
+    this.frameDelta += deltaTime * this.timeScale;
     this.lastTickTime = now;
 
-    // Fixed simulation steps
+    // Fixed simulation steps, at most a second of real time
+    const maxUpdate = this.updatePerSec * this.timeScale;
     let numUpdate = 0;
-    while (this.frameDelta >= this.timestep && numUpdate <= this.updatePerSec) {
-      this.elapsedTime += this.timestep;
-      for (const callback of this.registredUpdate) {
-        callback(this.timestep, this.elapsedTime);
-      }
-      this.onTick(this.timestep, this.elapsedTime);
+    while (this.frameDelta >= this.timestep && numUpdate <= maxUpdate) {
+      this._beginStep();
+      this.processInputs(this.currentTick);
+      this._update();
       this.frameDelta -= this.timestep;
       numUpdate++;
     }
 
     // We run the update more than 1 second !
-    if (numUpdate > this.updatePerSec) {
+    if (numUpdate > maxUpdate) {
       this.wsServer.log(`Game '${this.name}' is running slow`);
+      if (this.statsEnabled) this.stats.slowFrames++;
       this.panic(this.frameDelta);
     }
+    if (this.statsEnabled) this.recordFrameStats(this.hrtimeMs() - now, numUpdate, drift);
+  }
+
+  _beginStep() {
+    this.elapsedTime += this.timestep;
+    this.currentTick++;
+  }
+
+  _update() {
+    for (const callback of this.registredUpdate) {
+      callback(this.timestep, this.elapsedTime);
+    }
+    this.onTick(this.timestep, this.elapsedTime);
+    if (this.stateHistoryEnabled) this.recordState();
+    // The tick boundary closes the records of the step
+    this.record('tick');
   }
 
   dispose() {
+    this.stopRecording();
     this.stopMainLoop();
     this.registredUpdate.clear();
+    this.inputQueues.clear();
+    this.inputAcks.clear();
+    this.inputAcksPending.clear();
+    this.stateHistory = [];
+    this.turnInputs.clear();
   }
 
 }
\ No newline at end of file
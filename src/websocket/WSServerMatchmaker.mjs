@@ -0,0 +1,224 @@
+import WSServerError from "./WSServerError.mjs";
+import WSServerRoomManager from "./WSServerRoomManager.mjs";
+
+export default class WSServerMatchmaker {
+
+  /**
+   * A matchmaking queue for the clients of a room manager. The clients enqueue with their criteria,
+   * the compatible clients are grouped in a new room (created with its onCreate hook) and joined to it.
+   *
+   * @param {WSServerRoomManager} wsServer - The room manager creating the rooms of the matches.
+   * @param {object} [options] - The matchmaking options.
+   * @param {number|object} [options.playersPerMatch=2] - The number of players of a match, or an object by mode.
+   * @param {string[]} [options.modes=null] - The allowed modes, null for any mode.
+   * @param {number} [options.skillWindow=100] - The maximum skill difference between two players at first.
+   * @param {number} [options.skillWindowGrowth=50] - The widening of the skill window per second of waiting.
+   * @param {number} [options.maxSkillWindow=Infinity] - The maximum skill window.
+   * @param {number} [options.regionTimeout=10000] - The waiting time (ms) after which a player accepts any region.
+   * @param {number} [options.interval=1000] - The time (ms) between two matching passes and queue updates.
+   * @param {object} [options.roomOptions] - The options of the rooms of the matches (see WSServerRoomManager createRoom).
+   */
+  constructor(wsServer, {
+    playersPerMatch = 2,
+    modes = null,
+    skillWindow = 100,
+    skillWindowGrowth = 50,
+    maxSkillWindow = Infinity,
+    regionTimeout = 10000,
+    interval = 1000,
+    roomOptions = { isPrivate: true },
+  } = {}) {
+    if (!(wsServer instanceof WSServerRoomManager)) throw new Error('The matchmaker requires a WSServerRoomManager');
+    this.wsServer = wsServer;
+    this.playersPerMatch = playersPerMatch;
+    this.modes = modes;
+    this.skillWindow = skillWindow;
+    this.skillWindowGrowth = skillWindowGrowth;
+    this.maxSkillWindow = maxSkillWindow;
+    this.regionTimeout = regionTimeout;
+    this.interval = interval;
+    this.roomOptions = roomOptions;
+
+    this.queue = new Map();
+    this.waitTimes = new Map();
+    this.maxWaitTimes = 20;
+    this.timer = null;
+
+    this.clientEnqueue = this.clientEnqueue.bind(this);
+    this.clientCancel = this.clientCancel.bind(this);
+    wsServer.addRpc(wsServer.prefix + 'queue', this.clientEnqueue);
+    wsServer.addRpc(wsServer.prefix + 'queue-cancel', this.clientCancel);
+  }
+
+  clientEnqueue(data, clientMeta, client) {
+    const mode = data?.mode ?? null;
+    const skill = data?.skill ?? 0;
+    const region = data?.region ?? null;
+    if (mode !== null && typeof mode !== 'string') throw new WSServerError('Invalid mode');
+    if (this.modes !== null && !this.modes.includes(mode)) throw new WSServerError('Unknown mode');
+    if (typeof skill !== 'number' || !Number.isFinite(skill)) throw new WSServerError('Invalid skill rating');
+    if (region !== null && typeof region !== 'string') throw new WSServerError('Invalid region');
+
+    if (!this.enqueue(client, { mode, skill, region })) throw new WSServerError('Already in queue');
+    return this.getQueueState(client);
+  }
+
+  clientCancel(data, clientMeta, client) {
+    if (!this.dequeue(client)) throw new WSServerError('Not in queue');
+    return true;
+  }
+
+  /**
+   * @param {WebSocket} client - The client to enqueue.
+   * @param {object} criteria - The mode, skill and region of the client.
+   * @returns {boolean} - False if the client is already in the queue.
+   */
+  enqueue(client, { mode = null, skill = 0, region = null } = {}) {
+    if (this.queue.has(client)) return false;
+    this.queue.set(client, { client, mode, skill, region, time: Date.now() });
+    if (this.timer === null) this.timer = setInterval(() => this.update(), this.interval);
+    return true;
+  }
+
+  dequeue(client) {
+    if (!this.queue.delete(client)) return false;
+    if (this.queue.size === 0) this.stop();
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  close() {
+    this.stop();
+    this.queue.clear();
+  }
+
+  getPlayersPerMatch(mode) {
+    if (typeof this.playersPerMatch === 'number') return this.playersPerMatch;
+    return this.playersPerMatch[mode] ?? 2;
+  }
+
+  getSkillWindow(ticket, now) {
+    const waited = (now - ticket.time) / 1000;
+    return Math.min(this.skillWindow + this.skillWindowGrowth * waited, this.maxSkillWindow);
+  }
+
+  isCompatible(ticketA, ticketB, now) {
+    // can be overriden to add other rules, the tickets have the same mode
+    const skillWindow = Math.min(this.getSkillWindow(ticketA, now), this.getSkillWindow(ticketB, now));
+    if (Math.abs(ticketA.skill - ticketB.skill) > skillWindow) return false;
+
+    if (ticketA.region === null || ticketB.region === null || ticketA.region === ticketB.region) return true;
+    return now - ticketA.time >= this.regionTimeout && now - ticketB.time >= this.regionTimeout;
+  }
+
+  /**
+   * A matching pass: the oldest tickets first, with the compatible tickets of the same mode.
+   * The clients still waiting receive their position and estimated waiting time.
+   */
+  update() {
+    const now = Date.now();
+    for (const client of this.queue.keys()) {
+      // The disconnected clients leave the queue
+      if (!this.wsServer.clients.has(client)) this.queue.delete(client);
+    }
+
+    const matched = new Set();
+    for (const ticket of this.queue.values()) {
+      if (matched.has(ticket)) continue;
+      const group = [ticket];
+      const size = this.getPlayersPerMatch(ticket.mode);
+      for (const other of this.queue.values()) {
+        if (group.length >= size) break;
+        if (other === ticket || matched.has(other) || other.mode !== ticket.mode) continue;
+        if (group.every(member => this.isCompatible(member, other, now))) group.push(other);
+      }
+      if (group.length < size) continue;
+      for (const member of group) matched.add(member);
+    }
+
+    for (const ticket of matched) this.queue.delete(ticket.client);
+    this.createMatches([...matched], now);
+
+    for (const client of this.queue.keys()) {
+      this.wsServer.sendCmd(client, this.wsServer.prefix + 'queue', this.getQueueState(client, now));
+    }
+    if (this.queue.size === 0) this.stop();
+  }
+
+  createMatches(tickets, now) {
+    while (tickets.length > 0) {
+      const size = this.getPlayersPerMatch(tickets[0].mode);
+      this.createMatch(tickets.splice(0, size), now);
+    }
+  }
+
+  createMatch(tickets, now = Date.now()) {
+    const mode = tickets[0].mode;
+    const waitTimes = this.waitTimes.get(mode) ?? [];
+    for (const ticket of tickets) waitTimes.push(now - ticket.time);
+    this.waitTimes.set(mode, waitTimes.slice(-this.maxWaitTimes));
+
+    const roomName = this.wsServer.createRoom(null, true, this.roomOptions);
+    // With room workers, the room is created and joined asynchronously
+    if (typeof roomName?.then === 'function') return roomName.then(roomName => this.joinMatch(tickets, mode, roomName));
+    return this.joinMatch(tickets, mode, roomName);
+  }
+
+  joinMatch(tickets, mode, roomName) {
+    if (roomName === false) {
+      for (const ticket of tickets) this.sendMatch(ticket.client, { error: 'Match creation failed' });
+      return false;
+    }
+    this.wsServer.getRoomMeta(roomName).mode = mode;
+
+    const joins = tickets.map(({ client, mode, skill, region }) => {
+      const sendError = e => this.sendMatch(client, { error: this.wsServer.getErrorResponse(e) });
+      try {
+        const data = { name: roomName, password: this.roomOptions?.password, msg: { mode, skill, region } };
+        const response = this.wsServer.clientJoinRoom(data, this.wsServer.clients.get(client), client);
+        if (typeof response?.then === 'function') return response.then(response => this.sendMatch(client, response), sendError);
+        this.sendMatch(client, response);
+      } catch (e) {
+        sendError(e);
+      }
+      return null;
+    });
+
+    if (joins.every(join => join === null)) return this.endMatch(roomName);
+    return Promise.all(joins).then(() => this.endMatch(roomName));
+  }
+
+  endMatch(roomName) {
+    if (this.wsServer.rooms.get(roomName)?.chan.clients.size === 0) this.wsServer.deleteRoom(roomName);
+    return roomName;
+  }
+
+  sendMatch(client, data) {
+    this.wsServer.sendCmd(client, this.wsServer.prefix + 'match', data);
+  }
+
+  /**
+   * @param {WebSocket} client - A client in the queue.
+   * @param {number} [now=Date.now()] - The current time.
+   * @returns {{position: number, size: number, waited: number, eta: number|null}} - The position of the client
+   * in the queue of its mode, the size of this queue, its waiting time and its estimated remaining waiting time (ms).
+   */
+  getQueueState(client, now = Date.now()) {
+    const ticket = this.queue.get(client);
+    const tickets = [...this.queue.values()].filter(other => other.mode === ticket.mode);
+    const waited = now - ticket.time;
+    const waitTimes = this.waitTimes.get(ticket.mode) ?? [];
+    const averageWait = waitTimes.reduce((sum, time) => sum + time, 0) / waitTimes.length;
+    return {
+      position: tickets.indexOf(ticket) + 1,
+      size: tickets.length,
+      waited,
+      eta: waitTimes.length > 0 ? Math.max(0, Math.round(averageWait - waited)) : null,
+    };
+  }
+
+}
@@ -6,6 +6,7 @@ export default class WSServerPubSub extends WSServer {
   rpcs = new Map();
   actionsRpc = ['rpc'];
   actionsPubSub = ['sub', 'pub', 'pub-simple', 'unsub'];
+  actionsTimeSync = ['time-sync'];
 
   /**
    * Add a channel to the server
@@ -15,20 +16,22 @@ export default class WSServerPubSub extends WSServer {
    * @param {boolean} [options.usersCanPub=true] - If users can publish on this channel
    * @param {boolean} [options.usersCanSub=true] - If users can subscribe to this channel
    * @param {function} [options.hookPub=(msg, client, wsServer) => msg] - The hook to call before publishing a message
-   * It must return the message to send to the all clients of the channel.
+   * It must return the message to send to the all clients of the channel (or a Promise resolving to it).
    * The callback is called with the message to publish, the client metadata and the server instance.
-   * It can throw a WSServerError to send an error to the client
+   * It can throw (or reject with) a WSServerError to send an error to the client
    * @param {function} [options.hookPubPost=(msg, client, wsServer) => null] - The hook to call after a successful publication
    * The callback is called with the transformed message, the client metadata and the server instance.
    * Errors thrown in this hook are logged but do not affect the publication.
    * @param {function} [options.hookSub=(client, wsServer) => true] - The hook to call before subscribing a client to the channel
-   * It must return true if the client can subscribe to the channel, false otherwise.
+   * It must return true if the client can subscribe to the channel, false otherwise (or a Promise resolving to it).
+   * It can throw (or reject with) a WSServerError to send an error to the client.
    * The callback is called with the client metadata and the server instance
    * @param {function} [options.hookSubPost=(client, wsServer) => null] - The hook to call after a successful subscription
    * The callback is called with the client metadata and the server instance.
    * Errors thrown in this hook are logged but do not affect the subscription.
    * @param {function} [options.hookUnsub=(client, wsServer) => null] - The hook to call before unsubscribing a client to the channel
-   * The return value does not matter.
+   * The return value does not matter, but a returned Promise is awaited before confirming an unsub request
+   * (it is not awaited when the client disconnects or the channel is removed).
    * The callback is called with the client metadata and the server instance
    * @param {function} [options.hookUnsubPost=(client, wsServer) => null] - The hook to call after a successful unsubscription
    * The callback is called with the client metadata and the server instance.
@@ -41,6 +44,9 @@ export default class WSServerPubSub extends WSServer {
    *   hookPub: (msg, client, wsServer) => {
    *     return {...msg, from: client.username, time: Date.now()}
    *   },
+   *   hookSub: async (client, wsServer) => {
+   *     return await permissions.canRead(client.id, 'chat');
+   *   },
    *   hookPubPost: (msg, client, wsServer) => {
    *     console.log(`User ${client.id} published message to chat`);
    *   },
@@ -147,13 +153,21 @@ export default class WSServerPubSub extends WSServer {
    * @param {string} name - The RPC name
    * @param {function} callback - The RPC callback. It must return the response to the client.
    * The callback is called with the data sent by the client, the client metadata, the ws client and the server instance.
-   * The callback can throw a WSServerError to send an error to the client
+   * The callback can throw a WSServerError to send an error to the client.
+   * The callback can also be async (return a Promise): the response is sent when the promise resolves
+   * and a rejection is handled like a thrown error.
    *
    * @example
    * wsServer.addRpc('hello', (data, clientMetadata, client, wsServer) => {
    *   if (!data?.name) throw new WSServerError('Name is required');
    *   return `Hello from WS server ${data.name}`;
    * });
+   *
+   * wsServer.addRpc('get-user', async (data, clientMetadata, client, wsServer) => {
+   *   const user = await db.findUser(data.id);
+   *   if (!user) throw new WSServerError('User not found');
+   *   return user;
+   * });
    */
   addRpc(name, callback) {
     if (this.rpcs.has(name)) return false;
@@ -167,11 +181,7 @@ export default class WSServerPubSub extends WSServer {
     // Call the unsub and unsubPost hooks for all clients
     for (const client of chan.clients) {
       const clientData = this.clients.get(client);
-      try {
-        chan.hookUnsub(clientData, this);
-      } catch (e) {
-        this.log('hookUnsub error: ' + e.message, 'error');
-      }
+      this.callHookUnsub(chan, clientData);
       try {
         chan.hookUnsubPost(clientData, this);
       } catch (e) {
@@ -182,6 +192,18 @@ export default class WSServerPubSub extends WSServer {
     return true;
   }
 
+  callHookUnsub(chan, clientData) {
+    // The client is already gone: an async hookUnsub is not awaited, only its rejection is logged
+    try {
+      const hookResult = chan.hookUnsub(clientData, this);
+      if (typeof hookResult?.then === 'function') {
+        Promise.resolve(hookResult).catch(e => this.log('hookUnsub error: ' + e?.message, 'error'));
+      }
+    } catch (e) {
+      this.log('hookUnsub error: ' + e.message, 'error');
+    }
+  }
+
   removeRpc(name) {
     if (!this.rpcs.has(name)) return false;
     this.rpcs.delete(name);
@@ -189,7 +211,9 @@ export default class WSServerPubSub extends WSServer {
   }
 
   isActionValid(action) {
-    return this.actionsPubSub.includes(action) || this.actionsRpc.includes(action);
+    return this.actionsPubSub.includes(action)
+      || this.actionsRpc.includes(action)
+      || this.actionsTimeSync.includes(action);
   }
 
   onMessage(client, message) {
@@ -216,9 +240,20 @@ export default class WSServerPubSub extends WSServer {
     if (this.actionsPubSub.includes(data.action)) {
       return this.managePubSub(client, data);
     }
+    if (this.actionsTimeSync.includes(data.action)) {
+      return this.manageTimeSync(client, data);
+    }
     return data;
   }
 
+  manageTimeSync(client, data) {
+    if (typeof data?.id !== 'number') {
+      return this.sendError(client, 'Invalid id or id is missing');
+    }
+    this.sendTimeSync(client, data.id);
+    return true;
+  }
+
   managePubSub(client, data) {
     if (typeof data?.chan !== 'string') {
       return this.sendError(client, 'Invalid chan');
@@ -238,21 +273,19 @@ export default class WSServerPubSub extends WSServer {
         return this.sendUnsubError(client, data.id, data.chan, 'Not subscribed');
       }
 
+      let hookResult;
       try {
-        chan.hookUnsub(this.clients.get(client), this);
+        hookResult = chan.hookUnsub(this.clients.get(client), this);
       } catch (e) {
         this.log('hookUnsub error: ' + e.message, 'error');
       }
 
-      chan.clients.delete(client);
-
-      try {
-        chan.hookUnsubPost(this.clients.get(client), this);
-      } catch (e) {
-        this.log('hookUnsubPost error: ' + e.message, 'error');
+      if (typeof hookResult?.then === 'function') {
+        return Promise.resolve(hookResult)
+          .catch(e => this.log('hookUnsub error: ' + e?.message, 'error'))
+          .then(() => this.confirmUnsub(client, data, chan));
       }
-
-      return this.sendUnsubSuccess(client, data.id, data.chan, 'Unsubscribed');
+      return this.confirmUnsub(client, data, chan);
     }
 
     if (data.action === 'sub') {
@@ -266,19 +299,19 @@ export default class WSServerPubSub extends WSServer {
         return this.sendSubError(client, data.id, data.chan, 'Users cannot sub on this chan');
       }
 
-      if (!chan.hookSub(this.clients.get(client), this)) {
-        return this.sendSubError(client, data.id, data.chan, 'Subscription denied');
-      }
-
-      chan.clients.add(client);
-
       try {
-        chan.hookSubPost(this.clients.get(client), this);
+        var canSub = chan.hookSub(this.clients.get(client), this);
       } catch (e) {
-        this.log('hookSubPost error: ' + e.message, 'error');
+        return this.sendSubError(client, data.id, data.chan, this.getErrorResponse(e));
       }
 
-      return this.sendSubSuccess(client, data.id, data.chan, 'Subscribed');
+      if (typeof canSub?.then === 'function') {
+        return Promise.resolve(canSub).then(
+          (canSub) => this.confirmSub(client, data, chan, canSub),
+          (e) => this.sendSubError(client, data.id, data.chan, this.getErrorResponse(e)),
+        );
+      }
+      return this.confirmSub(client, data, chan, canSub);
     }
 
     if (data.action === 'pub') {
@@ -295,20 +328,16 @@ export default class WSServerPubSub extends WSServer {
       try {
         var dataToSend = chan.hookPub(data.msg, this.clients.get(client), this);
       } catch (e) {
-        if (!(e instanceof WSServerError)) this.log(e.name + ': ' + e.message, 'error');
-        const response = e instanceof WSServerError ? e.message : 'Server error';
-        return this.sendPubError(client, data.id, data.chan, response);
+        return this.sendPubError(client, data.id, data.chan, this.getErrorResponse(e));
       }
 
-      this.sendPubSuccess(client, data.id, data.chan, 'Message sent');
-
-      try {
-        chan.hookPubPost(dataToSend, this.clients.get(client), this);
-      } catch (e) {
-        this.log('hookPubPost error: ' + e.message, 'error');
+      if (typeof dataToSend?.then === 'function') {
+        return Promise.resolve(dataToSend).then(
+          (dataToSend) => this.confirmPub(client, data, chan, dataToSend),
+          (e) => this.sendPubError(client, data.id, data.chan, this.getErrorResponse(e)),
+        );
       }
-
-      return this.pub(data.chan, dataToSend);
+      return this.confirmPub(client, data, chan, dataToSend);
     }
 
     if (data.action === 'pub-simple') {
@@ -322,10 +351,80 @@ export default class WSServerPubSub extends WSServer {
         if (!(e instanceof WSServerError)) this.log(e.name + ': ' + e.message, 'error');
         return false;
       }
+      // Sync hooks keep the fast path, async hooks are awaited before publishing
+      if (typeof dataToSend?.then === 'function') {
+        return Promise.resolve(dataToSend).then(
+          (dataToSend) => {
+            // Like confirmPub, dropped if the publisher or the channel is gone
+            if (!this.clients.has(client) || this.channels.get(data.chan) !== chan) return false;
+            return this.pub(data.chan, dataToSend);
+          },
+          (e) => {
+            if (!(e instanceof WSServerError)) this.log(e?.name + ': ' + e?.message, 'error');
+            return false;
+          },
+        );
+      }
       return this.pub(data.chan, dataToSend);
     }
   }
 
+  confirmUnsub(client, data, chan) {
+    // An async hookUnsub may settle after the client left, its hooks were already called by onClose
+    if (!this.clients.has(client) || !chan.clients.has(client)) {
+      return this.sendUnsubError(client, data.id, data.chan, 'Not subscribed');
+    }
+
+    chan.clients.delete(client);
+
+    try {
+      chan.hookUnsubPost(this.clients.get(client), this);
+    } catch (e) {
+      this.log('hookUnsubPost error: ' + e.message, 'error');
+    }
+
+    return this.sendUnsubSuccess(client, data.id, data.chan, 'Unsubscribed');
+  }
+
+  confirmSub(client, data, chan, canSub) {
+    if (!canSub) {
+      return this.sendSubError(client, data.id, data.chan, 'Subscription denied');
+    }
+
+    // An async hookSub may settle after the client left or the channel was removed
+    if (!this.clients.has(client) || this.channels.get(data.chan) !== chan) {
+      return this.sendSubError(client, data.id, data.chan, 'Unknown chan');
+    }
+
+    chan.clients.add(client);
+
+    try {
+      chan.hookSubPost(this.clients.get(client), this);
+    } catch (e) {
+      this.log('hookSubPost error: ' + e.message, 'error');
+    }
+
+    return this.sendSubSuccess(client, data.id, data.chan, 'Subscribed');
+  }
+
+  confirmPub(client, data, chan, dataToSend) {
+    // An async hookPub may settle after the publisher disconnected or the channel was removed
+    if (!this.clients.has(client)) return false;
+    if (this.channels.get(data.chan) !== chan) {
+      return this.sendPubError(client, data.id, data.chan, 'Unknown chan');
+    }
+
+    this.sendPubSuccess(client, data.id, data.chan, 'Message sent');
+
+    try {
+      chan.hookPubPost(dataToSend, this.clients.get(client), this);
+    } catch (e) {
+      this.log('hookPubPost error: ' + e.message, 'error');
+    }
+
+    return this.pub(data.chan, dataToSend);
+  }
+
   manageRpc(client, data) {
     if (typeof data?.name !== 'string') {
       return this.sendError(client, 'Invalid rpc name');
@@ -347,14 +446,30 @@ export default class WSServerPubSub extends WSServer {
     try {
       response = rpc(data.data, this.clients.get(client), client, this);
     } catch (e) {
-      if (!(e instanceof WSServerError)) this.log(e.name +': ' + e.message, 'error');
-      const response = e instanceof WSServerError ? e.message : 'Server error';
-      return this.sendRpcError(client, data.id, data.name, response);
+      return this.manageRpcError(client, data.id, data.name, e);
+    }
+
+    // Async RPC: the response is sent once the promise settles.
+    // Each response carries its own id, so concurrent calls can resolve in any order.
+    if (typeof response?.then === 'function') {
+      return Promise.resolve(response).then(
+        (result) => this.sendRpcSuccess(client, data.id, data.name, result),
+        (e) => this.manageRpcError(client, data.id, data.name, e),
+      );
     }
 
     return this.sendRpcSuccess(client, data.id, data.name, response);
   }
 
+  manageRpcError(client, id, name, e) {
+    return this.sendRpcError(client, id, name, this.getErrorResponse(e));
+  }
+
+  getErrorResponse(e) {
+    if (!(e instanceof WSServerError)) this.log(e?.name + ': ' + e?.message, 'error');
+    return e instanceof WSServerError ? e.message : 'Server error';
+  }
+
   pub(chanName, msg) {
     const chan = this.channels.get(chanName);
     if (!chan) return false;
@@ -371,11 +486,7 @@ export default class WSServerPubSub extends WSServer {
     for (const chan of this.channels.values()) {
       if (chan.clients.has(client)) {
         const clientData = this.clients.get(client);
-        try {
-          chan.hookUnsub(clientData, this);
-        } catch (e) {
-          this.log('hookUnsub error: ' + e.message, 'error');
-        }
+        this.callHookUnsub(chan, clientData);
         chan.clients.delete(client);
         try {
           chan.hookUnsubPost(clientData, this);
@@ -454,6 +565,10 @@ export default class WSServerPubSub extends WSServer {
     this.sendJson(client, {action: 'pub-confirm', id, chan, type, response});
   }
 
+  sendTimeSync(client, id) {
+    this.sendJson(client, {action: 'time-sync', id, time: Date.now()});
+  }
+
   sendAuthFailed(client) {
     this.sendJson(client, {action: 'auth-failed'});
   }
@@ -0,0 +1,207 @@
+import WSServerGameRoom from "./WSServerGameRoom.mjs";
+
+export default class WSServerReplay {
+
+  /**
+   * A match recorded by WSServerGameRoom startRecording.
+   *
+   * @param {object[]} records - The records of the match, in order.
+   */
+  constructor(records = []) {
+    this.records = records;
+    this.start = records.find(record => record.type === 'start') ?? null;
+    this.patches = records.filter(record => record.type === 'patch');
+  }
+
+  /**
+   * @param {string} text - The JSON Lines of a recording.
+   * @returns {WSServerReplay}
+   */
+  static fromJSONLines(text) {
+    const records = text.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+    return new WSServerReplay(records);
+  }
+
+  /**
+   * Create a game room without server, to replay a match headlessly.
+   * Everything the room sends to the clients is discarded.
+   *
+   * @param {typeof WSServerGameRoom} roomClass - The class of the recorded room.
+   * @param {string} [name='replay'] - The room name.
+   * @returns {WSServerGameRoom}
+   */
+  static createRoom(roomClass, name = 'replay') {
+    return new roomClass(name, createHeadlessHost());
+  }
+
+  /**
+   * Re-drive a game room with the recorded messages, inputs and turns, tick by tick and as fast as possible.
+   * The room must be in the state it was when the recording started (e.g. after its onCreate),
+   * its tick and time are set to the recorded ones.
+   * The patches of the room are compared with the recorded ones of the same ticks to find the desyncs.
+   *
+   * @param {WSServerGameRoom} room - The room to drive, its main loop is stopped.
+   * @param {object} [options] - The run options.
+   * @param {Function} [options.onPatch=null] - Called with (state, recordedState, tick) on each patch of the room.
+   * @returns {{patches: number, mismatches: object[]}} - The number of patches and the ones different from the recording.
+   */
+  run(room, { onPatch = null } = {}) {
+    if (!(room instanceof WSServerGameRoom)) throw new Error('The room must be an instance of WSServerGameRoom');
+    room.stopMainLoop();
+    if (this.start !== null) {
+      room.setSimulationStep(this.start.timestep);
+      // A recording started during a match continues its clocks
+      room.currentTick = this.start.tick;
+      room.elapsedTime = this.start.time;
+    }
+    // The turns are replayed from the records
+    const lockstep = room.lockstep;
+    room.setLockstep(false);
+    // The patch throttle of the recorded room may be out of phase, the room patches at the recorded ticks
+    const patchPerSec = room.patchPerSec;
+    room.setPatchPerSec(room.updatePerSec);
+
+    const recordedPatches = new Map(this.patches.map(record => [record.tick, record]));
+    const result = { patches: 0, mismatches: [] };
+    let lastPatchTime = null;
+    room.patch = (deltaTime, elapsedTime) => {
+      const recorded = recordedPatches.get(room.currentTick);
+      if (recorded === undefined) return;
+      deltaTime = lastPatchTime === null ? 1000 / patchPerSec : elapsedTime - lastPatchTime;
+      lastPatchTime = elapsedTime;
+      const state = JSON.parse(JSON.stringify(room.onPatch(deltaTime, elapsedTime) ?? null));
+      result.patches++;
+      if (JSON.stringify(state) !== JSON.stringify(recorded?.state)) {
+        result.mismatches.push({ tick: room.currentTick, state, recorded: recorded?.state });
+      }
+      if (onPatch !== null) onPatch(state, recorded?.state, room.currentTick);
+    };
+
+    try {
+      for (const record of this.records) {
+        // The records of a step are written before its tick boundary
+        if (record.type === 'input' || record.type === 'tick') {
+          while (room.currentTick < record.tick) room._beginStep();
+        }
+
+        if (record.type === 'msg') room[record.handler](record.msg, record.client, null);
+        if (record.type === 'input') room.onInput(record.input, record.client, null, record.tick);
+        if (record.type === 'turn') room.onTurn(record.frame);
+        if (record.type === 'tick') room._update();
+      }
+    } finally {
+      delete room.patch;
+      room.setPatchPerSec(patchPerSec);
+      if (lockstep) room.setLockstep(true, room.turnTimeout);
+    }
+    return result;
+  }
+
+  /**
+   * Stream the recorded patches to the clients of a room (e.g. a room of spectators), with their recorded timing.
+   *
+   * @param {WSServerRoom} room - The room receiving the patches as room messages.
+   * @param {object} [options] - The stream options.
+   * @param {number} [options.speed=1] - The playback speed (2 for twice as fast).
+   * @param {Function} [options.onEnd=null] - Called when the last patch is sent.
+   * @returns {ReplayStream} - The stream, already playing.
+   */
+  stream(room, { speed = 1, onEnd = null } = {}) {
+    const stream = new ReplayStream(this.patches, room, speed, onEnd);
+    stream.play();
+    return stream;
+  }
+
+}
+
+class ReplayStream {
+
+  constructor(patches, room, speed, onEnd) {
+    this.patches = patches;
+    this.room = room;
+    this.speed = speed;
+    this.onEnd = onEnd;
+    this.index = 0;
+    this.time = patches[0]?.time ?? 0;
+    this.isPlaying = false;
+    this.timer = null;
+  }
+
+  play() {
+    if (this.isPlaying) return;
+    this.isPlaying = true;
+    this._next();
+  }
+
+  pause() {
+    this.isPlaying = false;
+    clearTimeout(this.timer);
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+    this._restart();
+  }
+
+  seek(time) {
+    const index = this.patches.findIndex(patch => patch.time >= time);
+    this.index = index === -1 ? this.patches.length : index;
+    this.time = time;
+    this._restart();
+  }
+
+  stop() {
+    this.pause();
+    this.index = this.patches.length;
+  }
+
+  _restart() {
+    if (!this.isPlaying) return;
+    clearTimeout(this.timer);
+    this._next();
+  }
+
+  _next() {
+    if (this.index >= this.patches.length) {
+      this.isPlaying = false;
+      if (this.onEnd !== null) this.onEnd();
+      return;
+    }
+
+    const patch = this.patches[this.index];
+    const delay = Math.max(0, (patch.time - this.time) / this.speed);
+    this.timer = setTimeout(() => {
+      this.time = patch.time;
+      this.index++;
+      this.room.broadcast(patch.state);
+      this._next();
+    }, delay);
+  }
+
+}
+
+function createHeadlessHost() {
+  const ignore = () => true;
+  return {
+    clients: new Map(),
+    syncMode: 'patch',
+    log: () => {},
+    getClientSocketsOfRoom: () => [],
+    getClientMeta: () => undefined,
+    getClientsOfRoom: () => [],
+    getSpectatorSocketsOfRoom: () => [],
+    getSpectatorsOfRoom: () => [],
+    getRoomMeta: () => ({}),
+    isRoomFull: () => false,
+    sendRoomName: ignore,
+    sendRoomNameCmd: ignore,
+    sendRoomNameClients: ignore,
+    sendRoomNameClientsCmd: ignore,
+    broadcastRoomName: ignore,
+    broadcastRoomNameCmd: ignore,
+    kickClientFromRoom: ignore,
+    banClientFromRoom: ignore,
+    unbanClientFromRoom: ignore,
+    isClientBanned: () => false,
+  };
+}
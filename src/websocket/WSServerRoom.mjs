@@ -16,6 +16,10 @@ export default class WSServerRoom {
       return this.wsServer.getClientsOfRoom(this.name);
     }
 
+    get spectators() {
+      return this.wsServer.getSpectatorsOfRoom(this.name);
+    }
+
     get meta() {
       return this.wsServer.getRoomMeta(this.name);
     }
@@ -36,6 +40,24 @@ export default class WSServerRoom {
 
     }
 
+    onSpectatorJoin(msg, clientMeta, client) {
+      // Called when a client spectates the room, it receives the room messages but cannot send any
+      return {};
+    }
+
+    onSpectatorLeave(clientMeta, client) {
+
+    }
+
+    onDisconnect(clientMeta, client) {
+      // Called when a client loses its connection but keeps its seat (see the resumeTimeout option)
+      // onLeave is only called if the client does not come back in time
+    }
+
+    onReconnect(clientMeta, client) {
+      // Called when a disconnected client resumes its session, client is the new socket
+    }
+
     onDispose() {
 
     }
@@ -68,6 +90,30 @@ export default class WSServerRoom {
       this.wsServer.sendRoomNameCmd(this.name, client, cmd, data);
     }
 
+    sendClients(clients, msg) {
+      this.wsServer.sendRoomNameClients(this.name, clients, msg);
+    }
+
+    sendClientsCmd(clients, cmd, data) {
+      this.wsServer.sendRoomNameClientsCmd(this.name, clients, cmd, data);
+    }
+
+    kick(client, reason = null) {
+      return this.wsServer.kickClientFromRoom(this.name, client, reason);
+    }
+
+    ban(clientId, duration = Infinity, reason = 'Banned') {
+      return this.wsServer.banClientFromRoom(this.name, clientId, duration, reason);
+    }
+
+    unban(clientId) {
+      return this.wsServer.unbanClientFromRoom(this.name, clientId);
+    }
+
+    isBanned(clientId) {
+      return this.wsServer.isClientBanned(this.name, clientId);
+    }
+
     static onSendRoomsList(rooms) {
       return rooms;
     }
@@ -4,15 +4,20 @@ import WSServerRoom from "./WSServerRoom.mjs";
 
 import crypto from 'crypto';
 import WSServerGameRoom from "./WSServerGameRoom.mjs";
+import WSServerWorkerPool from "./WSServerWorkerPool.mjs";
 
 export default class WSServerRoomManager extends WSServerPubSub {
   rooms = new Map();
+  inviteCodes = new Map();
+  resumeTokens = new Map();
+  suspendedClients = new Map();
   prefix = '__room-';
-  actionsRoom = ['pub-room', 'pub-room-cmd'];
-  syncModes = ['immediate', 'immediate-other', 'patch'];
+  actionsRoom = ['pub-room', 'pub-room-cmd', 'room-patch-ack', 'room-input', 'room-turn'];
+  syncModes = ['immediate', 'immediate-other', 'patch', 'lockstep'];
 
   constructor({
     maxUsersByRoom = 10,
+    maxSpectatorsByRoom = 10,
 
     usersCanCreateRoom = true,
     usersCanNameRoom = true,
@@ -27,20 +32,27 @@ export default class WSServerRoomManager extends WSServerPubSub {
 
     syncMode = null,
 
+    resumeTimeout = 0,
+
+    roomWorkers = 0,
+    roomModule = null,
+
     port = 443,
     maxNbOfClients = 1000,
     maxInputSize = 100000, // 100kb
     origins = '*',
     pingTimeout = 30000,
     authCallback = (token, request, wsServer) => ({}),
+    authTimeout = 10000,
     logLevel = 'info',
     logger = null,
   } = {}) {
     if (!roomClass.prototype instanceof WSServerRoom) throw new Error('Invalid room class');
 
-    super({ port, maxNbOfClients, maxInputSize, origins, pingTimeout, authCallback, logLevel, logger });
+    super({ port, maxNbOfClients, maxInputSize, origins, pingTimeout, authCallback, authTimeout, logLevel, logger });
 
     this.maxUsersByRoom = maxUsersByRoom;
+    this.maxSpectatorsByRoom = maxSpectatorsByRoom;
 
     this.usersCanCreateRoom = usersCanCreateRoom;
     this.usersCanNameRoom = usersCanNameRoom;
@@ -53,14 +65,24 @@ export default class WSServerRoomManager extends WSServerPubSub {
     this.autoDeleteEmptyRoom = autoDeleteEmptyRoom;
     this.autoSendRoomListOnUsersChange = autoSendRoomListOnUsersChange;
 
+    this.resumeTimeout = resumeTimeout;
+
     const isGameRoom = this.roomClass.prototype instanceof WSServerGameRoom;
 
     if (syncMode === null) syncMode = isGameRoom ? 'patch' : 'immediate';
     if (!this.syncModes.includes(syncMode)) throw new Error('Invalid sync mode');
-    if (isGameRoom && syncMode !== 'patch') throw new Error('Invalid sync mode for game room, must be "patch"');
+    const isGameSyncMode = syncMode === 'patch' || syncMode === 'lockstep';
+    if (isGameRoom && !isGameSyncMode) throw new Error('Invalid sync mode for game room, must be "patch" or "lockstep"');
     this.syncMode = syncMode;
-    if (this.syncMode === 'patch' && !(this.roomClass.prototype instanceof WSServerGameRoom)) {
-      throw new Error("Room class for 'patch' mode must be an instance of WSServerGameRoom");
+    if (isGameSyncMode && !isGameRoom) {
+      throw new Error(`Room class for '${syncMode}' mode must be an instance of WSServerGameRoom`);
+    }
+
+    this.roomWorkerPool = null;
+    if (roomWorkers > 0) {
+      if (!isGameRoom) throw new Error('Room workers require a game room class');
+      if (roomModule === null) throw new Error('The roomModule option is required to run the rooms in workers');
+      this.roomWorkerPool = new WSServerWorkerPool(this, { size: roomWorkers, roomModule });
     }
 
     if (this.usersCanCreateRoom) {
@@ -71,6 +93,9 @@ export default class WSServerRoomManager extends WSServerPubSub {
     this.clientJoinRoom = this.clientJoinRoom.bind(this);
     this.addRpc(this.prefix + 'join', this.clientJoinRoom);
 
+    this.clientSpectateRoom = this.clientSpectateRoom.bind(this);
+    this.addRpc(this.prefix + 'spectate', this.clientSpectateRoom);
+
     this.clientCreateOrJoinRoom = this.clientCreateOrJoinRoom.bind(this);
     this.addRpc(this.prefix + 'createOrJoin', this.clientCreateOrJoinRoom);
 
@@ -86,6 +111,11 @@ export default class WSServerRoomManager extends WSServerPubSub {
       this.clientListRooms = this.clientListRooms.bind(this);
       this.addRpc(this.prefix + 'list', this.clientListRooms);
     }
+
+    if (this.resumeTimeout > 0) {
+      this.clientResumeRooms = this.clientResumeRooms.bind(this);
+      this.addRpc(this.prefix + 'resume', this.clientResumeRooms);
+    }
   }
 
   isActionValid(action) {
@@ -102,12 +132,54 @@ export default class WSServerRoomManager extends WSServerPubSub {
   }
 
   manageRoomActions(client, data) {
+    if (data.action === 'room-patch-ack') {
+      if (typeof data?.room !== 'string') return this.sendError(client, 'Invalid room');
+      if (typeof data?.seq !== 'number') return this.sendError(client, 'Invalid sequence number');
+      const room = this.rooms.get(data.room);
+      // A late ack for a room that was left or deleted is not an error
+      if (!room?.chan.clients.has(client) && !room?.spectators.has(client)) return false;
+      if (typeof room.manager.onPatchAck !== 'function') return false;
+      room.manager.onPatchAck(data.seq, this.clients.get(client), client);
+      return true;
+    }
+
+    if (data.action === 'room-input') {
+      if (typeof data?.room !== 'string') return this.sendError(client, 'Invalid room');
+      if (!Number.isInteger(data?.seq) || data.seq < 1) return this.sendError(client, 'Invalid sequence number');
+      if (data?.tick !== undefined && !Number.isInteger(data.tick)) return this.sendError(client, 'Invalid tick');
+      if (!this.rooms.has(data.room)) return this.sendError(client, 'Unknown room');
+      const room = this.rooms.get(data.room);
+      if (!room.chan.clients.has(client)) return this.sendError(client, 'Client not in room');
+      if (typeof room.manager.queueInput !== 'function') return this.sendError(client, 'Inputs not supported');
+      if (!room.manager.queueInput(data.input, data.seq, data.tick, this.clients.get(client), client)) {
+        return this.sendError(client, 'Input rejected');
+      }
+      return true;
+    }
+
+    if (data.action === 'room-turn') {
+      if (typeof data?.room !== 'string') return this.sendError(client, 'Invalid room');
+      if (!Number.isInteger(data?.turn) || data.turn < 0) return this.sendError(client, 'Invalid turn');
+      if (!this.rooms.has(data.room)) return this.sendError(client, 'Unknown room');
+      const room = this.rooms.get(data.room);
+      if (!room.chan.clients.has(client)) return this.sendError(client, 'Client not in room');
+      if (!room.manager.lockstep) return this.sendError(client, 'Lockstep not enabled');
+      try {
+        room.manager.submitTurnInput(data.turn, data.input ?? null, this.clients.get(client), client);
+      } catch (e) {
+        if (!(e instanceof WSServerError)) this.log(e.name + ': ' + e.message, 'error');
+        return this.sendError(client, e instanceof WSServerError ? e.message : 'Server error');
+      }
+      return true;
+    }
+
     if (data.action === 'pub-room' || data.action === 'pub-room-cmd') {
       if (typeof data?.msg === 'undefined') return this.sendError(client, 'Invalid message');
       if (typeof data?.room !== 'string') return this.sendError(client, 'Invalid room');
       if (!this.rooms.has(data.room)) return this.sendError(client, 'Unknown room');
 
       const room = this.rooms.get(data.room);
+      if (room.spectators.has(client)) return this.sendError(client, 'Spectators cannot send messages');
       if (!room.chan.clients.has(client)) return this.sendError(client, 'Client not in room');
       const clientMeta = this.clients.get(client);
 
@@ -120,6 +192,8 @@ export default class WSServerRoomManager extends WSServerPubSub {
         if (typeof room.manager[toCall] != 'function') return this.sendError(client, 'Unknown command');
       }
 
+      if (room.manager.recorder) room.manager.record('msg', { handler: toCall, client: clientMeta, msg: data.msg });
+
       try {
         var msg = room.manager[toCall](data.msg, clientMeta, client);
       } catch (e) {
@@ -142,12 +216,63 @@ export default class WSServerRoomManager extends WSServerPubSub {
     return this.prepareRoomList();
   }
 
+  clientResumeRooms(data, clientMeta, client) {
+    if (typeof data?.token !== 'string') throw new WSServerError('Invalid resume token');
+
+    let oldClient = null;
+    for (const [suspendedClient, session] of this.suspendedClients) {
+      if (session.token === data.token) oldClient = suspendedClient;
+    }
+    if (oldClient === null) throw new WSServerError('Session not found');
+
+    const session = this.suspendedClients.get(oldClient);
+    clearTimeout(session.timer);
+    // A session without identity cannot be taken over, its seats are freed
+    if (!session.clientMeta) {
+      this.expireSuspendedClient(oldClient);
+      throw new WSServerError('Session not found');
+    }
+    this.suspendedClients.delete(oldClient);
+
+    // The new socket takes over the identity and the seats of the old one
+    this.clients.set(client, session.clientMeta);
+    const rooms = [];
+    for (const room of this.rooms.values()) {
+      if (!room.chan.clients.has(oldClient)) continue;
+      room.chan.clients.delete(oldClient);
+      room.chan.clients.add(client);
+      if (room.chanClients.clients.delete(oldClient)) room.chanClients.clients.add(client);
+
+      this.log('Client ' + session.clientMeta.id + ' reconnected to room ' + room.name);
+      try {
+        room.manager.onReconnect(session.clientMeta, client);
+      } catch (e) {
+        this.log(e.name + ': ' + e.message, 'error');
+      }
+      this.pubRoomClients(room);
+
+      let roomMeta = {};
+      try {
+        roomMeta = room.manager.onSendRoom(room.meta);
+        if (typeof roomMeta !== 'object') roomMeta = {};
+      } catch (e) {
+        this.log(e.name + ': ' + e.message, 'error');
+      }
+      const roomData = { name: room.name, meta: roomMeta };
+      if (this.usersCanGetRoomUsers) roomData.clients = this.prepareRoomClients(room);
+      rooms.push(roomData);
+    }
+
+    return { id: session.clientMeta.id, rooms };
+  }
+
   clientLeaveRoom(data, clientMeta, client) {
     if (!data.name || typeof data.name !== 'string') throw new WSServerError('Invalid room name');
     data.name = data.name.trim();
     if (!this.rooms.has(data.name)) throw new WSServerError('Room not found');
 
     const room = this.rooms.get(data.name);
+    if (room.spectators.has(client)) return this.removeSpectatorFromRoom(data.name, client);
     if (!room.chan.clients.has(client)) throw new WSServerError('Client not in room');
 
     return this.removeClientFromRoom(data.name, client);
@@ -161,40 +286,118 @@ export default class WSServerRoomManager extends WSServerPubSub {
   }
 
   clientJoinRoom(data, clientMeta, client) {
-    if (!data.name || typeof data.name !== 'string') throw new WSServerError('Invalid room name');
-    data.name = data.name.trim();
-    if (!this.rooms.has(data.name)) throw new WSServerError('Room not found');
-    const room = this.rooms.get(data.name);
-    if (room.chan.clients.size >= room.maxUsers) throw new WSServerError('Room is full');
-    if (room.chan.clients.has(client)) throw new WSServerError('Client already in room');
+    const room = this.getRoomToEnter(data);
+    this.checkRoomJoin(room, clientMeta, client);
 
     try {
       var meta = room.manager.onJoin(data.msg, clientMeta, client);
     } catch (e) {
-      if (!(e instanceof WSServerError)) this.log(e.name + ': ' + e.message, 'error');
-      const response = e instanceof WSServerError ? e.message : 'Server error';
-      throw new WSServerError(response);
+      throw new WSServerError(this.getErrorResponse(e));
     }
 
+    // The rooms running in workers answer asynchronously
+    if (typeof meta?.then === 'function') {
+      return Promise.resolve(meta).then(
+        (meta) => {
+          this.checkPendingEntry(room, client);
+          this.checkRoomJoin(room, clientMeta, client);
+          return this.confirmJoinRoom(room, clientMeta, client, meta);
+        },
+        (e) => { throw new WSServerError(this.getErrorResponse(e)); },
+      );
+    }
+    return this.confirmJoinRoom(room, clientMeta, client, meta);
+  }
+
+  checkRoomJoin(room, clientMeta, client) {
+    if (this.isClientBanned(room.name, clientMeta.id)) throw new WSServerError('Banned from room');
+    if (room.chan.clients.size >= room.maxUsers) throw new WSServerError('Room is full');
+    if (room.chan.clients.has(client) || room.spectators.has(client)) throw new WSServerError('Client already in room');
+  }
+
+  checkPendingEntry(room, client) {
+    // An async hook may settle after the client left or the room was deleted
+    if (this.rooms.get(room.name) !== room) throw new WSServerError('Room not found');
+    if (!this.clients.has(client)) throw new WSServerError('Client disconnected');
+  }
+
+  confirmJoinRoom(room, clientMeta, client, meta) {
     if (meta === false) throw new WSServerError('Room join aborted');
     if (typeof meta !== 'object') meta = {};
 
     Object.assign(clientMeta, meta);
 
-    this.addClientToRoom(data.name, clientMeta, client);
+    this.addClientToRoom(room.name, clientMeta, client);
+    return this.prepareRoomResponse(room);
+  }
+
+  clientSpectateRoom(data, clientMeta, client) {
+    const room = this.getRoomToEnter(data);
+    this.checkRoomSpectate(room, clientMeta, client);
+
+    try {
+      var meta = room.manager.onSpectatorJoin(data.msg, clientMeta, client);
+    } catch (e) {
+      throw new WSServerError(this.getErrorResponse(e));
+    }
+
+    if (typeof meta?.then === 'function') {
+      return Promise.resolve(meta).then(
+        (meta) => {
+          this.checkPendingEntry(room, client);
+          this.checkRoomSpectate(room, clientMeta, client);
+          return this.confirmSpectateRoom(room, clientMeta, client, meta);
+        },
+        (e) => { throw new WSServerError(this.getErrorResponse(e)); },
+      );
+    }
+    return this.confirmSpectateRoom(room, clientMeta, client, meta);
+  }
+
+  checkRoomSpectate(room, clientMeta, client) {
+    if (this.isClientBanned(room.name, clientMeta.id)) throw new WSServerError('Banned from room');
+    if (room.chan.clients.has(client) || room.spectators.has(client)) throw new WSServerError('Client already in room');
+    if (room.spectators.size >= room.maxSpectators) throw new WSServerError('Too many spectators');
+  }
+
+  confirmSpectateRoom(room, clientMeta, client, meta) {
+    if (meta === false) throw new WSServerError('Room spectate aborted');
+    if (typeof meta !== 'object') meta = {};
+
+    Object.assign(clientMeta, meta);
+
+    this.addSpectatorToRoom(room.name, clientMeta, client);
+    return { ...this.prepareRoomResponse(room), spectator: true };
+  }
 
+  prepareRoomResponse(room) {
     let roomMeta = {};
     try {
-      roomMeta = room.manager.onSendRoom();
+      roomMeta = room.manager.onSendRoom(room.meta);
       if (typeof roomMeta !== 'object') roomMeta = {};
     } catch (e) {
       this.log(e.name + ': ' + e.message, 'error');
     }
     const response = { name: room.name, meta: roomMeta };
     if (this.usersCanGetRoomUsers) response.clients = this.prepareRoomClients(room);
+    if (room.inviteCode !== null) response.inviteCode = room.inviteCode;
     return response;
   }
 
+  getRoomToEnter(data) {
+    if (data.invite !== undefined) {
+      // A valid invite code replaces the name and the password of the room
+      if (typeof data.invite !== 'string' || !this.inviteCodes.has(data.invite)) throw new WSServerError('Invalid invite code');
+      data.name = this.inviteCodes.get(data.invite);
+    }
+    if (!data.name || typeof data.name !== 'string') throw new WSServerError('Invalid room name');
+    data.name = data.name.trim();
+    if (!this.rooms.has(data.name)) throw new WSServerError('Room not found');
+    const room = this.rooms.get(data.name);
+    if (data.invite === undefined && !this.checkRoomPassword(room, data.password)) throw new WSServerError('Invalid password');
+    return room;
+  }
+
   clientCreateRoom(data, clientMeta, client) {
     if (this.usersCanNameRoom && data?.name) {
       if (typeof data.name !== 'string') throw new WSServerError('Invalid room name');
@@ -203,58 +406,131 @@ export default class WSServerRoomManager extends WSServerPubSub {
     } else {
       data.name = null;
     }
+    const options = this.parseRoomOptions(data);
 
-    const roomInstance = new this.roomClass(data.name, this);
+    const roomInstance = this.createRoomInstance(data.name);
     try {
       var meta = roomInstance.onCreate(data.name, data.msg, clientMeta, client);
     } catch (e) {
-      if (!(e instanceof WSServerError)) this.log(e.name + ': ' + e.message, 'error');
-      const response = e instanceof WSServerError ? e.message : 'Server error';
-      throw new WSServerError(response);
+      throw new WSServerError(this.getErrorResponse(e));
+    }
+
+    if (typeof meta?.then === 'function') {
+      return Promise.resolve(meta).then(
+        (meta) => {
+          if (this.autoJoinCreatedRoom && !this.clients.has(client)) {
+            roomInstance.dispose();
+            throw new WSServerError('Client disconnected');
+          }
+          return this.confirmCreateRoom(data, options, roomInstance, clientMeta, client, meta);
+        },
+        (e) => { throw new WSServerError(this.getErrorResponse(e)); },
+      );
     }
+    return this.confirmCreateRoom(data, options, roomInstance, clientMeta, client, meta);
+  }
 
+  confirmCreateRoom(data, options, roomInstance, clientMeta, client, meta) {
     if (meta === false) throw new WSServerError('Room creation aborted');
     if (typeof meta !== 'object') meta = {};
     if (meta.name && typeof meta.name === 'string') data.name = meta.name;
+    // The name given by the hook, or taken while an async hook was pending
+    if (data.name !== null && this.rooms.has(data.name)) {
+      roomInstance.dispose();
+      throw new WSServerError('Room already exists');
+    }
 
-    const roomName = this.createRoom(data.name ?? null);
+    const roomName = this.createRoom(data.name ?? null, false, options);
     const room = this.rooms.get(roomName);
     room.manager = roomInstance;
     room.manager.name = roomName;
     Object.assign(room.meta, meta);
 
-    if (this.autoJoinCreatedRoom) {
-      try {
-        var metaUser = room.manager.onJoin(data.msg, clientMeta, client);
-      } catch (e) {
-        if (!(e instanceof WSServerError)) this.log(e.name + ': ' + e.message, 'error');
-        const response = e instanceof WSServerError ? e.message : 'Server error';
-        this.deleteRoom(roomName);
-        throw new WSServerError(response);
-      }
-
-      if (metaUser === false) {
-        this.deleteRoom(roomName);
-        throw new WSServerError('Room join aborted');
-      }
-      if (typeof metaUser !== 'object') metaUser = {};
-
-      Object.assign(clientMeta, metaUser);
-      this.addClientToRoom(roomName, clientMeta, client);
+    if (!this.autoJoinCreatedRoom) {
+      this.pubRoomList();
+      return this.prepareRoomResponse(room);
     }
 
-    let roomMeta = {};
     try {
-      roomMeta = room.manager.onSendRoom(room.meta);
-      if (typeof roomMeta !== 'object') roomMeta = {};
+      var metaUser = room.manager.onJoin(data.msg, clientMeta, client);
     } catch (e) {
-      this.log(e.name + ': ' + e.message, 'error');
+      this.deleteRoom(roomName);
+      throw new WSServerError(this.getErrorResponse(e));
+    }
+
+    if (typeof metaUser?.then === 'function') {
+      return Promise.resolve(metaUser).then(
+        (metaUser) => {
+          try {
+            this.checkPendingEntry(room, client);
+          } catch (e) {
+            if (this.rooms.get(roomName) === room) this.deleteRoom(roomName);
+            throw e;
+          }
+          return this.joinCreatedRoom(room, clientMeta, client, metaUser);
+        },
+        (e) => {
+          if (this.rooms.get(roomName) === room) this.deleteRoom(roomName);
+          throw new WSServerError(this.getErrorResponse(e));
+        },
+      );
     }
+    return this.joinCreatedRoom(room, clientMeta, client, metaUser);
+  }
+
+  joinCreatedRoom(room, clientMeta, client, metaUser) {
+    if (metaUser === false) {
+      this.deleteRoom(room.name);
+      throw new WSServerError('Room join aborted');
+    }
+    if (typeof metaUser !== 'object') metaUser = {};
+
+    Object.assign(clientMeta, metaUser);
+    this.addClientToRoom(room.name, clientMeta, client);
 
     this.pubRoomList();
-    const response = { name: roomName, meta: roomMeta };
-    if (this.usersCanGetRoomUsers) response.clients = this.prepareRoomClients(room);
-    return response;
+    return this.prepareRoomResponse(room);
+  }
+
+  parseRoomOptions(data) {
+    const options = {};
+    if (data.maxUsers !== undefined) {
+      const isValid = Number.isInteger(data.maxUsers) && data.maxUsers >= 1 && data.maxUsers <= this.maxUsersByRoom;
+      if (!isValid) throw new WSServerError('Invalid room capacity');
+      options.maxUsers = data.maxUsers;
+    }
+    if (data.maxSpectators !== undefined) {
+      const isValid = Number.isInteger(data.maxSpectators) && data.maxSpectators >= 0 && data.maxSpectators <= this.maxSpectatorsByRoom;
+      if (!isValid) throw new WSServerError('Invalid spectator capacity');
+      options.maxSpectators = data.maxSpectators;
+    }
+    if (data.password !== undefined && data.password !== null) {
+      if (typeof data.password !== 'string' || data.password === '') throw new WSServerError('Invalid room password');
+      options.password = data.password;
+    }
+    if (data.isPrivate !== undefined) {
+      if (typeof data.isPrivate !== 'boolean') throw new WSServerError('Invalid private flag');
+      options.isPrivate = data.isPrivate;
+    }
+    return options;
+  }
+
+  hashRoomPassword(password) {
+    return crypto.createHash('sha256').update(password).digest();
+  }
+
+  checkRoomPassword(room, password) {
+    if (room.passwordHash === null) return true;
+    if (typeof password !== 'string') return false;
+    return crypto.timingSafeEqual(room.passwordHash, this.hashRoomPassword(password));
+  }
+
+  /**
+   * @param {string} roomName - The name of a private room.
+   * @returns {string|null} - The code to join the room without its name nor password, null if the room is not private.
+   */
+  getRoomInviteCode(roomName) {
+    return this.rooms.get(roomName)?.inviteCode ?? null;
   }
 
   getClientsOfRoom(roomName) {
@@ -263,11 +539,43 @@ export default class WSServerRoomManager extends WSServerPubSub {
 
     const room = this.rooms.get(roomName);
     for (const client of room.chan.clients) {
-      clients.push(this.clients.get(client));
+      clients.push(this.getClientMeta(client));
     }
     return clients;
   }
 
+  getClientSocketsOfRoom(roomName) {
+    if (!this.rooms.has(roomName)) return [];
+    const clients = [];
+    for (const client of this.rooms.get(roomName).chan.clients) {
+      if (!this.isClientSuspended(client)) clients.push(client);
+    }
+    return clients;
+  }
+
+  getSpectatorsOfRoom(roomName) {
+    if (!this.rooms.has(roomName)) return [];
+    return [...this.rooms.get(roomName).spectators].map(client => this.getClientMeta(client));
+  }
+
+  getSpectatorSocketsOfRoom(roomName) {
+    if (!this.rooms.has(roomName)) return [];
+    return [...this.rooms.get(roomName).spectators];
+  }
+
+  isRoomReceiver(room, client) {
+    return room.chan.clients.has(client) || room.spectators.has(client);
+  }
+
+  getClientMeta(client) {
+    // Disconnected clients keep their metadata while their seats are held
+    return this.clients.get(client) ?? this.suspendedClients.get(client)?.clientMeta;
+  }
+
+  isClientSuspended(client) {
+    return this.suspendedClients.has(client);
+  }
+
   isRoomFull(roomName) {
     if (!this.rooms.has(roomName)) return false;
     const room = this.rooms.get(roomName);
@@ -279,12 +587,38 @@ export default class WSServerRoomManager extends WSServerPubSub {
     return this.rooms.get(roomName).meta;
   }
 
+  /**
+   * The performance metrics of the game rooms collecting them (see WSServerGameRoom setStats).
+   *
+   * @returns {{rooms: object, total: object}} - The metrics of each room by name and their aggregation.
+   */
+  getRoomsStats() {
+    const rooms = {};
+    const total = { rooms: 0, frames: 0, slowFrames: 0, maxTickTime: 0, maxDrift: 0, patches: 0, patchBytes: 0 };
+    for (const room of this.rooms.values()) {
+      if (typeof room.manager.getStats !== 'function') continue;
+      const stats = room.manager.getStats();
+      if (stats === null) continue;
+
+      rooms[room.name] = stats;
+      total.rooms++;
+      total.frames += stats.frames;
+      total.slowFrames += stats.slowFrames;
+      total.maxTickTime = Math.max(total.maxTickTime, stats.tickTime.max);
+      total.maxDrift = Math.max(total.maxDrift, stats.drift.max);
+      total.patches += stats.patches;
+      total.patchBytes += stats.patchBytes.total;
+    }
+    return { rooms, total };
+  }
+
   addClientToRoom(roomName, clientMeta, client) {
     const room = this.rooms.get(roomName);
     const chan = room.chan;
     const chanClients = room.chanClients;
     if (chan.clients.has(client)) return false;
 
+    if (this.roomWorkerPool !== null) room.manager.addClient(clientMeta, client);
     this.log('Client ' + clientMeta.id + ' joined room ' + roomName);
     chan.clients.add(client);
     if (this.usersCanGetRoomUsers) chanClients.clients.add(client);
@@ -300,7 +634,7 @@ export default class WSServerRoomManager extends WSServerPubSub {
     const chanClients = room.chanClients;
     if (!chan.clients.has(client)) return false;
 
-    const clientMeta = this.clients.get(client);
+    const clientMeta = this.getClientMeta(client);
     try {
       room.manager.onLeave(clientMeta, client);
     } catch (e) {
@@ -317,10 +651,98 @@ export default class WSServerRoomManager extends WSServerPubSub {
     return this.deleteRoom(roomName);
   }
 
+  addSpectatorToRoom(roomName, clientMeta, client) {
+    const room = this.rooms.get(roomName);
+    if (room.spectators.has(client)) return false;
+
+    if (this.roomWorkerPool !== null) room.manager.addSpectator(clientMeta, client);
+    this.log('Client ' + clientMeta.id + ' spectates room ' + roomName);
+    room.spectators.add(client);
+    // The spectators follow the clients of the room, without being part of it
+    if (this.usersCanGetRoomUsers) room.chanClients.clients.add(client);
+    if (this.autoSendRoomListOnUsersChange) this.pubRoomList();
+    return true;
+  }
+
+  removeSpectatorFromRoom(roomName, client) {
+    if (!this.rooms.has(roomName)) return false;
+    const room = this.rooms.get(roomName);
+    if (!room.spectators.has(client)) return false;
+
+    const clientMeta = this.getClientMeta(client);
+    try {
+      room.manager.onSpectatorLeave(clientMeta, client);
+    } catch (e) {
+      this.log(e.name + ': ' + e.message, 'error');
+    }
+    if (clientMeta) this.log('Client ' + clientMeta.id + ' stopped spectating room ' + roomName);
+    room.spectators.delete(client);
+    room.chanClients.clients.delete(client);
+    if (this.autoSendRoomListOnUsersChange) this.pubRoomList();
+    return true;
+  }
+
+  /**
+   * Remove a client or a spectator from a room, the client is told why (see the Room onKicked of WSClientRoom).
+   *
+   * @param {string} roomName - The room name.
+   * @param {WebSocket} client - The client to remove.
+   * @param {string|null} [reason=null] - The reason sent to the client.
+   * @returns {boolean} - False if the client is not in the room.
+   */
+  kickClientFromRoom(roomName, client, reason = null) {
+    if (!this.rooms.has(roomName)) return false;
+    const room = this.rooms.get(roomName);
+    if (!this.isRoomReceiver(room, client)) return false;
+
+    const clientId = this.getClientMeta(client)?.id;
+    this.sendRoomCmd(room, client, '__kicked', { reason, banned: this.isClientBanned(roomName, clientId) });
+    this.log('Client ' + clientId + ' kicked from room ' + roomName + (reason === null ? '' : ': ' + reason));
+    if (room.spectators.has(client)) return this.removeSpectatorFromRoom(roomName, client);
+    this.removeClientFromRoom(roomName, client);
+    return true;
+  }
+
+  /**
+   * Forbid a client to join or spectate a room, the client is kicked if it is in the room.
+   *
+   * @param {string} roomName - The room name.
+   * @param {string} clientId - The id of the client (clientMeta.id).
+   * @param {number} [duration=Infinity] - The duration of the ban in milliseconds.
+   * @param {string|null} [reason='Banned'] - The reason sent to the client if it is kicked.
+   * @returns {boolean} - False if the room does not exist.
+   */
+  banClientFromRoom(roomName, clientId, duration = Infinity, reason = 'Banned') {
+    if (!this.rooms.has(roomName)) return false;
+    const room = this.rooms.get(roomName);
+    room.bans.set(clientId, Date.now() + duration);
+    for (const client of [...room.chan.clients, ...room.spectators]) {
+      if (this.getClientMeta(client)?.id === clientId) this.kickClientFromRoom(roomName, client, reason);
+    }
+    return true;
+  }
+
+  unbanClientFromRoom(roomName, clientId) {
+    return this.rooms.get(roomName)?.bans.delete(clientId) ?? false;
+  }
+
+  isClientBanned(roomName, clientId) {
+    const room = this.rooms.get(roomName);
+    const until = room?.bans.get(clientId);
+    if (until === undefined) return false;
+    if (until > Date.now()) return true;
+    // The expired bans are removed on their next check
+    room.bans.delete(clientId);
+    return false;
+  }
+
   deleteRoom(roomName) {
     if (!this.rooms.has(roomName)) return false;
     const room = this.rooms.get(roomName);
 
+    // The spectators are told, and their onSpectatorLeave hook is called before the disposal
+    for (const client of [...room.spectators]) this.kickClientFromRoom(roomName, client, 'Room deleted');
+
     try {
       room.manager.onDispose();
     } catch (e) { this.log(e.name + ': ' + e.message); }
@@ -328,32 +750,71 @@ export default class WSServerRoomManager extends WSServerPubSub {
     this.log('Room deleted: ' + roomName);
     room.manager.dispose();
     this.rooms.delete(roomName);
+    this.inviteCodes.delete(room.inviteCode);
     this.pubRoomList();
     this.channels.delete(this.prefix + roomName + '-clients');
     return this.channels.delete(this.prefix + roomName);
   }
 
-  createRoom(roomName = null, withHook = false) {
+  createRoomInstance(roomName) {
+    // With room workers, the instance is a stand-in forwarding the hooks to the room running in a worker
+    if (this.roomWorkerPool !== null) return this.roomWorkerPool.createRoom(roomName);
+    return new this.roomClass(roomName, this);
+  }
+
+  createRoom(roomName = null, withHook = false, options = {}) {
     roomName = roomName ?? crypto.randomUUID();
     if (this.rooms.has(roomName)) return false;
 
-    let meta = {};
-    let managerInstance = new this.roomClass(roomName, this);
-    if (withHook) {
-      try {
-        meta = managerInstance.onCreate(roomName, null, null, null);
-      } catch (e) {
-        if (!(e instanceof WSServerError)) this.log(e.name + ': ' + e.message, 'error');
-        meta = false;
-      }
-      if (meta === false) {
-        this.log('Room creation aborted');
-        return false;
-      }
-      if (typeof meta !== 'object') meta = {};
-      if (meta.name && typeof meta.name === 'string') roomName = meta.name;
+    let managerInstance = this.createRoomInstance(roomName);
+    if (!withHook) return this.registerRoom(roomName, managerInstance, {}, options);
+
+    try {
+      var meta = managerInstance.onCreate(roomName, null, null, null);
+    } catch (e) {
+      if (!(e instanceof WSServerError)) this.log(e.name + ': ' + e.message, 'error');
+      meta = false;
+    }
+
+    // The rooms running in workers answer asynchronously, the room name is then given by a Promise
+    if (typeof meta?.then === 'function') {
+      return Promise.resolve(meta).then(
+        (meta) => this.confirmRoom(roomName, managerInstance, meta, options),
+        (e) => {
+          if (!(e instanceof WSServerError)) this.log(e.name + ': ' + e.message, 'error');
+          return this.confirmRoom(roomName, managerInstance, false, options);
+        },
+      );
+    }
+    return this.confirmRoom(roomName, managerInstance, meta, options);
+  }
+
+  confirmRoom(roomName, managerInstance, meta, options) {
+    if (meta === false) {
+      this.log('Room creation aborted');
+      return false;
+    }
+    if (typeof meta !== 'object') meta = {};
+    if (meta.name && typeof meta.name === 'string') roomName = meta.name;
+    // The name given by the hook, or taken while an async hook was pending
+    if (this.rooms.has(roomName)) {
+      managerInstance.dispose();
+      this.log('Room creation aborted, room already exists: ' + roomName);
+      return false;
     }
 
+    roomName = this.registerRoom(roomName, managerInstance, meta, options);
+    this.pubRoomList();
+    return roomName;
+  }
+
+  registerRoom(roomName, managerInstance, meta, {
+    maxUsers = this.maxUsersByRoom,
+    maxSpectators = this.maxSpectatorsByRoom,
+    password = null,
+    isPrivate = false,
+  } = {}) {
+
     const chanName = this.prefix + roomName;
     const chanNameClients = this.prefix + roomName + '-clients';
     this.addChannel(chanName, { usersCanPub: false, usersCanSub: false });
@@ -363,30 +824,103 @@ export default class WSServerRoomManager extends WSServerPubSub {
       name: roomName,
       chan: this.channels.get(chanName),
       chanClients: this.channels.get(chanNameClients),
-      maxUsers: this.maxUsersByRoom,
+      maxUsers,
+      spectators: new Set(),
+      maxSpectators,
+      bans: new Map(),
+      passwordHash: password === null ? null : this.hashRoomPassword(password),
+      isPrivate,
+      inviteCode: null,
       meta: { name: roomName, ...meta },
       manager: managerInstance,
     });
 
-    this.log('Room created: ' + roomName);
+    if (isPrivate) {
+      const inviteCode = crypto.randomBytes(9).toString('base64url');
+      this.rooms.get(roomName).inviteCode = inviteCode;
+      this.inviteCodes.set(inviteCode, roomName);
+    }
 
-    if (withHook) this.pubRoomList();
+    this.log('Room created: ' + roomName);
 
     return roomName;
   }
 
   onClose(client) {
-    for (const room of this.rooms.values()) {
-      this.removeClientFromRoom(room.name, client);
+    for (const room of [...this.rooms.values()]) {
+      // The spectators hold no seat, they leave on disconnection
+      if (room.spectators.has(client)) this.removeSpectatorFromRoom(room.name, client);
+    }
+
+    const token = this.resumeTokens.get(client);
+    this.resumeTokens.delete(client);
+
+    const clientRooms = [...this.rooms.values()].filter(room => room.chan.clients.has(client));
+    if (this.resumeTimeout <= 0 || !token || clientRooms.length === 0) {
+      for (const room of clientRooms) {
+        this.removeClientFromRoom(room.name, client);
+      }
+      return super.onClose(client);
     }
+
+    this.suspendClient(client, token, clientRooms);
     super.onClose(client);
+    // The pubsub cleanup unsubscribed the socket from the room channels, hold the seats
+    for (const room of clientRooms) {
+      if (!this.rooms.has(room.name)) continue;
+      room.chan.clients.add(client);
+      if (this.usersCanGetRoomUsers) room.chanClients.clients.add(client);
+    }
+  }
+
+  suspendClient(client, token, clientRooms) {
+    const clientMeta = this.clients.get(client);
+    const timer = setTimeout(() => this.expireSuspendedClient(client), this.resumeTimeout);
+    this.suspendedClients.set(client, { token, clientMeta, timer });
+
+    for (const room of clientRooms) {
+      this.log('Client ' + clientMeta?.id + ' disconnected from room ' + room.name);
+      try {
+        room.manager.onDisconnect(clientMeta, client);
+      } catch (e) {
+        this.log(e.name + ': ' + e.message, 'error');
+      }
+    }
+  }
+
+  expireSuspendedClient(client) {
+    if (!this.suspendedClients.has(client)) return false;
+    for (const room of [...this.rooms.values()]) {
+      this.removeClientFromRoom(room.name, client);
+    }
+    this.suspendedClients.delete(client);
+    return true;
   }
 
   close() {
+    for (const session of this.suspendedClients.values()) clearTimeout(session.timer);
+    this.suspendedClients.clear();
+    this.resumeTokens.clear();
+    this.roomWorkerPool?.close();
     this.rooms.clear();
+    this.inviteCodes.clear();
     super.close();
   }
 
+  createClientMetadata(client, customMetadata) {
+    super.createClientMetadata(client, customMetadata);
+    if (this.resumeTimeout > 0) this.resumeTokens.set(client, crypto.randomUUID());
+  }
+
+  sendAuthSuccess(client) {
+    if (!this.resumeTokens.has(client)) return super.sendAuthSuccess(client);
+    this.sendJson(client, {
+      action: 'auth-success',
+      id: this.clients.get(client)?.id ?? null,
+      resumeToken: this.resumeTokens.get(client),
+    });
+  }
+
   preparePubMessage(room, msg) {
     return JSON.stringify({
       action: 'pub',
@@ -406,6 +940,8 @@ export default class WSServerRoomManager extends WSServerPubSub {
   prepareRoomList() {
     let rooms = [];
     for (const room of this.rooms.values()) {
+      // The private rooms are only joinable by name or invite code
+      if (room.isPrivate) continue;
       let meta = {};
       try {
         meta = room.manager.onSendRoom(room.meta);
@@ -416,7 +952,10 @@ export default class WSServerRoomManager extends WSServerPubSub {
         name: room.name,
         meta,
         nbUsers: room.chan.clients.size,
-        maxUsers: room.maxUsers
+        maxUsers: room.maxUsers,
+        nbSpectators: room.spectators.size,
+        maxSpectators: room.maxSpectators,
+        hasPassword: room.passwordHash !== null
       });
     }
 
@@ -438,7 +977,7 @@ export default class WSServerRoomManager extends WSServerPubSub {
     for (const client of room.chan.clients) {
       let clientMeta = {};
       try {
-        clientMeta = room.manager.onSendClient(this.clients.get(client));
+        clientMeta = room.manager.onSendClient(this.getClientMeta(client));
         if (typeof clientMeta !== 'object') clientMeta = {};
       } catch (e) { this.log(e.name + ': ' + e.message, 'error'); }
       clients.push(clientMeta);
@@ -458,12 +997,27 @@ export default class WSServerRoomManager extends WSServerPubSub {
   }
 
   sendRoom(room, client, msg) {
-    if (!room.chan.clients.has(client)) return false;
+    if (!this.isRoomReceiver(room, client)) return false;
     const message = this.preparePubMessage(room, msg);
     this.send(client, message);
     return true;
   }
 
+  sendRoomNameClients(roomName, clients, msg) {
+    if (!this.rooms.has(roomName)) return false;
+    const room = this.rooms.get(roomName);
+    return this.sendRoomClients(room, clients, msg);
+  }
+
+  sendRoomClients(room, clients, msg) {
+    // The message is serialized once for all the clients
+    const message = this.preparePubMessage(room, msg);
+    for (const client of clients) {
+      if (this.isRoomReceiver(room, client)) this.send(client, message);
+    }
+    return true;
+  }
+
   broadcastRoomName(roomName, msg) {
     if (!this.rooms.has(roomName)) return false;
     const room = this.rooms.get(roomName);
@@ -472,7 +1026,7 @@ export default class WSServerRoomManager extends WSServerPubSub {
 
   broadcastRoom(room, msg) {
     const message = this.preparePubMessage(room, msg);
-    for (const client of room.chan.clients) {
+    for (const client of [...room.chan.clients, ...room.spectators]) {
       this.send(client, message);
     }
     return true;
@@ -480,7 +1034,7 @@ export default class WSServerRoomManager extends WSServerPubSub {
 
   broadcastOtherRoom(room, msg, client) {
     const message = this.preparePubMessage(room, msg);
-    for (const other of room.chan.clients) {
+    for (const other of [...room.chan.clients, ...room.spectators]) {
       if (other === client) continue;
       this.send(other, message);
     }
@@ -494,12 +1048,26 @@ export default class WSServerRoomManager extends WSServerPubSub {
   }
 
   sendRoomCmd(room, client, cmd, data = {}) {
-    if (!room.chan.clients.has(client)) return false;
+    if (!this.isRoomReceiver(room, client)) return false;
     const message = this.preparePubCmd(room, cmd, data);
     this.send(client, message);
     return true;
   }
 
+  sendRoomNameClientsCmd(roomName, clients, cmd, data = {}) {
+    if (!this.rooms.has(roomName)) return false;
+    const room = this.rooms.get(roomName);
+    return this.sendRoomClientsCmd(room, clients, cmd, data);
+  }
+
+  sendRoomClientsCmd(room, clients, cmd, data = {}) {
+    const message = this.preparePubCmd(room, cmd, data);
+    for (const client of clients) {
+      if (this.isRoomReceiver(room, client)) this.send(client, message);
+    }
+    return true;
+  }
+
   broadcastRoomNameCmd(roomName, cmd, data = {}) {
     if (!this.rooms.has(roomName)) return false;
     const room = this.rooms.get(roomName);
@@ -508,7 +1076,7 @@ export default class WSServerRoomManager extends WSServerPubSub {
 
   broadcastRoomCmd(room, cmd, data = {}) {
     const message = this.preparePubCmd(room, cmd, data);
-    for (const client of room.chan.clients) {
+    for (const client of [...room.chan.clients, ...room.spectators]) {
       this.send(client, message);
     }
     return true;
@@ -516,7 +1084,7 @@ export default class WSServerRoomManager extends WSServerPubSub {
 
   broadcastRoomCmdOther(room, cmd, data = {}, client) {
     const message = this.preparePubCmd(room, cmd, data);
-    for (const other of room.chan.clients) {
+    for (const other of [...room.chan.clients, ...room.spectators]) {
       if (other === client) continue;
       this.send(other, message);
     }
@@ -0,0 +1,280 @@
+// Entry point of the worker threads hosting game rooms (see the roomWorkers option of WSServerRoomManager)
+// The rooms run here with a host mirroring the room manager API, their messages are relayed to the main thread.
+// The clients are represented by tokens ({ id }) as the sockets stay on the main thread.
+// The main thread never waits for a worker: the hook results are replies to its calls, and the views of the rooms
+// (onSendRoom, onSendClient and the stats) are pushed to it, to be read from its cache.
+
+import { parentPort, workerData } from 'worker_threads';
+import WSServerGameRoom from './WSServerGameRoom.mjs';
+import WSServerError from './WSServerError.mjs';
+
+const { roomModule, syncMode, viewInterval } = workerData;
+const { default: RoomClass } = await import(roomModule);
+const rooms = new Map();
+// The rooms whose view is pushed after the current messages
+const changedRooms = new Set();
+
+class WorkerHost {
+
+  constructor(roomId, maxUsers) {
+    this.roomId = roomId;
+    this.maxUsers = maxUsers;
+    this.syncMode = syncMode;
+    this.meta = {};
+    this.clients = new Map();
+    this.tokens = new Map();
+    this.suspended = new Set();
+    this.spectators = new Map();
+    // The clients accepted by onJoin, until the main thread adds them
+    this.joiners = new Map();
+    // A copy of the bans of the room, they are enforced by the main thread
+    this.bans = new Map();
+  }
+
+  token(clientId) {
+    if (clientId === null || clientId === undefined) return null;
+    if (!this.tokens.has(clientId)) this.tokens.set(clientId, { id: clientId });
+    return this.tokens.get(clientId);
+  }
+
+  post(type, data = {}) {
+    parentPort.postMessage({ type, roomId: this.roomId, ...data });
+  }
+
+  log(message, level = 'info') {
+    this.post('log', { message, level });
+  }
+
+  getClientSocketsOfRoom() {
+    return [...this.clients.keys()].filter(token => !this.suspended.has(token));
+  }
+
+  getSpectatorSocketsOfRoom() {
+    return [...this.spectators.keys()];
+  }
+
+  getClientMeta(token) {
+    return this.clients.get(token) ?? this.spectators.get(token);
+  }
+
+  getClientsOfRoom() {
+    return [...this.clients.values()];
+  }
+
+  getSpectatorsOfRoom() {
+    return [...this.spectators.values()];
+  }
+
+  getRoomMeta() {
+    return this.meta;
+  }
+
+  isRoomFull() {
+    return this.clients.size >= this.maxUsers;
+  }
+
+  sendRoomName(roomName, token, msg) {
+    return this.sendRoomNameClients(roomName, [token], msg);
+  }
+
+  sendRoomNameCmd(roomName, token, cmd, data = {}) {
+    return this.sendRoomNameClientsCmd(roomName, [token], cmd, data);
+  }
+
+  sendRoomNameClients(roomName, tokens, msg) {
+    this.post('send', { clientIds: tokens.map(token => token.id), msg });
+    return true;
+  }
+
+  sendRoomNameClientsCmd(roomName, tokens, cmd, data = {}) {
+    this.post('send-cmd', { clientIds: tokens.map(token => token.id), cmd, data });
+    return true;
+  }
+
+  broadcastRoomName(roomName, msg) {
+    this.post('broadcast', { msg });
+  }
+
+  broadcastRoomNameCmd(roomName, cmd, data = {}) {
+    this.post('broadcast-cmd', { cmd, data });
+  }
+
+  kickClientFromRoom(roomName, token, reason = null) {
+    if (!this.clients.has(token) && !this.spectators.has(token)) return false;
+    this.post('kick', { clientId: token.id, reason });
+    return true;
+  }
+
+  banClientFromRoom(roomName, clientId, duration = Infinity, reason = 'Banned') {
+    this.bans.set(clientId, Date.now() + duration);
+    this.post('ban', { clientId, duration, reason });
+    return true;
+  }
+
+  unbanClientFromRoom(roomName, clientId) {
+    this.post('unban', { clientId });
+    return this.bans.delete(clientId);
+  }
+
+  isClientBanned(roomName, clientId) {
+    return (this.bans.get(clientId) ?? 0) > Date.now();
+  }
+
+}
+
+function getHooks(room) {
+  const commands = [];
+  const overrides = [];
+  for (let proto = Object.getPrototypeOf(room); proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    for (const method of Object.getOwnPropertyNames(proto)) {
+      if (method.startsWith('onCmd') && !commands.includes(method)) commands.push(method);
+    }
+  }
+  for (const hook of ['onSendRoom', 'onSendClient']) {
+    if (room[hook] !== WSServerGameRoom.prototype[hook]) overrides.push(hook);
+  }
+  return { commands, overrides };
+}
+
+function create(roomId, name, maxUsers) {
+  const host = new WorkerHost(roomId, maxUsers);
+  const room = new RoomClass(name, host);
+  const hooks = getHooks(room);
+  rooms.set(roomId, { room, host, overrides: hooks.overrides, lastView: null });
+  return hooks;
+}
+
+/**
+ * The data the main thread reads without calling the room: the results of the overridden
+ * onSendRoom and onSendClient hooks, and the stats of the room.
+ */
+function getView({ room, host, overrides }) {
+  const view = {};
+  try {
+    if (overrides.includes('onSendRoom')) view.room = room.onSendRoom(host.meta);
+    if (overrides.includes('onSendClient')) {
+      view.clients = {};
+      for (const clientMeta of [...host.clients.values(), ...host.joiners.values()]) {
+        view.clients[clientMeta.id] = room.onSendClient(clientMeta);
+      }
+    }
+  } catch (e) {
+    host.log(e.name + ': ' + e.message, 'error');
+  }
+  view.stats = room.getStats();
+  return view;
+}
+
+function pushView(roomId, entry) {
+  const view = getView(entry);
+  const json = JSON.stringify(view);
+  if (json === entry.lastView) return;
+  entry.lastView = json;
+  parentPort.postMessage({ type: 'view', roomId, view });
+}
+
+function pushChangedViews() {
+  for (const roomId of changedRooms) {
+    if (rooms.has(roomId)) pushView(roomId, rooms.get(roomId));
+  }
+  changedRooms.clear();
+}
+
+// The game loops change the views without any message from the main thread
+setInterval(() => {
+  for (const [roomId, entry] of rooms) pushView(roomId, entry);
+}, viewInterval).unref();
+
+function call(roomId, hook, args, clientId, meta) {
+  if (hook === '__create') return create(roomId, ...args);
+
+  // Late messages of a disposed room
+  if (!rooms.has(roomId)) return;
+  const { room, host } = rooms.get(roomId);
+  const token = host.token(clientId);
+  if (meta !== undefined) host.meta = meta;
+
+  switch (hook) {
+    case '__add-client':
+      host.joiners.delete(clientId);
+      host.clients.set(token, args[0]);
+      host.maxUsers = args[1] ?? host.maxUsers;
+      return;
+    case '__remove-client':
+      host.joiners.delete(clientId);
+      host.clients.delete(token);
+      host.tokens.delete(clientId);
+      host.suspended.delete(token);
+      return;
+    case '__add-spectator':
+      host.spectators.set(token, args[0]);
+      return;
+    case '__remove-spectator':
+      host.spectators.delete(token);
+      host.tokens.delete(clientId);
+      return;
+    case '__rename':
+      room.name = args[0];
+      return;
+    case '__dispose':
+      room.dispose();
+      rooms.delete(roomId);
+      return;
+    case 'onDisconnect':
+      host.suspended.add(token);
+      break;
+    case 'onReconnect':
+      host.suspended.delete(token);
+      break;
+    case 'queueInput':
+      if (!room.queueInput(...args, token)) host.post('error', { clientId, message: 'Input rejected' });
+      return;
+    case 'submitTurnInput':
+      if (!room.lockstep) throw new WSServerError('Lockstep not enabled');
+      break;
+  }
+
+  if (room.recorder && (hook === 'onMsg' || hook.startsWith('onCmd'))) {
+    room.record('msg', { handler: hook, client: args[1], msg: args[0] });
+  }
+  return clientId === undefined ? room[hook](...args) : room[hook](...args, token);
+}
+
+parentPort.on('message', ({ callId, roomId, hook, args, clientId, meta }) => {
+  let reply;
+  try {
+    reply = { result: call(roomId, hook, args, clientId, meta) };
+  } catch (e) {
+    const isServerError = e.name === 'WSServerError';
+    reply = { error: e.message, name: e.name, isServerError };
+  }
+  if (hook !== '__dispose') {
+    if (changedRooms.size === 0) setImmediate(pushChangedViews);
+    changedRooms.add(roomId);
+  }
+  if (callId === undefined) {
+    // Nobody waits for the result, the errors are reported here
+    if (reply.error === undefined) return;
+    if (!reply.isServerError) parentPort.postMessage({ type: 'log', roomId, message: reply.name + ': ' + reply.error, level: 'error' });
+    if (clientId) {
+      parentPort.postMessage({ type: 'error', roomId, clientId, message: reply.isServerError ? reply.error : 'Server error' });
+    }
+    return;
+  }
+
+  // The view of the room goes with the reply, the main thread answers the client with it
+  if (reply.error === undefined && rooms.has(roomId)) {
+    const entry = rooms.get(roomId);
+    if (hook === 'onJoin' && reply.result !== false) {
+      // The main thread sends the client list with the new client before its addition
+      const meta = typeof reply.result === 'object' ? reply.result : {};
+      entry.host.joiners.set(clientId, { ...args[1], ...meta });
+    }
+    reply.view = getView(entry);
+  }
+  try {
+    parentPort.postMessage({ type: 'reply', roomId, callId, ...reply });
+  } catch (e) {
+    parentPort.postMessage({ type: 'reply', roomId, callId, error: e.message, name: e.name, isServerError: false });
+  }
+});
@@ -0,0 +1,366 @@
+import WSServerError from "./WSServerError.mjs";
+
+import { Worker } from 'worker_threads';
+import { pathToFileURL } from 'url';
+
+export default class WSServerWorkerPool {
+
+  /**
+   * A pool of worker threads hosting the game rooms of a room manager.
+   * Each room runs in one worker, the rooms are spread on the least loaded workers.
+   *
+   * @param {WSServerRoomManager} wsServer - The room manager of the rooms.
+   * @param {object} options - The pool options.
+   * @param {number} options.size - The maximum number of workers.
+   * @param {string|URL} options.roomModule - The module exporting the room class by default (path or file URL).
+   * @param {number} [options.callTimeout=5000] - The maximum time (ms) to wait for a hook returning a value.
+   * @param {number} [options.viewInterval=1000] - The time (ms) between two pushes of the views changed by the game loops.
+   */
+  constructor(wsServer, { size, roomModule, callTimeout = 5000, viewInterval = 1000 }) {
+    this.wsServer = wsServer;
+    this.size = size;
+    this.roomModule = roomModule instanceof URL || /^file:/.test(roomModule)
+      ? String(roomModule)
+      : pathToFileURL(roomModule).href;
+    this.callTimeout = callTimeout;
+    this.viewInterval = viewInterval;
+    this.workers = [];
+    this.nextRoomId = 1;
+    this.nextCallId = 1;
+  }
+
+  /**
+   * @param {string} name - The room name.
+   * @returns {WorkerRoom} - The main thread stand-in of the room, created in a worker on its first hook.
+   */
+  createRoom(name) {
+    return new WorkerRoom(name, this.wsServer, this);
+  }
+
+  /**
+   * Host a room in the least loaded worker, a new worker is started while the pool is not full.
+   *
+   * @param {WorkerRoom} room - The room to host.
+   * @returns {object} - The worker entry.
+   */
+  assign(room) {
+    let entry = this.workers.reduce((least, entry) => entry.rooms.size < least.rooms.size ? entry : least, this.workers[0]);
+    if (this.workers.length < this.size && (!entry || entry.rooms.size > 0)) entry = this.spawn();
+    room.roomId = this.nextRoomId++;
+    entry.rooms.set(room.roomId, room);
+    return entry;
+  }
+
+  release(room) {
+    room.worker?.rooms.delete(room.roomId);
+  }
+
+  spawn() {
+    const worker = new Worker(new URL('./WSServerRoomWorker.mjs', import.meta.url), {
+      workerData: { roomModule: this.roomModule, syncMode: this.wsServer.syncMode, viewInterval: this.viewInterval },
+    });
+    const entry = { worker, rooms: new Map(), calls: new Map(), isClosing: false };
+
+    worker.on('message', message => this.onMessage(entry, message));
+    worker.on('error', error => this.onCrash(entry, error));
+    worker.on('exit', code => this.onCrash(entry, new Error('Worker stopped with exit code ' + code)));
+    this.workers.push(entry);
+    this.wsServer.log('Room worker started');
+    return entry;
+  }
+
+  /**
+   * Call a hook of a room, the worker replies between two ticks of its rooms.
+   *
+   * @returns {Promise} - Resolves with the result of the hook, rejects with its error.
+   */
+  call(entry, message) {
+    const callId = this.nextCallId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        // A late reply is ignored
+        entry.calls.delete(callId);
+        reject(new Error('Room worker not responding'));
+      }, this.callTimeout);
+      entry.calls.set(callId, { resolve, reject, timer });
+      entry.worker.postMessage({ callId, ...message });
+    });
+  }
+
+  onReply(entry, { callId, result, error, name, isServerError }) {
+    const call = entry.calls.get(callId);
+    if (!call) return;
+    entry.calls.delete(callId);
+    clearTimeout(call.timer);
+
+    if (error === undefined) return call.resolve(result);
+    if (isServerError) return call.reject(new WSServerError(error));
+    const e = new Error(error);
+    e.name = name ?? 'Error';
+    call.reject(e);
+  }
+
+  rejectCalls(entry) {
+    for (const call of entry.calls.values()) {
+      clearTimeout(call.timer);
+      call.reject(new WSServerError('Room unavailable'));
+    }
+    entry.calls.clear();
+  }
+
+  post(entry, message) {
+    entry.worker.postMessage(message);
+  }
+
+  onMessage(entry, { type, roomId, ...data }) {
+    if (type === 'log') return this.wsServer.log(data.message, data.level);
+
+    const room = entry.rooms.get(roomId);
+    if (type === 'reply') {
+      // The view goes to the cache before the caller reads it
+      if (room && data.view) room.setView(data.view, false);
+      return this.onReply(entry, data);
+    }
+    if (!room) return;
+    const wsServer = this.wsServer;
+    const clients = () => data.clientIds.map(id => room.sockets.get(id)).filter(client => client);
+
+    switch (type) {
+      case 'send': return wsServer.sendRoomNameClients(room.name, clients(), data.msg);
+      case 'send-cmd': return wsServer.sendRoomNameClientsCmd(room.name, clients(), data.cmd, data.data);
+      case 'broadcast': return wsServer.broadcastRoomName(room.name, data.msg);
+      case 'broadcast-cmd': return wsServer.broadcastRoomNameCmd(room.name, data.cmd, data.data);
+      case 'view': return room.setView(data.view, true);
+      case 'kick': {
+        const client = room.sockets.get(data.clientId);
+        if (client) wsServer.kickClientFromRoom(room.name, client, data.reason);
+        return;
+      }
+      case 'ban': return wsServer.banClientFromRoom(room.name, data.clientId, data.duration, data.reason);
+      case 'unban': return wsServer.unbanClientFromRoom(room.name, data.clientId);
+      case 'error': {
+        const client = room.sockets.get(data.clientId);
+        if (client) wsServer.sendError(client, data.message);
+      }
+    }
+  }
+
+  /**
+   * A crashed worker only takes its own rooms down, the next rooms start in a new worker.
+   */
+  onCrash(entry, error) {
+    if (!this.workers.includes(entry)) return;
+    this.workers.splice(this.workers.indexOf(entry), 1);
+    if (entry.isClosing) return;
+
+    this.wsServer.log('Room worker crashed: ' + error.message, 'error');
+    this.rejectCalls(entry);
+    for (const room of entry.rooms.values()) {
+      room.isCrashed = true;
+      this.wsServer.deleteRoom(room.name);
+    }
+    entry.rooms.clear();
+  }
+
+  close() {
+    for (const entry of [...this.workers]) {
+      entry.isClosing = true;
+      this.rejectCalls(entry);
+      entry.worker.terminate();
+    }
+    this.workers = [];
+  }
+
+}
+
+class WorkerRoom {
+
+  constructor(name, wsServer, pool) {
+    this.wsServer = wsServer;
+    this.pool = pool;
+    this.worker = null;
+    this.hosting = null;
+    this.roomId = null;
+    this.isCrashed = false;
+    this.sockets = new Map();
+    // The hooks overridden by the room class, known once the room is created in its worker
+    this.overrides = null;
+    // The views pushed by the worker: the results of onSendRoom and onSendClient, and the stats
+    this.roomView = null;
+    this.clientViews = {};
+    this.stats = null;
+    this.viewJson = null;
+    // The turns are checked by the worker, the room can enable the lockstep on its own
+    this.lockstep = true;
+    this._name = name;
+  }
+
+  get name() {
+    return this._name;
+  }
+
+  set name(name) {
+    this._name = name;
+    if (this.isHosted()) this._post('__rename', [name]);
+  }
+
+  get meta() {
+    return this.wsServer.getRoomMeta(this.name);
+  }
+
+  isHosted() {
+    return this.worker !== null && !this.isCrashed;
+  }
+
+  _host() {
+    if (this.worker !== null) return;
+    this.worker = this.pool.assign(this);
+    this.hosting = this._call('__create', [this.name, this.wsServer.maxUsersByRoom]).then(({ commands, overrides }) => {
+      for (const command of commands) this[command] = (msg, clientMeta, client) => this._post(command, [msg, clientMeta], client);
+      this.overrides = overrides;
+    });
+    this.hosting.catch(e => this.wsServer.log('Room hosting failed: ' + e.message, 'error'));
+  }
+
+  _callHosted(hook, args, client) {
+    this._host();
+    return this.hosting.then(() => this._call(hook, args, client));
+  }
+
+  _call(hook, args = [], client) {
+    if (!this.isHosted()) return Promise.reject(new WSServerError('Room unavailable'));
+    const clientId = client === undefined ? undefined : (this._clientId(client) ?? null);
+    return this.pool.call(this.worker, { roomId: this.roomId, hook, args, clientId, meta: this.meta || undefined });
+  }
+
+  _post(hook, args = [], client) {
+    if (!this.isHosted()) return;
+    const clientId = client === undefined ? undefined : (this._clientId(client) ?? null);
+    this.pool.post(this.worker, { roomId: this.roomId, hook, args, clientId });
+  }
+
+  _clientId(client) {
+    if (client === null) return null;
+    for (const [id, socket] of this.sockets) if (socket === client) return id;
+    return this.wsServer.getClientMeta(client)?.id;
+  }
+
+  addClient(clientMeta, client) {
+    this._host();
+    this.sockets.set(clientMeta.id, client);
+    this._post('__add-client', [clientMeta, this.wsServer.rooms.get(this.name)?.maxUsers], client);
+  }
+
+  addSpectator(clientMeta, client) {
+    this.sockets.set(clientMeta.id, client);
+    this._post('__add-spectator', [clientMeta], client);
+  }
+
+  setView(view, isPushed) {
+    const viewJson = JSON.stringify([view.room, view.clients]);
+    const hasChanged = viewJson !== this.viewJson;
+    this.roomView = view.room ?? null;
+    this.clientViews = view.clients ?? {};
+    this.stats = view.stats ?? null;
+    this.viewJson = viewJson;
+
+    // The replies are followed by their own updates, the pushed changes are published here
+    const room = this.wsServer.rooms.get(this.name);
+    if (!isPushed || !hasChanged || room?.manager !== this) return;
+    if (this.isOverridden('onSendRoom')) this.wsServer.pubRoomList();
+    if (this.isOverridden('onSendClient')) this.wsServer.pubRoomClients(room);
+  }
+
+  onCreate(name, msg = null, clientMeta = null, client = null) {
+    return this._callHosted('onCreate', [name, msg, clientMeta], client).then(meta => {
+      if (meta === false) this.dispose();
+      return meta;
+    }, e => {
+      this.dispose();
+      throw e;
+    });
+  }
+
+  onJoin(msg, clientMeta, client) {
+    return this._callHosted('onJoin', [msg, clientMeta], client);
+  }
+
+  onLeave(clientMeta, client) {
+    const clientId = this._clientId(client);
+    this._post('onLeave', [clientMeta], client);
+    this._post('__remove-client', [], client);
+    this.sockets.delete(clientId);
+  }
+
+  onSpectatorJoin(msg, clientMeta, client) {
+    return this._callHosted('onSpectatorJoin', [msg, clientMeta], client);
+  }
+
+  onSpectatorLeave(clientMeta, client) {
+    const clientId = this._clientId(client);
+    this._post('onSpectatorLeave', [clientMeta], client);
+    this._post('__remove-spectator', [], client);
+    this.sockets.delete(clientId);
+  }
+
+  onDisconnect(clientMeta, client) {
+    this._post('onDisconnect', [clientMeta], client);
+  }
+
+  onReconnect(clientMeta, client) {
+    this.sockets.set(clientMeta.id, client);
+    this._post('onReconnect', [clientMeta], client);
+  }
+
+  onDispose() {
+    this._post('onDispose');
+  }
+
+  onMsg(msg, clientMeta, client) {
+    this._post('onMsg', [msg, clientMeta], client);
+  }
+
+  isOverridden(hook) {
+    // While the room is created, the hooks are taken as overridden not to send unfiltered data
+    return this.isHosted() && (this.overrides === null || this.overrides.includes(hook));
+  }
+
+  onSendClient(clientMeta) {
+    if (!this.isOverridden('onSendClient')) return clientMeta;
+    // Until the worker pushes its view, only the id of the client is sent
+    return this.clientViews[clientMeta.id] ?? { id: clientMeta.id };
+  }
+
+  onSendRoom() {
+    if (!this.isOverridden('onSendRoom')) return this.meta;
+    return this.roomView ?? {};
+  }
+
+  getStats() {
+    if (!this.isHosted()) return null;
+    return this.stats;
+  }
+
+  onPatchAck(seq, clientMeta, client) {
+    this._post('onPatchAck', [seq, clientMeta], client);
+  }
+
+  queueInput(input, seq, tick, clientMeta, client) {
+    // The rejected inputs are reported by the worker
+    this._post('queueInput', [input, seq, tick, clientMeta], client);
+    return true;
+  }
+
+  submitTurnInput(turn, input, clientMeta, client) {
+    this._post('submitTurnInput', [turn, input, clientMeta], client);
+  }
+
+  dispose() {
+    this._post('__dispose');
+    this.pool.release(this);
+    this.worker = null;
+    this.hosting = null;
+    this.sockets.clear();
+  }
+
+}
@@ -0,0 +1,57 @@
+import WSServerGameRoom from '../../src/websocket/WSServerGameRoom.mjs';
+import WSServerError from '../../src/websocket/WSServerError.mjs';
+
+/**
+ * Game room loaded by the room workers in the WSServerWorkerPool tests
+ */
+export default class WorkerGameRoom extends WSServerGameRoom {
+  onCreate(name, msg) {
+    if (msg === 'abort') return false;
+    if (msg === 'forbidden') throw new WSServerError('Not allowed');
+    this.setStats();
+    return { level: 2 };
+  }
+
+  onJoin(msg) {
+    if (msg === 'no-seat') throw new WSServerError('No seat');
+    return { team: 'red' };
+  }
+
+  onSpectatorJoin(msg) {
+    if (msg === 'no-seat') throw new WSServerError('No seat');
+    return { team: 'spectator' };
+  }
+
+  onMsg(msg, clientMeta) {
+    this.broadcast({ echo: msg, from: clientMeta.id, clients: this.clients.length });
+  }
+
+  onCmdPing(msg, clientMeta, client) {
+    this.sendCmd(client, 'pong', { msg, team: this.wsServer.getClientMeta(client).team, room: this.name });
+  }
+
+  onCmdWatchers() {
+    this.sendClientsCmd(this.wsServer.getSpectatorSocketsOfRoom(this.name), 'watchers', this.spectators.map(meta => meta.id));
+  }
+
+  onCmdTeam(msg, clientMeta, client) {
+    this.wsServer.getClientMeta(client).team = msg;
+  }
+
+  onCmdBusy(msg) {
+    const end = Date.now() + msg;
+    while (Date.now() < end);
+  }
+
+  onCmdBan(msg) {
+    this.ban(msg, Infinity, 'Cheating');
+  }
+
+  onCmdCrash() {
+    setTimeout(() => { throw new Error('Boom'); });
+  }
+
+  onSendClient(clientMeta) {
+    return { id: clientMeta.id, team: clientMeta.team };
+  }
+}
@@ -0,0 +1,73 @@
+import { expect } from 'chai';
+import { diffPatch, applyPatch } from '../../src/websocket/Patch.mjs';
+
+describe('Patch', () => {
+  function roundTrip(from, to) {
+    const ops = JSON.parse(JSON.stringify(diffPatch(from, to)));
+    return applyPatch(from, ops);
+  }
+
+  describe('diffPatch', () => {
+    it('should return no operation for equal states', () => {
+      expect(diffPatch({ a: 1, b: [1, 2] }, { a: 1, b: [1, 2] })).to.deep.equal([]);
+    });
+
+    it('should only contain the changed paths', () => {
+      const from = { players: [{ id: 'a', x: 0, y: 0 }, { id: 'b', x: 5, y: 5 }], score: 3 };
+      const to = { players: [{ id: 'a', x: 1, y: 0 }, { id: 'b', x: 5, y: 5 }], score: 3 };
+
+      expect(diffPatch(from, to)).to.deep.equal([[['players', 0, 'x'], 1]]);
+    });
+
+    it('should delete the removed keys', () => {
+      expect(diffPatch({ a: 1, b: 2 }, { a: 1 })).to.deep.equal([[['b']]]);
+    });
+
+    it('should truncate the shorter arrays', () => {
+      expect(diffPatch({ list: [1, 2, 3] }, { list: [1] })).to.deep.equal([[['list', 'length'], 1]]);
+    });
+
+    it('should only compare the own keys', () => {
+      expect(diffPatch({}, { constructor: 1 })).to.deep.equal([[['constructor'], 1]]);
+      expect(diffPatch({ toString: 1 }, {})).to.deep.equal([[['toString']]]);
+    });
+
+    it('should replace a value that changes of type', () => {
+      expect(diffPatch({ a: [1] }, { a: { 0: 1 } })).to.deep.equal([[['a'], { 0: 1 }]]);
+      expect(diffPatch({ a: null }, { a: { b: 1 } })).to.deep.equal([[['a'], { b: 1 }]]);
+      expect(diffPatch(1, { a: 1 })).to.deep.equal([[[], { a: 1 }]]);
+    });
+  });
+
+  describe('applyPatch', () => {
+    it('should rebuild the new state', () => {
+      const from = { players: [{ id: 'a', x: 0 }, { id: 'b', x: 5 }], meta: { round: 1, over: false }, old: true };
+      const to = { players: [{ id: 'a', x: 1 }, { id: 'c', x: 2 }, { id: 'd', x: 3 }], meta: { round: 2, over: false } };
+
+      expect(roundTrip(from, to)).to.deep.equal(to);
+      expect(roundTrip(to, from)).to.deep.equal(from);
+    });
+
+    it('should not modify the base state', () => {
+      const from = { a: { b: 1 } };
+
+      applyPatch(from, [[['a', 'b'], 2]]);
+
+      expect(from).to.deep.equal({ a: { b: 1 } });
+    });
+
+    it('should replace the root state', () => {
+      expect(applyPatch({ a: 1 }, [[[], 'new']])).to.equal('new');
+    });
+
+    it('should reject the paths reaching a prototype', () => {
+      const from = { players: {} };
+      const to = JSON.parse('{"players":{"__proto__":{"polluted":"yes"}}}');
+
+      expect(() => applyPatch(from, [[['players', '__proto__', 'polluted'], 'yes']])).to.throw('Invalid patch path');
+      expect(() => applyPatch(from, [[['players', 'constructor', 'prototype', 'polluted'], 'yes']])).to.throw('Invalid patch path');
+      expect(() => roundTrip(from, to)).to.throw('Invalid patch path');
+      expect({}.polluted).to.be.undefined;
+    });
+  });
+});
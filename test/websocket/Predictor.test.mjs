@@ -0,0 +1,127 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import Predictor from '../../src/websocket/Predictor.js';
+
+describe('Predictor', () => {
+  let predictor;
+  let send;
+
+  // Moves the player by its speed for each millisecond
+  const simulate = (state, input, dt) => {
+    state.x += input.speed * dt;
+    return state;
+  };
+
+  beforeEach(() => {
+    let seq = 0;
+    send = sinon.spy(() => ++seq);
+    predictor = new Predictor({ simulate, send });
+  });
+
+  describe('Constructor', () => {
+    it('should create a predictor with default options', () => {
+      expect(predictor.maxPending).to.equal(128);
+      expect(predictor.state).to.be.null;
+      expect(predictor.pending).to.deep.equal([]);
+      expect(predictor.ackSeq).to.equal(0);
+    });
+
+    it('should require the simulate function', () => {
+      expect(() => new Predictor()).to.throw('The simulate function is required.');
+    });
+  });
+
+  describe('input', () => {
+    it('should send the input and keep it pending', () => {
+      predictor.input({ speed: 1 }, 16, 42);
+
+      expect(send).to.have.been.calledOnceWith({ speed: 1 }, 42);
+      expect(predictor.pending).to.deep.equal([{ seq: 1, input: { speed: 1 }, dt: 16 }]);
+    });
+
+    it('should apply the input immediately to the predicted state', () => {
+      predictor.reconcile({ x: 0 });
+
+      expect(predictor.input({ speed: 2 }, 10)).to.deep.equal({ x: 20 });
+      expect(predictor.state).to.deep.equal({ x: 20 });
+    });
+
+    it('should not predict before the first state', () => {
+      expect(predictor.input({ speed: 2 }, 10)).to.be.null;
+    });
+
+    it('should drop the oldest pending inputs above maxPending', () => {
+      predictor.maxPending = 2;
+
+      predictor.input({ speed: 1 }, 1);
+      predictor.input({ speed: 2 }, 1);
+      predictor.input({ speed: 3 }, 1);
+
+      expect(predictor.pending.map(pending => pending.seq)).to.deep.equal([2, 3]);
+    });
+
+    it('should number the inputs without send function', () => {
+      const localPredictor = new Predictor({ simulate });
+
+      localPredictor.input({ speed: 1 }, 1);
+      localPredictor.input({ speed: 1 }, 1);
+
+      expect(localPredictor.pending.map(pending => pending.seq)).to.deep.equal([1, 2]);
+    });
+  });
+
+  describe('reconcile', () => {
+    it('should re-apply the unacknowledged inputs on the server state', () => {
+      predictor.reconcile({ x: 0 });
+      predictor.input({ speed: 1 }, 10);
+      predictor.input({ speed: 1 }, 10);
+      predictor.input({ speed: 1 }, 10);
+
+      // The server processed the first input, but with a collision
+      predictor.ack(1);
+      const state = predictor.reconcile({ x: 5 });
+
+      expect(state).to.deep.equal({ x: 25 });
+      expect(predictor.pending.map(pending => pending.seq)).to.deep.equal([2, 3]);
+    });
+
+    it('should not modify the server state', () => {
+      const serverState = { x: 0 };
+      predictor.input({ speed: 1 }, 10);
+
+      predictor.reconcile(serverState);
+
+      expect(serverState).to.deep.equal({ x: 0 });
+      expect(predictor.serverState).to.equal(serverState);
+    });
+
+    it('should ignore an older acknowledgement', () => {
+      predictor.ack(3);
+      predictor.ack(2);
+
+      expect(predictor.ackSeq).to.equal(3);
+    });
+  });
+
+  describe('clear and dispose', () => {
+    it('should forget the pending inputs and the states', () => {
+      predictor.reconcile({ x: 0 });
+      predictor.input({ speed: 1 }, 10);
+
+      predictor.clear();
+
+      expect(predictor.state).to.be.null;
+      expect(predictor.serverState).to.be.null;
+      expect(predictor.pending).to.deep.equal([]);
+    });
+
+    it('should unregister the room listeners on dispose', () => {
+      const unregister = sinon.spy();
+      predictor.unregister = unregister;
+
+      predictor.dispose();
+
+      expect(unregister).to.have.been.calledOnce;
+    });
+  });
+});
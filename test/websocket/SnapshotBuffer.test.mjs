@@ -0,0 +1,137 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import SnapshotBuffer from '../../src/websocket/SnapshotBuffer.js';
+
+describe('SnapshotBuffer', () => {
+  let buffer;
+
+  beforeEach(() => {
+    buffer = new SnapshotBuffer({ delay: 100, maxExtrapolation: 50 });
+  });
+
+  describe('Constructor', () => {
+    it('should create a buffer with default options', () => {
+      const defaultBuffer = new SnapshotBuffer();
+
+      expect(defaultBuffer.delay).to.equal(100);
+      expect(defaultBuffer.maxSize).to.equal(60);
+      expect(defaultBuffer.maxExtrapolation).to.equal(200);
+      expect(defaultBuffer.snapshots).to.deep.equal([]);
+    });
+
+    it('should timestamp the states with the now option', () => {
+      const timedBuffer = new SnapshotBuffer({ now: () => 1234 });
+
+      timedBuffer.push({ x: 1 });
+
+      expect(timedBuffer.snapshots).to.deep.equal([{ time: 1234, state: { x: 1 } }]);
+    });
+  });
+
+  describe('push', () => {
+    it('should keep the snapshots sorted by time', () => {
+      buffer.push('b', 200);
+      buffer.push('c', 300);
+      buffer.push('a', 100);
+
+      expect(buffer.snapshots.map(snapshot => snapshot.state)).to.deep.equal(['a', 'b', 'c']);
+    });
+
+    it('should drop the oldest snapshots above maxSize', () => {
+      buffer.maxSize = 2;
+
+      buffer.push('a', 100);
+      buffer.push('b', 200);
+      buffer.push('c', 300);
+
+      expect(buffer.snapshots.map(snapshot => snapshot.state)).to.deep.equal(['b', 'c']);
+    });
+  });
+
+  describe('getInterpolatedState', () => {
+    it('should return null when empty', () => {
+      expect(buffer.getInterpolatedState(1000)).to.be.null;
+    });
+
+    it('should return the only snapshot', () => {
+      buffer.push({ x: 10 }, 1000);
+
+      expect(buffer.getInterpolatedState(2000)).to.deep.equal({ x: 10 });
+    });
+
+    it('should return the first snapshot before the buffered time range', () => {
+      buffer.push({ x: 10 }, 1000);
+      buffer.push({ x: 20 }, 1050);
+
+      expect(buffer.getInterpolatedState(1050)).to.deep.equal({ x: 10 });
+    });
+
+    it('should interpolate at renderTime minus the delay', () => {
+      buffer.push({ x: 0 }, 1000);
+      buffer.push({ x: 10 }, 1050);
+      buffer.push({ x: 30 }, 1100);
+
+      expect(buffer.getInterpolatedState(1125)).to.deep.equal({ x: 5 });
+      expect(buffer.getInterpolatedState(1175)).to.deep.equal({ x: 20 });
+    });
+
+    it('should extrapolate from the last two snapshots up to maxExtrapolation', () => {
+      buffer.push({ x: 0 }, 1000);
+      buffer.push({ x: 10 }, 1050);
+
+      expect(buffer.getInterpolatedState(1175)).to.deep.equal({ x: 15 });
+      expect(buffer.getInterpolatedState(5000)).to.deep.equal({ x: 20 });
+    });
+
+    it('should use the given lerp function', () => {
+      const lerpFn = sinon.stub().returns('lerped');
+      buffer.push('a', 1000);
+      buffer.push('b', 1100);
+
+      expect(buffer.getInterpolatedState(1125, lerpFn)).to.equal('lerped');
+      expect(lerpFn).to.have.been.calledOnceWith('a', 'b', 0.25);
+    });
+
+    it('should render at the current time by default', () => {
+      const timedBuffer = new SnapshotBuffer({ delay: 100, now: () => 1150 });
+      timedBuffer.push({ x: 0 }, 1000);
+      timedBuffer.push({ x: 10 }, 1100);
+
+      expect(timedBuffer.getInterpolatedState()).to.deep.equal({ x: 5 });
+    });
+  });
+
+  describe('lerp', () => {
+    it('should interpolate nested numbers and keep the other values of the newer state', () => {
+      const from = { time: 0, players: [{ id: 'a', x: 0, y: 10 }], over: false };
+      const to = { time: 10, players: [{ id: 'a', x: 10, y: 20 }, { id: 'b', x: 5, y: 5 }], over: true };
+
+      expect(SnapshotBuffer.lerp(from, to, 0.5)).to.deep.equal({
+        time: 5,
+        players: [{ id: 'a', x: 5, y: 15 }, { id: 'b', x: 5, y: 5 }],
+        over: true,
+      });
+    });
+  });
+
+  describe('clear and dispose', () => {
+    it('should remove all the snapshots', () => {
+      buffer.push('a', 100);
+
+      buffer.clear();
+
+      expect(buffer.snapshots).to.deep.equal([]);
+    });
+
+    it('should unregister the feeding listener on dispose', () => {
+      const unregister = sinon.spy();
+      buffer.unregister = unregister;
+      buffer.push('a', 100);
+
+      buffer.dispose();
+
+      expect(unregister).to.have.been.calledOnce;
+      expect(buffer.snapshots).to.deep.equal([]);
+    });
+  });
+});
@@ -813,6 +813,653 @@ describe('WSClient', () => {
     });
   });
 
+  describe('Automatic Reconnection', () => {
+    let clock;
+
+    beforeEach(async () => {
+      clock = sandbox.useFakeTimers();
+      wsClient = new WSClient('ws://localhost:8001', 5000, {
+        reconnect: true,
+        reconnectDelay: 100,
+        reconnectMaxDelay: 1000,
+        reconnectJitter: 0,
+        reconnectMaxAttempts: 3,
+      });
+      const connectPromise = wsClient.connect('mytoken');
+      wsClient.wsClient.simulateMessage({ action: 'auth-success' });
+      await connectPromise;
+    });
+
+    it('should not reconnect by default', async () => {
+      const client = new WSClient('ws://localhost:8001');
+      const connectPromise = client.connect();
+      client.wsClient.simulateMessage({ action: 'auth-success' });
+      await connectPromise;
+
+      const reconnectingSpy = sinon.spy();
+      client.on('reconnecting', reconnectingSpy);
+      client.wsClient.simulateClose();
+      clock.tick(60000);
+
+      expect(reconnectingSpy.called).to.be.false;
+      expect(client.wsClient).to.be.null;
+    });
+
+    it('should reconnect with the last token after the connection drops', async () => {
+      const reconnectingSpy = sinon.spy();
+      const reconnectedSpy = sinon.spy();
+      const closeSpy = sinon.spy();
+      wsClient.on('reconnecting', reconnectingSpy);
+      wsClient.on('reconnected', reconnectedSpy);
+      wsClient.on('close', closeSpy);
+      const firstSocket = wsClient.wsClient;
+
+      firstSocket.simulateClose();
+      expect(closeSpy.calledOnce).to.be.true;
+      expect(reconnectingSpy.calledOnceWith({ attempt: 1, delay: 100 })).to.be.true;
+      expect(wsClient.wsClient).to.be.null;
+
+      clock.tick(100);
+      expect(wsClient.wsClient).to.not.equal(firstSocket);
+      expect(wsClient.wsClient.protocols).to.deep.equal(firstSocket.protocols);
+
+      wsClient.wsClient.simulateMessage({ action: 'auth-success', id: 'new-id' });
+      await Promise.resolve();
+
+      expect(reconnectedSpy.calledOnceWith({ attempts: 1 })).to.be.true;
+      expect(wsClient.clientId).to.equal('new-id');
+      expect(wsClient.reconnectAttempts).to.equal(0);
+    });
+
+    it('should back off exponentially between failed attempts', async () => {
+      const reconnectingSpy = sinon.spy();
+      wsClient.on('reconnecting', reconnectingSpy);
+
+      wsClient.wsClient.simulateClose();
+      clock.tick(100);
+      wsClient.wsClient.simulateError();
+      wsClient.wsClient.simulateClose();
+      clock.tick(200);
+      wsClient.wsClient.simulateClose();
+
+      expect(reconnectingSpy.getCalls().map(call => call.args[0])).to.deep.equal([
+        { attempt: 1, delay: 100 },
+        { attempt: 2, delay: 200 },
+        { attempt: 3, delay: 400 },
+      ]);
+    });
+
+    it('should cap the delay to reconnectMaxDelay and apply the jitter', () => {
+      wsClient.reconnectJitter = 0.5;
+      sandbox.stub(Math, 'random').returns(1);
+
+      expect(wsClient.getReconnectDelay(1)).to.equal(50);
+      expect(wsClient.getReconnectDelay(10)).to.equal(500);
+    });
+
+    it('should emit reconnect-failed after reconnectMaxAttempts', () => {
+      const failedSpy = sinon.spy();
+      wsClient.on('reconnect-failed', failedSpy);
+
+      wsClient.wsClient.simulateClose();
+      for (const delay of [100, 200, 400]) {
+        clock.tick(delay);
+        wsClient.wsClient.simulateClose();
+      }
+
+      expect(failedSpy.calledOnceWith({ attempts: 3, reason: 'max-attempts' })).to.be.true;
+      clock.tick(10000);
+      expect(wsClient.wsClient).to.be.null;
+    });
+
+    it('should stop reconnecting when the token is rejected', () => {
+      const failedSpy = sinon.spy();
+      wsClient.on('reconnect-failed', failedSpy);
+
+      wsClient.wsClient.simulateClose();
+      clock.tick(100);
+      wsClient.wsClient.simulateMessage({ action: 'auth-failed' });
+      clock.tick(10000);
+
+      expect(failedSpy.calledOnceWith({ attempts: 1, reason: 'auth-failed' })).to.be.true;
+      expect(wsClient.wsClient).to.be.null;
+    });
+
+    it('should not reconnect after a manual close', () => {
+      const reconnectingSpy = sinon.spy();
+      wsClient.on('reconnecting', reconnectingSpy);
+      const socket = wsClient.wsClient;
+
+      wsClient.close();
+      socket.simulateClose();
+      clock.tick(10000);
+
+      expect(reconnectingSpy.called).to.be.false;
+      expect(wsClient.wsClient).to.be.null;
+    });
+
+    it('should cancel a pending attempt on close', () => {
+      wsClient.wsClient.simulateClose();
+      wsClient.close();
+      clock.tick(10000);
+
+      expect(wsClient.wsClient).to.be.null;
+      expect(wsClient.reconnectAttempts).to.equal(0);
+    });
+  });
+
+  describe('Re-subscription After Reconnect', () => {
+    let clock;
+
+    async function subscribe(chan, callback) {
+      const subPromise = wsClient.sub(chan, callback);
+      const id = JSON.parse(wsClient.wsClient.send.lastCall.args[0]).id;
+      wsClient.wsClient.simulateMessage({ action: 'sub', chan, id, type: 'success', response: 'Subscribed' });
+      return subPromise;
+    }
+
+    function reconnect() {
+      wsClient.wsClient.simulateClose();
+      clock.tick(100);
+      wsClient.wsClient.simulateMessage({ action: 'auth-success' });
+    }
+
+    beforeEach(async () => {
+      clock = sandbox.useFakeTimers();
+      wsClient = new WSClient('ws://localhost:8001', 5000, {
+        reconnect: true,
+        reconnectDelay: 100,
+        reconnectJitter: 0,
+      });
+      const connectPromise = wsClient.connect();
+      wsClient.wsClient.simulateMessage({ action: 'auth-success' });
+      await connectPromise;
+    });
+
+    it('should remember subscriptions and their callbacks', async () => {
+      const callback1 = sinon.spy();
+      const callback2 = sinon.spy();
+      await subscribe('chat', callback1);
+      await wsClient.sub('chat', callback2);
+
+      expect([...wsClient.subscriptions.get('chat')]).to.deep.equal([callback1, callback2]);
+    });
+
+    it('should replay the sub action and restore the callbacks after a reconnection', async () => {
+      const callback1 = sinon.spy();
+      const callback2 = sinon.spy();
+      await subscribe('chat', callback1);
+      await wsClient.sub('chat', callback2);
+
+      reconnect();
+
+      const subMessages = wsClient.wsClient.send.getCalls()
+        .map(call => JSON.parse(call.args[0]))
+        .filter(msg => msg.action === 'sub');
+      expect(subMessages).to.have.lengthOf(1);
+      expect(subMessages[0].chan).to.equal('chat');
+
+      wsClient.wsClient.simulateMessage({ action: 'sub', chan: 'chat', id: subMessages[0].id, type: 'success', response: 'Subscribed' });
+      wsClient.wsClient.simulateMessage({ action: 'pub', chan: 'chat', msg: 'hello again' });
+
+      expect(callback1.calledWith('hello again')).to.be.true;
+      expect(callback2.calledWith('hello again')).to.be.true;
+    });
+
+    it('should emit resub-failed when the server denies the subscription', async () => {
+      const callback = sinon.spy();
+      const failedSpy = sinon.spy();
+      wsClient.on('resub-failed', failedSpy);
+      await subscribe('vip', callback);
+
+      reconnect();
+      const id = JSON.parse(wsClient.wsClient.send.lastCall.args[0]).id;
+      wsClient.wsClient.simulateMessage({ action: 'sub', chan: 'vip', id, type: 'error', response: 'Subscription denied' });
+      await Promise.resolve();
+      await Promise.resolve();
+
+      expect(failedSpy.calledOnce).to.be.true;
+      expect(failedSpy.firstCall.args[0].chan).to.equal('vip');
+      expect(failedSpy.firstCall.args[0].error.message).to.equal('Subscription denied');
+      expect(wsClient.subscriptions.has('vip')).to.be.false;
+      expect(wsClient.hasListener('ws:chan:vip')).to.be.false;
+    });
+
+    it('should not replay channels that were unsubscribed', async () => {
+      await subscribe('chat', sinon.spy());
+      const unsubPromise = wsClient.unsub('chat');
+      const id = JSON.parse(wsClient.wsClient.send.lastCall.args[0]).id;
+      wsClient.wsClient.simulateMessage({ action: 'unsub', chan: 'chat', id, type: 'success', response: 'Unsubscribed' });
+      await unsubPromise;
+
+      reconnect();
+
+      expect(wsClient.wsClient.send.called).to.be.false;
+    });
+
+    it('should forget the subscriptions on a manual close', async () => {
+      await subscribe('chat', sinon.spy());
+
+      wsClient.close();
+
+      expect(wsClient.subscriptions.size).to.equal(0);
+    });
+  });
+
+  describe('Offline Queue', () => {
+    let clock;
+
+    function sentMessages() {
+      return wsClient.wsClient.send.getCalls().map(call => JSON.parse(call.args[0]));
+    }
+
+    function disconnect() {
+      wsClient.wsClient.simulateClose();
+    }
+
+    function reconnect() {
+      clock.tick(100);
+      wsClient.wsClient.simulateMessage({ action: 'auth-success' });
+    }
+
+    beforeEach(async () => {
+      clock = sandbox.useFakeTimers();
+      wsClient = new WSClient('ws://localhost:8001', 5000, {
+        reconnect: true,
+        reconnectDelay: 100,
+        reconnectJitter: 0,
+        queue: true,
+        queueMaxSize: 2,
+        queueTimeout: 1000,
+      });
+      const connectPromise = wsClient.connect();
+      wsClient.wsClient.simulateMessage({ action: 'auth-success' });
+      await connectPromise;
+    });
+
+    it('should not queue by default', () => {
+      const client = new WSClient('ws://localhost:8001');
+      expect(client.queue).to.be.false;
+      expect(() => client.pubSimple('chat', 'hello')).to.throw();
+    });
+
+    it('should throw on an invalid overflow policy', () => {
+      expect(() => new WSClient('ws://localhost:8001', 5000, { queueOverflow: 'ignore' })).to.throw('Invalid queue overflow policy');
+    });
+
+    it('should send directly while authenticated', () => {
+      wsClient.pubSimple('chat', 'hello');
+
+      expect(wsClient.outbox).to.have.lengthOf(0);
+      expect(sentMessages()[0]).to.include({ action: 'pub-simple', chan: 'chat', msg: 'hello' });
+    });
+
+    it('should queue the messages while disconnected and flush them in order after the reconnection', () => {
+      disconnect();
+      wsClient.pubSimple('chat', 'first');
+      wsClient.pubSimple('chat', 'second');
+      expect(wsClient.outbox).to.have.lengthOf(2);
+
+      clock.tick(100);
+      expect(wsClient.wsClient.send.called).to.be.false;
+      wsClient.wsClient.simulateMessage({ action: 'auth-success' });
+
+      expect(wsClient.outbox).to.have.lengthOf(0);
+      expect(sentMessages().map(msg => msg.msg)).to.deep.equal(['first', 'second']);
+    });
+
+    it('should resolve a queued rpc once the server responds', async () => {
+      disconnect();
+      const rpcPromise = wsClient.rpc('add', { a: 1, b: 2 });
+
+      // A failed attempt must not lose the pending response listener
+      clock.tick(100);
+      wsClient.wsClient.simulateClose();
+      clock.tick(200);
+      wsClient.wsClient.simulateMessage({ action: 'auth-success' });
+
+      const message = sentMessages().find(msg => msg.action === 'rpc');
+      wsClient.wsClient.simulateMessage({ action: 'rpc', name: 'add', id: message.id, type: 'success', response: 3 });
+
+      expect(await rpcPromise).to.equal(3);
+    });
+
+    it('should not send a queued message whose request timed out', async () => {
+      disconnect();
+      const rpcPromise = wsClient.rpc('add', {}, 50);
+      clock.tick(50);
+
+      try {
+        await rpcPromise;
+        expect.fail('Should have timed out');
+      } catch (error) {
+        expect(error.message).to.include('WS RPC Timeout');
+      }
+      expect(wsClient.outbox).to.have.lengthOf(0);
+    });
+
+    it('should drop the oldest message when the queue is full', () => {
+      disconnect();
+      wsClient.pubSimple('chat', 'first');
+      wsClient.pubSimple('chat', 'second');
+      wsClient.pubSimple('chat', 'third');
+
+      reconnect();
+
+      expect(sentMessages().map(msg => msg.msg)).to.deep.equal(['second', 'third']);
+    });
+
+    it('should drop the expired messages', () => {
+      disconnect();
+      wsClient.pubSimple('chat', 'old');
+      clock.tick(1000);
+
+      expect(wsClient.outbox).to.have.lengthOf(0);
+    });
+
+    it('should reject on overflow and expiry with the reject policy', async () => {
+      wsClient.close();
+      wsClient = new WSClient('ws://localhost:8001', 5000, { queue: true, queueMaxSize: 1, queueTimeout: 1000, queueOverflow: 'reject' });
+
+      const first = wsClient.pub('chat', 'first');
+      const second = wsClient.pub('chat', 'second');
+
+      try {
+        await second;
+        expect.fail('Should have been rejected');
+      } catch (error) {
+        expect(error.message).to.equal('WS queue is full');
+      }
+
+      clock.tick(1000);
+      try {
+        await first;
+        expect.fail('Should have been rejected');
+      } catch (error) {
+        expect(error.message).to.equal('WS queued message expired');
+      }
+    });
+
+    it('should reject the queued requests on a manual close with the reject policy', async () => {
+      wsClient.close();
+      wsClient = new WSClient('ws://localhost:8001', 5000, { queue: true, queueOverflow: 'reject' });
+      const rpcPromise = wsClient.rpc('add');
+
+      wsClient.close();
+
+      try {
+        await rpcPromise;
+        expect.fail('Should have been rejected');
+      } catch (error) {
+        expect(error.message).to.equal('WS connection closed.');
+      }
+      expect(wsClient.outbox).to.have.lengthOf(0);
+    });
+
+    it('should abandon the pending requests on a manual close', async () => {
+      const settled = sinon.spy();
+      wsClient.rpc('add').then(settled, settled);
+      disconnect();
+      wsClient.pub('chat', 'queued').then(settled, settled);
+
+      wsClient.close();
+      clock.tick(10000);
+      await Promise.resolve();
+
+      expect(settled.called).to.be.false;
+      expect(wsClient.requestTimers.size).to.equal(0);
+    });
+
+    it('should send a queued sub only once after the reconnection', () => {
+      disconnect();
+      const callback = sinon.spy();
+      wsClient.sub('chat', callback);
+
+      reconnect();
+
+      const subMessages = sentMessages().filter(msg => msg.action === 'sub');
+      expect(subMessages).to.have.lengthOf(1);
+      wsClient.wsClient.simulateMessage({ action: 'sub', chan: 'chat', id: subMessages[0].id, type: 'success', response: 'Subscribed' });
+      wsClient.wsClient.simulateMessage({ action: 'pub', chan: 'chat', msg: 'hello' });
+      expect(callback.calledWith('hello')).to.be.true;
+    });
+
+    it('should cancel a queued sub when unsubscribing while disconnected', async () => {
+      disconnect();
+      const subPromise = wsClient.sub('chat', sinon.spy());
+
+      const response = await wsClient.unsub('chat');
+
+      expect(response).to.equal('Unsubscribed');
+      expect(wsClient.outbox).to.have.lengthOf(0);
+      try {
+        await subPromise;
+        expect.fail('Should have been rejected');
+      } catch (error) {
+        expect(error.message).to.include('WS Sub cancelled');
+      }
+    });
+  });
+
+  describe('Connection State', () => {
+    let clock;
+    let states;
+
+    function simulateOpen(ws) {
+      ws.addEventListener.getCalls()
+        .filter(call => call.args[0] === 'open')
+        .forEach(call => call.args[1]());
+    }
+
+    beforeEach(() => {
+      clock = sandbox.useFakeTimers();
+      wsClient = new WSClient('ws://localhost:8001', 5000, {
+        reconnect: true,
+        reconnectDelay: 100,
+        reconnectJitter: 0,
+        reconnectMaxAttempts: 1,
+      });
+      states = [];
+      wsClient.on('statechange', ({ state }) => states.push(state));
+    });
+
+    it('should start closed', () => {
+      expect(wsClient.state).to.equal('closed');
+    });
+
+    it('should go through the auth handshake', async () => {
+      const changeSpy = sinon.spy();
+      wsClient.on('statechange', changeSpy);
+
+      const connectPromise = wsClient.connect();
+      expect(wsClient.state).to.equal('connecting');
+      simulateOpen(wsClient.wsClient);
+      expect(wsClient.state).to.equal('authenticating');
+      wsClient.wsClient.simulateMessage({ action: 'auth-success' });
+      await connectPromise;
+
+      expect(wsClient.state).to.equal('open');
+      expect(states).to.deep.equal(['connecting', 'authenticating', 'open']);
+      expect(changeSpy.lastCall.args[0]).to.deep.equal({ state: 'open', previous: 'authenticating' });
+    });
+
+    it('should be open when the connect promise resolves', async () => {
+      const connectPromise = wsClient.connect();
+      wsClient.wsClient.simulateMessage({ action: 'auth-success' });
+      await connectPromise;
+
+      expect(wsClient.state).to.equal('open');
+    });
+
+    it('should be closed after an auth failure', async () => {
+      const connectPromise = wsClient.connect();
+      simulateOpen(wsClient.wsClient);
+      wsClient.wsClient.simulateMessage({ action: 'auth-failed' });
+      await connectPromise.catch(() => {});
+
+      expect(states).to.deep.equal(['connecting', 'authenticating', 'closing', 'closed']);
+    });
+
+    it('should go through closing on a manual close', async () => {
+      const connectPromise = wsClient.connect();
+      wsClient.wsClient.simulateMessage({ action: 'auth-success' });
+      await connectPromise;
+      states = [];
+
+      wsClient.close();
+
+      expect(states).to.deep.equal(['closing', 'closed']);
+    });
+
+    it('should not emit statechange when closing an already closed client', () => {
+      wsClient.close();
+
+      expect(states).to.deep.equal([]);
+    });
+
+    it('should track the reconnection', async () => {
+      const connectPromise = wsClient.connect();
+      wsClient.wsClient.simulateMessage({ action: 'auth-success' });
+      await connectPromise;
+      states = [];
+
+      wsClient.wsClient.simulateClose();
+      expect(wsClient.state).to.equal('reconnecting');
+      clock.tick(100);
+      wsClient.wsClient.simulateMessage({ action: 'auth-success' });
+
+      expect(states).to.deep.equal(['closed', 'reconnecting', 'connecting', 'open']);
+    });
+
+    it('should be closed when the reconnection gives up or is stopped', async () => {
+      const connectPromise = wsClient.connect();
+      wsClient.wsClient.simulateMessage({ action: 'auth-success' });
+      await connectPromise;
+
+      wsClient.wsClient.simulateClose();
+      clock.tick(100);
+      wsClient.wsClient.simulateClose();
+      expect(wsClient.state).to.equal('closed');
+
+      const client = new WSClient('ws://localhost:8001', 5000, { reconnect: true });
+      const promise = client.connect();
+      client.wsClient.simulateMessage({ action: 'auth-success' });
+      await promise;
+      client.wsClient.simulateClose();
+      expect(client.state).to.equal('reconnecting');
+      client.stopReconnect();
+      expect(client.state).to.equal('closed');
+    });
+  });
+
+  describe('Time Sync', () => {
+    let clock;
+
+    function answerSync(serverTime) {
+      const request = JSON.parse(wsClient.wsClient.send.lastCall.args[0]);
+      wsClient.wsClient.simulateMessage({ action: 'time-sync', id: request.id, time: serverTime });
+    }
+
+    beforeEach(async () => {
+      clock = sandbox.useFakeTimers(10000);
+      wsClient = new WSClient('ws://localhost:8001');
+      const connectPromise = wsClient.connect();
+      wsClient.wsClient.simulateMessage({ action: 'auth-success' });
+      await connectPromise;
+    });
+
+    it('should have no latency and the local time before any measure', () => {
+      expect(wsClient.latency).to.be.null;
+      expect(wsClient.serverNow()).to.equal(10000);
+    });
+
+    it('should measure the rtt and the server clock offset', async () => {
+      const latencySpy = sinon.spy();
+      wsClient.on('latency', latencySpy);
+
+      const syncPromise = wsClient.syncTime();
+      expect(JSON.parse(wsClient.wsClient.send.lastCall.args[0])).to.deep.equal({ action: 'time-sync', id: 0 });
+      clock.tick(100);
+      // The server answered at 50ms of the round trip with a clock 5000ms ahead
+      answerSync(15050);
+
+      const latency = await syncPromise;
+      expect(latency).to.deep.equal({ rtt: 100, jitter: 50, offset: 5000, samples: 1 });
+      expect(wsClient.latency).to.equal(latency);
+      expect(latencySpy).to.have.been.calledOnceWith(latency);
+      expect(wsClient.serverNow()).to.equal(Date.now() + 5000);
+    });
+
+    it('should smooth the following measures', async () => {
+      let syncPromise = wsClient.syncTime();
+      clock.tick(100);
+      answerSync(15050);
+      await syncPromise;
+
+      syncPromise = wsClient.syncTime();
+      clock.tick(180);
+      answerSync(Date.now() + 5080 - 90);
+      const latency = await syncPromise;
+
+      expect(latency.rtt).to.equal(110);
+      expect(latency.jitter).to.equal(57.5);
+      expect(latency.offset).to.equal(5010);
+      expect(latency.samples).to.equal(2);
+    });
+
+    it('should ignore the answers of other time syncs', async () => {
+      const syncPromise = wsClient.syncTime();
+      wsClient.wsClient.simulateMessage({ action: 'time-sync', id: 42, time: 0 });
+      expect(wsClient.latency).to.be.null;
+
+      answerSync(10000);
+      await syncPromise;
+      expect(wsClient.latency.samples).to.equal(1);
+    });
+
+    it('should reject on timeout', async () => {
+      const syncPromise = wsClient.syncTime(1000);
+      clock.tick(1000);
+
+      try {
+        await syncPromise;
+        expect.fail('Should have timed out');
+      } catch (error) {
+        expect(error.message).to.include('WS Time sync Timeout');
+      }
+    });
+
+    it('should reject when not connected', async () => {
+      wsClient.close();
+
+      try {
+        await wsClient.syncTime();
+        expect.fail('Should have been rejected');
+      } catch (error) {
+        expect(error.message).to.equal('WS not connected');
+      }
+    });
+
+    it('should sync periodically while connected with the timeSyncInterval option', async () => {
+      wsClient.close();
+      wsClient = new WSClient('ws://localhost:8001', 5000, { timeSyncInterval: 2000 });
+      const connectPromise = wsClient.connect();
+      wsClient.wsClient.simulateMessage({ action: 'auth-success' });
+      await connectPromise;
+
+      const syncRequests = () => wsClient.wsClient.send.getCalls()
+        .filter(call => JSON.parse(call.args[0]).action === 'time-sync');
+      expect(syncRequests()).to.have.lengthOf(1);
+      clock.tick(2000);
+      expect(syncRequests()).to.have.lengthOf(2);
+
+      const ws = wsClient.wsClient;
+      wsClient.close();
+      clock.tick(4000);
+      expect(ws.send.getCalls().filter(call => JSON.parse(call.args[0]).action === 'time-sync')).to.have.lengthOf(2);
+    });
+  });
+
   describe('Edge Cases', () => {
     it('should handle malformed JSON messages gracefully', async () => {
       const connectPromise = wsClient.connect();
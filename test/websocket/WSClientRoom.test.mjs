@@ -49,6 +49,14 @@ class MockWebSocket {
       .forEach(call => call.args[1](event));
   }
 
+  // Simulate the success response of the last RPC sent with this name
+  simulateRpcSuccess(name, response = true) {
+    const rpc = this.send.getCalls()
+      .map(call => JSON.parse(call.args[0]))
+      .findLast(msg => msg.action === 'rpc' && msg.name === name);
+    this.simulateMessage({ action: 'rpc', name, response, type: 'success', id: rpc.id });
+  }
+
   // Simulate connection error
   simulateError() {
     this.addEventListener.getCalls()
@@ -208,6 +216,20 @@ describe('WSClientRoom', () => {
       });
     });
 
+    describe('roomCreate options', () => {
+      it('should send the capacity, the password and the private flag of the room', async () => {
+        const options = { maxUsers: 4, password: 'secret', isPrivate: true };
+        const roomPromise = wsClientRoom.roomCreate('my-room', {}, undefined, options);
+
+        const sentMessage = JSON.parse(wsClientRoom.wsClient.send.firstCall.args[0]);
+        expect(sentMessage.data).to.deep.equal({ name: 'my-room', msg: {}, ...options });
+        wsClientRoom.wsClient.simulateRpcSuccess('__room-create', { name: 'my-room', meta: {}, inviteCode: 'xyz' });
+
+        const room = await roomPromise;
+        expect(room.inviteCode).to.equal('xyz');
+      });
+    });
+
     describe('roomJoin', () => {
       it('should join existing room', async () => {
         const roomPromise = wsClientRoom.roomJoin('existing-room', { userId: 123 });
@@ -240,6 +262,163 @@ describe('WSClientRoom', () => {
         expect(room.meta).to.deep.equal({ capacity: 5 });
         expect(room.clients).to.deep.equal(['client1', 'client2']);
       });
+
+      it('should send the password of the room', async () => {
+        const roomPromise = wsClientRoom.roomJoin('locked-room', {}, undefined, { password: 'secret' });
+
+        const sentMessage = JSON.parse(wsClientRoom.wsClient.send.firstCall.args[0]);
+        expect(sentMessage.data).to.deep.equal({ name: 'locked-room', msg: {}, password: 'secret' });
+        wsClientRoom.wsClient.simulateRpcSuccess('__room-join', { name: 'locked-room', meta: {} });
+
+        const room = await roomPromise;
+        expect(room.inviteCode).to.be.null;
+      });
+    });
+
+    describe('roomJoinByInvite', () => {
+      it('should join a room with its invite code', async () => {
+        const roomPromise = wsClientRoom.roomJoinByInvite('abc123');
+
+        const sentMessage = JSON.parse(wsClientRoom.wsClient.send.firstCall.args[0]);
+        expect(sentMessage.data).to.deep.equal({ name: null, msg: {}, invite: 'abc123' });
+        wsClientRoom.wsClient.simulateRpcSuccess('__room-join', { name: 'private-room', meta: {}, inviteCode: 'abc123' });
+
+        const room = await roomPromise;
+        expect(room.name).to.equal('private-room');
+        expect(room.inviteCode).to.equal('abc123');
+      });
+    });
+
+    describe('roomSpectate', () => {
+      it('should spectate a room', async () => {
+        const roomPromise = wsClientRoom.roomSpectate('arena', { seat: 'north' });
+
+        const sentMessage = JSON.parse(wsClientRoom.wsClient.send.firstCall.args[0]);
+        expect(sentMessage).to.include({ action: 'rpc', name: '__room-spectate' });
+        expect(sentMessage.data).to.deep.equal({ name: 'arena', msg: { seat: 'north' } });
+        wsClientRoom.wsClient.simulateRpcSuccess('__room-spectate', { name: 'arena', meta: {}, clients: [{ id: 'p1' }], spectator: true });
+
+        const room = await roomPromise;
+        expect(room.name).to.equal('arena');
+        expect(room.isSpectator).to.be.true;
+        expect(room.clients).to.deep.equal([{ id: 'p1' }]);
+        expect(wsClientRoom.rooms.get('arena')).to.equal(room);
+      });
+
+      it('should not mark the joined rooms as spectated', async () => {
+        const roomPromise = wsClientRoom.roomJoin('arena');
+        wsClientRoom.wsClient.simulateRpcSuccess('__room-join', { name: 'arena', meta: {} });
+
+        expect((await roomPromise).isSpectator).to.be.false;
+      });
+    });
+
+    describe('onKicked', () => {
+      it('should notify and forget the room when kicked', async () => {
+        const roomPromise = wsClientRoom.roomJoin('arena');
+        wsClientRoom.wsClient.simulateRpcSuccess('__room-join', { name: 'arena', meta: {} });
+        const room = await roomPromise;
+        const callback = sinon.spy();
+        room.onKicked(callback);
+
+        wsClientRoom.wsClient.simulateMessage({
+          action: 'pub-cmd',
+          chan: '__room-arena',
+          msg: { cmd: '__kicked', data: { reason: 'Spam', banned: true } }
+        });
+
+        expect(callback.calledOnceWith({ reason: 'Spam', banned: true })).to.be.true;
+        expect(wsClientRoom.rooms.has('arena')).to.be.false;
+        expect(wsClientRoom.unregisterCmdListener.has('arena')).to.be.false;
+      });
+    });
+
+    describe('roomQueue', () => {
+      const simulateCmd = (cmd, data) => wsClientRoom.wsClient.simulateMessage({ action: 'cmd', cmd, data });
+
+      it('should enqueue and resolve with the room of the match', async () => {
+        const roomPromise = wsClientRoom.roomQueue({ mode: 'duel', skill: 1200 });
+
+        const sentMessage = JSON.parse(wsClientRoom.wsClient.send.firstCall.args[0]);
+        expect(sentMessage).to.include({ action: 'rpc', name: '__room-queue' });
+        expect(sentMessage.data).to.deep.equal({ mode: 'duel', skill: 1200 });
+        wsClientRoom.wsClient.simulateRpcSuccess('__room-queue', { position: 1, size: 1, waited: 0, eta: null });
+        simulateCmd('__room-match', { name: 'match-1', meta: { mode: 'duel' }, clients: [], inviteCode: 'xyz' });
+
+        const room = await roomPromise;
+        expect(room.name).to.equal('match-1');
+        expect(room.meta).to.deep.equal({ mode: 'duel' });
+        expect(room.inviteCode).to.equal('xyz');
+        expect(wsClientRoom.rooms.get('match-1')).to.equal(room);
+        expect(wsClientRoom.roomQueueTicket).to.be.null;
+      });
+
+      it('should reject a failed match', async () => {
+        const roomPromise = wsClientRoom.roomQueue();
+        wsClientRoom.wsClient.simulateRpcSuccess('__room-queue');
+        simulateCmd('__room-match', { error: 'Match creation failed' });
+
+        try {
+          await roomPromise;
+          expect.fail('Should have rejected');
+        } catch (error) {
+          expect(error.message).to.equal('Match creation failed');
+        }
+      });
+
+      it('should reject a second queue', async () => {
+        wsClientRoom.roomQueue().catch(() => {});
+
+        try {
+          await wsClientRoom.roomQueue();
+          expect.fail('Should have rejected');
+        } catch (error) {
+          expect(error.message).to.equal('Already in queue');
+        }
+        wsClientRoom.roomQueueCancel();
+        wsClientRoom.wsClient.simulateRpcSuccess('__room-queue-cancel');
+      });
+
+      it('should reject when the server refuses the ticket', async () => {
+        const roomPromise = wsClientRoom.roomQueue({ mode: 'unknown' });
+        const { id } = JSON.parse(wsClientRoom.wsClient.send.firstCall.args[0]);
+        wsClientRoom.wsClient.simulateMessage({ action: 'rpc', name: '__room-queue', response: 'Unknown mode', type: 'error', id });
+
+        try {
+          await roomPromise;
+          expect.fail('Should have rejected');
+        } catch (error) {
+          expect(error.message).to.equal('Unknown mode');
+        }
+        expect(wsClientRoom.roomQueueTicket).to.be.null;
+      });
+
+      it('should cancel the queue', async () => {
+        const roomPromise = wsClientRoom.roomQueue();
+        wsClientRoom.wsClient.simulateRpcSuccess('__room-queue');
+
+        const cancelPromise = wsClientRoom.roomQueueCancel();
+        wsClientRoom.wsClient.simulateRpcSuccess('__room-queue-cancel');
+
+        expect(await cancelPromise).to.be.true;
+        try {
+          await roomPromise;
+          expect.fail('Should have rejected');
+        } catch (error) {
+          expect(error.message).to.equal('Matchmaking cancelled');
+        }
+        expect(wsClientRoom.roomQueueTicket).to.be.null;
+      });
+
+      it('should listen to the queue updates', () => {
+        const callback = sinon.spy();
+        const unregister = wsClientRoom.roomOnQueue(callback);
+        simulateCmd('__room-queue', { position: 2, size: 3, waited: 1000, eta: 4000 });
+        unregister();
+        simulateCmd('__room-queue', { position: 1, size: 3, waited: 2000, eta: 3000 });
+
+        expect(callback.calledOnceWith({ position: 2, size: 3, waited: 1000, eta: 4000 })).to.be.true;
+      });
     });
 
     describe('roomLeave', () => {
@@ -580,6 +759,7 @@ describe('WSClientRoom', () => {
         wsClientRoom.wsClient.send.resetHistory();
 
         room.leave();
+        wsClientRoom.wsClient.simulateRpcSuccess('__room-leave');
 
         expect(wsClientRoom.wsClient.send.called).to.be.true;
         const sentMessage = JSON.parse(wsClientRoom.wsClient.send.firstCall.args[0]);
@@ -646,6 +826,234 @@ describe('WSClientRoom', () => {
         expect(callback.calledWith(['client1', 'client2', 'client3'])).to.be.true;
       });
     });
+
+    describe('createSnapshotBuffer', () => {
+      it('should feed a snapshot buffer with the room messages', () => {
+        let now = 1000;
+        const buffer = room.createSnapshotBuffer({ delay: 50, now: () => now });
+
+        wsClientRoom.wsClient.simulateMessage({ action: 'pub', chan: '__room-test-room', msg: { x: 0 } });
+        now = 1100;
+        wsClientRoom.wsClient.simulateMessage({ action: 'pub', chan: '__room-test-room', msg: { x: 10 } });
+
+        expect(buffer.snapshots).to.have.lengthOf(2);
+        expect(buffer.getInterpolatedState(1100)).to.deep.equal({ x: 5 });
+      });
+
+      it('should stop feeding the buffer once disposed', () => {
+        const buffer = room.createSnapshotBuffer();
+
+        buffer.dispose();
+        wsClientRoom.wsClient.simulateMessage({ action: 'pub', chan: '__room-test-room', msg: { x: 0 } });
+
+        expect(buffer.snapshots).to.have.lengthOf(0);
+      });
+    });
+
+    describe('createPredictor', () => {
+      const simulate = (state, input) => {
+        state.x += input.dx;
+        return state;
+      };
+
+      function receive(msg, cmd = null) {
+        if (cmd === null) {
+          wsClientRoom.wsClient.simulateMessage({ action: 'pub', chan: '__room-test-room', msg });
+          return;
+        }
+        wsClientRoom.wsClient.simulateMessage({ action: 'pub-cmd', chan: '__room-test-room', msg: { cmd, data: msg } });
+      }
+
+      it('should send the inputs to the room and reconcile the room states', () => {
+        const predictor = room.createPredictor({ simulate });
+        receive({ x: 0 });
+
+        predictor.input({ dx: 1 }, 16);
+        predictor.input({ dx: 2 }, 16);
+        expect(predictor.state).to.deep.equal({ x: 3 });
+
+        receive({ seq: 1, tick: 10 }, '__input-ack');
+        receive({ x: 1 });
+
+        expect(predictor.state).to.deep.equal({ x: 3 });
+        expect(predictor.pending.map(pending => pending.seq)).to.deep.equal([2]);
+        const sent = wsClientRoom.wsClient.send.getCalls().map(call => JSON.parse(call.args[0]));
+        expect(sent.filter(msg => msg.action === 'room-input')).to.have.lengthOf(2);
+      });
+
+      it('should stop the reconciliation once disposed', () => {
+        const predictor = room.createPredictor({ simulate });
+
+        predictor.dispose();
+        receive({ x: 0 });
+
+        expect(predictor.state).to.be.null;
+      });
+    });
+  });
+
+  describe('Delta Patches', () => {
+    let room;
+
+    function receivePatch(patch) {
+      wsClientRoom.wsClient.simulateMessage({
+        action: 'pub-cmd',
+        chan: '__room-game',
+        msg: { cmd: '__patch', data: patch }
+      });
+    }
+
+    beforeEach(async () => {
+      const connectPromise = wsClientRoom.connect();
+      wsClientRoom.wsClient.simulateMessage({ action: 'auth-success' });
+      await connectPromise;
+
+      const roomPromise = wsClientRoom.roomJoin('game');
+      wsClientRoom.wsClient.simulateMessage({
+        action: 'rpc',
+        name: '__room-join',
+        response: { name: 'game', meta: {} },
+        type: 'success',
+        id: 0
+      });
+      room = await roomPromise;
+      wsClientRoom.wsClient.send.resetHistory();
+    });
+
+    it('should pass the full states to the room message listeners and acknowledge them', () => {
+      const messageSpy = sinon.spy();
+      room.onMessage(messageSpy);
+
+      receivePatch({ seq: 1, state: { players: [{ x: 0 }], round: 1 } });
+      receivePatch({ seq: 2, base: 1, ops: [[['players', 0, 'x'], 5]] });
+
+      expect(messageSpy.secondCall.args[0]).to.deep.equal({ players: [{ x: 5 }], round: 1 });
+      const acks = wsClientRoom.wsClient.send.getCalls().map(call => JSON.parse(call.args[0]));
+      expect(acks).to.deep.equal([
+        { action: 'room-patch-ack', room: 'game', seq: 1 },
+        { action: 'room-patch-ack', room: 'game', seq: 2 },
+      ]);
+    });
+
+    it('should not let the listeners modify the base of the next deltas', () => {
+      room.onMessage(state => state.round = 99);
+
+      receivePatch({ seq: 1, state: { round: 1, x: 0 } });
+      receivePatch({ seq: 2, base: 1, ops: [[['x'], 1]] });
+
+      expect(wsClientRoom.roomPatches.get('game').get(2)).to.deep.equal({ round: 1, x: 1 });
+    });
+
+    it('should skip a delta whose base is unknown', () => {
+      const messageSpy = sinon.spy();
+      room.onMessage(messageSpy);
+
+      receivePatch({ seq: 5, base: 4, ops: [[['x'], 1]] });
+
+      expect(messageSpy.called).to.be.false;
+      expect(wsClientRoom.wsClient.send.called).to.be.false;
+    });
+
+    it('should forget the states older than the last base', () => {
+      receivePatch({ seq: 1, state: { x: 0 } });
+      receivePatch({ seq: 2, base: 1, ops: [[['x'], 1]] });
+      receivePatch({ seq: 3, base: 2, ops: [[['x'], 2]] });
+
+      expect([...wsClientRoom.roomPatches.get('game').keys()]).to.deep.equal([2, 3]);
+    });
+
+    it('should forget the states when leaving the room', () => {
+      receivePatch({ seq: 1, state: { x: 0 } });
+
+      room.leave();
+      wsClientRoom.wsClient.simulateRpcSuccess('__room-leave');
+
+      expect(wsClientRoom.roomPatches.has('game')).to.be.false;
+    });
+  });
+
+  describe('Inputs', () => {
+    let room;
+
+    beforeEach(async () => {
+      const connectPromise = wsClientRoom.connect();
+      wsClientRoom.wsClient.simulateMessage({ action: 'auth-success' });
+      await connectPromise;
+
+      const roomPromise = wsClientRoom.roomJoin('game');
+      wsClientRoom.wsClient.simulateMessage({
+        action: 'rpc',
+        name: '__room-join',
+        response: { name: 'game', meta: {} },
+        type: 'success',
+        id: 0
+      });
+      room = await roomPromise;
+      wsClientRoom.wsClient.send.resetHistory();
+    });
+
+    it('should send the inputs with increasing sequence numbers', () => {
+      expect(room.sendInput({ up: true }, 12)).to.equal(1);
+      expect(room.sendInput({ up: false })).to.equal(2);
+
+      const sent = wsClientRoom.wsClient.send.getCalls().map(call => JSON.parse(call.args[0]));
+      expect(sent).to.deep.equal([
+        { action: 'room-input', room: 'game', seq: 1, tick: 12, input: { up: true } },
+        { action: 'room-input', room: 'game', seq: 2, input: { up: false } },
+      ]);
+    });
+
+    it('should receive the input acknowledgements', () => {
+      const ackSpy = sinon.spy();
+      room.onInputAck(ackSpy);
+
+      wsClientRoom.wsClient.simulateMessage({
+        action: 'pub-cmd',
+        chan: '__room-game',
+        msg: { cmd: '__input-ack', data: { seq: 2, tick: 40 } }
+      });
+
+      expect(ackSpy).to.have.been.calledOnceWith({ seq: 2, tick: 40 });
+    });
+
+    it('should send the turn inputs and receive the input frames', () => {
+      const turnSpy = sinon.spy();
+      room.onTurn(turnSpy);
+
+      room.sendTurnInput(3, { move: [1, 2] });
+      wsClientRoom.wsClient.simulateMessage({
+        action: 'pub-cmd',
+        chan: '__room-game',
+        msg: { cmd: '__turn', data: { turn: 3, inputs: {}, missing: [] } }
+      });
+
+      expect(JSON.parse(wsClientRoom.wsClient.send.firstCall.args[0])).to.deep.equal({
+        action: 'room-turn', room: 'game', turn: 3, input: { move: [1, 2] }
+      });
+      expect(turnSpy).to.have.been.calledOnceWith({ turn: 3, inputs: {}, missing: [] });
+    });
+
+    it('should receive the loop changes', () => {
+      const loopSpy = sinon.spy();
+      room.onLoopChange(loopSpy);
+
+      wsClientRoom.wsClient.simulateMessage({
+        action: 'pub-cmd',
+        chan: '__room-game',
+        msg: { cmd: '__loop', data: { paused: true, timeScale: 1, elapsedTime: 500 } }
+      });
+
+      expect(loopSpy).to.have.been.calledOnceWith({ paused: true, timeScale: 1, elapsedTime: 500 });
+    });
+
+    it('should restart the sequence after leaving the room', () => {
+      room.sendInput('a');
+
+      room.leave();
+      wsClientRoom.wsClient.simulateRpcSuccess('__room-leave');
+
+      expect(wsClientRoom.roomInputSeqs.has('game')).to.be.false;
+    });
   });
 
   describe('Cleanup', () => {
@@ -680,6 +1088,154 @@ describe('WSClientRoom', () => {
     });
   });
 
+  describe('Room Session Resumption', () => {
+    let clock;
+    let room;
+
+    function lastSent() {
+      return JSON.parse(wsClientRoom.wsClient.send.lastCall.args[0]);
+    }
+
+    function dropAndReconnect() {
+      wsClientRoom.wsClient.simulateClose();
+      clock.tick(100);
+      wsClientRoom.wsClient.simulateMessage({ action: 'auth-success', id: 'new-id', resumeToken: 'token-2' });
+    }
+
+    beforeEach(async () => {
+      clock = sandbox.useFakeTimers();
+      wsClientRoom = new WSClientRoom('ws://localhost:8001', 5000, {
+        reconnect: true,
+        reconnectDelay: 100,
+        reconnectJitter: 0,
+        reconnectMaxAttempts: 1,
+      });
+      const connectPromise = wsClientRoom.connect();
+      wsClientRoom.wsClient.simulateMessage({ action: 'auth-success', id: 'old-id', resumeToken: 'token-1' });
+      await connectPromise;
+
+      const roomPromise = wsClientRoom.roomJoin('game');
+      wsClientRoom.wsClient.simulateMessage({
+        action: 'rpc',
+        name: '__room-join',
+        response: { name: 'game', meta: {}, clients: [{ id: 'old-id' }] },
+        type: 'success',
+        id: lastSent().id
+      });
+      room = await roomPromise;
+    });
+
+    it('should store the resume token and the joined rooms', () => {
+      expect(wsClientRoom.resumeToken).to.equal('token-1');
+      expect(wsClientRoom.rooms.get('game')).to.equal(room);
+    });
+
+    it('should keep the room listeners and resume the session after a reconnection', async () => {
+      const messageSpy = sinon.spy();
+      const cmdSpy = sinon.spy();
+      const resumedSpy = sinon.spy();
+      room.onMessage(messageSpy);
+      room.onCmd('move', cmdSpy);
+      wsClientRoom.on('rooms-resumed', resumedSpy);
+
+      dropAndReconnect();
+
+      const resumeRequest = lastSent();
+      expect(resumeRequest.name).to.equal('__room-resume');
+      expect(resumeRequest.data).to.deep.equal({ token: 'token-1' });
+
+      wsClientRoom.wsClient.simulateMessage({
+        action: 'rpc',
+        name: '__room-resume',
+        response: { id: 'old-id', rooms: [{ name: 'game', meta: { round: 2 }, clients: [{ id: 'old-id' }] }] },
+        type: 'success',
+        id: resumeRequest.id
+      });
+      await Promise.resolve();
+
+      expect(resumedSpy).to.have.been.calledOnceWith({ rooms: ['game'], lost: [] });
+      expect(wsClientRoom.clientId).to.equal('old-id');
+      expect(wsClientRoom.resumeToken).to.equal('token-2');
+      expect(room.meta).to.deep.equal({ round: 2 });
+
+      wsClientRoom.wsClient.simulateMessage({ action: 'pub', chan: '__room-game', msg: 'hello' });
+      wsClientRoom.wsClient.simulateMessage({ action: 'pub-cmd', chan: '__room-game', msg: { cmd: 'move', data: { x: 1 } } });
+      expect(messageSpy).to.have.been.calledWith('hello');
+      expect(cmdSpy).to.have.been.calledWith({ x: 1 });
+    });
+
+    it('should clean up the rooms when the session cannot be resumed', async () => {
+      const failedSpy = sinon.spy();
+      room.onMessage(sinon.spy());
+      wsClientRoom.on('rooms-resume-failed', failedSpy);
+
+      dropAndReconnect();
+      wsClientRoom.wsClient.simulateMessage({
+        action: 'rpc',
+        name: '__room-resume',
+        response: 'Session not found',
+        type: 'error',
+        id: lastSent().id
+      });
+      await Promise.resolve();
+      await Promise.resolve();
+
+      expect(failedSpy).to.have.been.calledOnce;
+      expect(failedSpy.firstCall.args[0].rooms).to.deep.equal(['game']);
+      expect(failedSpy.firstCall.args[0].error.message).to.equal('Session not found');
+      expect(wsClientRoom.rooms.size).to.equal(0);
+      expect(wsClientRoom.hasListener('ws:chan:__room-game')).to.be.false;
+    });
+
+    it('should give up the rooms when the reconnection fails', () => {
+      const failedSpy = sinon.spy();
+      wsClientRoom.on('rooms-resume-failed', failedSpy);
+
+      wsClientRoom.wsClient.simulateClose();
+      clock.tick(100);
+      wsClientRoom.wsClient.simulateClose();
+
+      expect(failedSpy).to.have.been.calledOnce;
+      expect(wsClientRoom.rooms.size).to.equal(0);
+      expect(wsClientRoom.hasListener('ws:chan:__room-game-clients')).to.be.false;
+    });
+
+    it('should not try to resume after a manual close', () => {
+      const roomOffSpy = sinon.spy(wsClientRoom, '_roomOff');
+
+      wsClientRoom.close();
+
+      expect(wsClientRoom.pendingResumeToken).to.be.null;
+      expect(wsClientRoom.rooms.size).to.equal(0);
+      expect(roomOffSpy).to.have.been.calledWith('game');
+    });
+
+    it('should hold the queued room messages until the session is resumed', async () => {
+      wsClientRoom.queue = true;
+      wsClientRoom.wsClient.simulateClose();
+      room.send({ x: 1 });
+      expect(wsClientRoom.outbox).to.have.lengthOf(1);
+
+      clock.tick(100);
+      wsClientRoom.wsClient.simulateMessage({ action: 'auth-success', id: 'new-id', resumeToken: 'token-2' });
+      const resumeRequest = lastSent();
+      expect(resumeRequest.name).to.equal('__room-resume');
+      expect(wsClientRoom.outbox).to.have.lengthOf(1);
+
+      wsClientRoom.wsClient.simulateMessage({
+        action: 'rpc',
+        name: '__room-resume',
+        response: { id: 'old-id', rooms: [{ name: 'game', meta: {} }] },
+        type: 'success',
+        id: resumeRequest.id
+      });
+      await Promise.resolve();
+
+      expect(wsClientRoom.outbox).to.have.lengthOf(0);
+      expect(lastSent()).to.deep.equal({ action: 'pub-room', room: 'game', msg: { x: 1 } });
+    });
+  });
+
   describe('Error Handling', () => {
     beforeEach(async () => {
       const connectPromise = wsClientRoom.connect();
@@ -2,6 +2,7 @@ import { expect } from 'chai';
 import { JSDOM } from 'jsdom';
 import WebSocket from 'ws';
 import WSServerRoomManager from '../../src/websocket/WSServerRoomManager.mjs';
+import WSServerGameRoom from '../../src/websocket/WSServerGameRoom.mjs';
 import WSClient from '../../src/websocket/WSClient.js';
 import WSClientRoom from '../../src/websocket/WSClientRoom.js';
 
@@ -187,4 +188,125 @@ describe('WSClient-WSServer Integration Tests', () => {
             }, 100);
         });
     });
+
+    it('should sync the clock with the server', async () => {
+        const latency = await client.syncTime();
+
+        expect(latency.samples).to.equal(1);
+        expect(latency.rtt).to.be.at.least(0);
+        // Same machine, same clock
+        expect(Math.abs(client.serverNow() - Date.now())).to.be.below(100);
+    });
+
+    it('should resume a room session after a dropped connection', async function() {
+        this.timeout(10000);
+
+        const resumePort = serverPort + 1;
+        const resumeServer = new WSServerRoomManager({ port: resumePort, logLevel: 'none', resumeTimeout: 2000 });
+        resumeServer.start();
+        const player = new WSClientRoom(`ws://localhost:${resumePort}`, 5000, { reconnect: true, reconnectDelay: 50 });
+
+        try {
+            await player.connect();
+            const room = await player.roomCreate('resume-room');
+            const playerId = player.clientId;
+
+            const resumed = new Promise(resolve => player.on('rooms-resumed', resolve));
+            resumeServer.getClientSocket(playerId).terminate();
+            const { rooms } = await resumed;
+
+            expect(rooms).to.deep.equal(['resume-room']);
+            expect(player.clientId).to.equal(playerId);
+            expect(resumeServer.getClientsOfRoom('resume-room').map(meta => meta.id)).to.deep.equal([playerId]);
+
+            const received = new Promise(resolve => room.onMessage(resolve));
+            room.send('still here');
+            expect(await received).to.equal('still here');
+        } finally {
+            player.close();
+            resumeServer.close();
+        }
+    });
+
+    it('should rebuild the delta patches of a game room', async () => {
+        const deltaPort = serverPort + 3;
+        const deltaServer = new WSServerRoomManager({
+            port: deltaPort,
+            logLevel: 'none',
+            roomClass: class extends WSServerGameRoom {
+                onCreate() {
+                    this.world = { players: [{ x: 0 }, { x: 0 }], round: 1 };
+                    this.setDeltaPatch(true, 10);
+                    return {};
+                }
+                onPatch() {
+                    return this.world;
+                }
+            },
+        });
+        deltaServer.start();
+        const player = new WSClientRoom(`ws://localhost:${deltaPort}`);
+
+        try {
+            await player.connect();
+            const room = await player.roomCreate('delta-room');
+            const game = deltaServer.rooms.get('delta-room').manager;
+            const states = [];
+            const nextState = () => new Promise(resolve => room.onMessage(function listener(state) {
+                player.off(`ws:chan:__room-delta-room`, listener);
+                resolve(state);
+            }));
+
+            let received = nextState();
+            game.patch(50, 50);
+            states.push(await received);
+            // Wait for the acknowledgement
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            game.world.players[1].x = 3;
+            received = nextState();
+            game.patch(50, 100);
+            states.push(await received);
+
+            expect(game.deltaAcks.size).to.equal(1);
+            expect(states).to.deep.equal([
+                { players: [{ x: 0 }, { x: 0 }], round: 1 },
+                { players: [{ x: 0 }, { x: 3 }], round: 1 },
+            ]);
+        } finally {
+            player.close();
+            deltaServer.close();
+        }
+    });
+
+    it('should run the client outside of a browser with an injected WebSocket implementation', async () => {
+        const nodePort = serverPort + 2;
+        const nodeServer = new WSServerRoomManager({ port: nodePort, logLevel: 'none' });
+        nodeServer.addRpc('echo', (data) => data);
+        nodeServer.start();
+
+        const { window, WebSocket: GlobalWebSocket } = global;
+        delete global.window;
+        delete global.WebSocket;
+        let nodeClient;
+
+        try {
+            expect(() => new WSClient()).to.throw('The WebSocket server URL is required outside of a browser.');
+            await new WSClient(`ws://localhost:${nodePort}`).connect().then(
+                () => expect.fail('Should have been rejected'),
+                error => expect(error.message).to.include('No WebSocket implementation available'),
+            );
+
+            nodeClient = new WSClient(`ws://localhost:${nodePort}`, 5000, { WebSocket });
+            await nodeClient.connect('node-bot');
+
+            expect(nodeClient.state).to.equal('open');
+            expect(await nodeClient.rpc('echo', { from: 'node' })).to.deep.equal({ from: 'node' });
+        } finally {
+            global.window = window;
+            global.WebSocket = GlobalWebSocket;
+            nodeClient?.close();
+            nodeServer.close();
+        }
+    });
 });
@@ -1,6 +1,7 @@
 import { expect } from 'chai';
 import sinon from 'sinon';
 import WebSocket from 'ws';
+import { EventEmitter } from 'events';
 import WSServer from '../../src/websocket/WSServer.mjs';
 
 describe('WSServer', () => {
@@ -28,6 +29,7 @@ describe('WSServer', () => {
       expect(server.maxInputSize).to.equal(100000);
       expect(server.origins).to.equal('*');
       expect(server.pingTimeout).to.equal(30000);
+      expect(server.authTimeout).to.equal(10000);
       expect(server.logLevel).to.equal('info');
       expect(server.clients).to.be.instanceOf(Map);
       expect(server.server).to.be.null;
@@ -256,6 +258,152 @@ describe('WSServer', () => {
     });
   });
 
+  describe('Async Authentication', () => {
+    const request = { headers: { 'sec-websocket-protocol': '' } };
+
+    function createEmitterClient() {
+      return Object.assign(new EventEmitter(), {
+        readyState: WebSocket.OPEN,
+        send: sandbox.spy(),
+        close: sandbox.spy(),
+      });
+    }
+
+    it('should send auth success once an async authCallback resolves', async () => {
+      server = new WSServer({ logLevel: 'none', authCallback: async () => ({ role: 'user' }) });
+      const client = createEmitterClient();
+
+      const pending = server.onConnection(client, request);
+      expect(client.send).to.not.have.been.called;
+
+      expect(await pending).to.be.true;
+      expect(server.clients.get(client).role).to.equal('user');
+      const payload = JSON.parse(client.send.firstCall.args[0]);
+      expect(payload).to.deep.equal({ action: 'auth-success', id: server.clients.get(client).id });
+    });
+
+    it('should send auth failed and close when an async authCallback resolves to false', async () => {
+      server = new WSServer({ logLevel: 'none', authCallback: async () => false });
+      const client = createEmitterClient();
+
+      expect(await server.onConnection(client, request)).to.be.false;
+      expect(server.clients.has(client)).to.be.false;
+      expect(client.send).to.have.been.calledWith(JSON.stringify({ action: 'auth-failed' }));
+      expect(client.close).to.have.been.called;
+    });
+
+    it('should send auth failed and close when an async authCallback rejects', async () => {
+      server = new WSServer({ logLevel: 'none', authCallback: async () => { throw new Error('Key set unavailable'); } });
+      const client = createEmitterClient();
+      const logSpy = sandbox.spy(server, 'log');
+
+      expect(await server.onConnection(client, request)).to.be.false;
+      expect(logSpy).to.have.been.calledWith('Error: Key set unavailable', 'error');
+      expect(client.send).to.have.been.calledWith(JSON.stringify({ action: 'auth-failed' }));
+      expect(client.close).to.have.been.called;
+    });
+
+    it('should buffer frames received during the auth and process them afterwards', async () => {
+      let resolveAuth;
+      server = new WSServer({ logLevel: 'none', authCallback: () => new Promise(resolve => resolveAuth = resolve) });
+      const client = createEmitterClient();
+      const onMessageSpy = sandbox.spy(server, 'onMessage');
+
+      const pending = server.onConnection(client, request);
+      client.emit('message', Buffer.from('first'));
+      client.emit('message', Buffer.from('second'));
+      expect(onMessageSpy).to.not.have.been.called;
+
+      resolveAuth({});
+      await pending;
+
+      expect(onMessageSpy).to.have.been.calledTwice;
+      expect(onMessageSpy.firstCall.args[1].toString()).to.equal('first');
+      expect(onMessageSpy.secondCall.args[1].toString()).to.equal('second');
+    });
+
+    it('should close the connection when too much data is buffered during the auth', async () => {
+      let resolveAuth;
+      server = new WSServer({ logLevel: 'none', maxInputSize: 10, authCallback: () => new Promise(resolve => resolveAuth = resolve) });
+      const client = createEmitterClient();
+
+      const pending = server.onConnection(client, request);
+      client.emit('message', Buffer.from('this message is too long'));
+      expect(client.close).to.have.been.called;
+
+      resolveAuth({});
+      expect(await pending).to.be.false;
+      expect(server.clients.has(client)).to.be.false;
+    });
+
+    it('should close the connection when the auth times out', async () => {
+      const clock = sandbox.useFakeTimers();
+      server = new WSServer({ logLevel: 'none', authTimeout: 1000, authCallback: () => new Promise(() => {}) });
+      const client = createEmitterClient();
+
+      server.onConnection(client, request);
+      clock.tick(999);
+      expect(client.close).to.not.have.been.called;
+      clock.tick(1);
+
+      expect(client.send).to.have.been.calledWith(JSON.stringify({ action: 'auth-failed' }));
+      expect(client.close).to.have.been.called;
+      expect(client.listenerCount('message')).to.equal(0);
+    });
+
+    it('should not register a client that closed during the auth', async () => {
+      let resolveAuth;
+      server = new WSServer({ logLevel: 'none', authCallback: () => new Promise(resolve => resolveAuth = resolve) });
+      const client = createEmitterClient();
+
+      const pending = server.onConnection(client, request);
+      client.readyState = WebSocket.CLOSED;
+      resolveAuth({});
+
+      expect(await pending).to.be.false;
+      expect(server.clients.has(client)).to.be.false;
+    });
+
+    it('should close the connection on a socket error during the auth', async () => {
+      let resolveAuth;
+      server = new WSServer({ logLevel: 'none', authCallback: () => new Promise(resolve => resolveAuth = resolve) });
+      const client = createEmitterClient();
+
+      const pending = server.onConnection(client, request);
+      expect(() => client.emit('error', new Error('Invalid WebSocket frame: MASK must be set'))).to.not.throw();
+      expect(client.send).to.have.been.calledWith(JSON.stringify({ action: 'auth-failed' }));
+      expect(client.close).to.have.been.called;
+
+      resolveAuth({});
+      expect(await pending).to.be.false;
+      expect(server.clients.has(client)).to.be.false;
+      expect(client.listenerCount('error')).to.equal(0);
+    });
+
+    it('should stop the auth timer when the client closes during the auth', async () => {
+      const clock = sandbox.useFakeTimers();
+      server = new WSServer({ logLevel: 'none', authTimeout: 1000, authCallback: () => new Promise(() => {}) });
+      const client = createEmitterClient();
+
+      server.onConnection(client, request);
+      client.emit('close');
+      clock.tick(1000);
+
+      expect(client.send).to.not.have.been.called;
+      expect(client.close).to.not.have.been.called;
+      expect(['message', 'error', 'close'].map(event => client.listenerCount(event))).to.deep.equal([0, 0, 0]);
+    });
+
+    it('should replace the auth listeners once authenticated', async () => {
+      server = new WSServer({ logLevel: 'none', authCallback: async () => ({}) });
+      const client = createEmitterClient();
+
+      await server.onConnection(client, request);
+
+      expect(['message', 'error', 'close'].map(event => client.listenerCount(event))).to.deep.equal([1, 1, 1]);
+    });
+  });
+
   describe('Message Processing', () => {
     beforeEach(() => {
       server = new WSServer({ maxInputSize: 10 });
@@ -50,6 +50,9 @@ const createMockWSServer = () => ({
   broadcastRoomNameCmd: sinon.spy(),
   sendRoomName: sinon.spy(),
   sendRoomNameCmd: sinon.spy(),
+  sendRoomNameClients: sinon.spy(),
+  sendRoomNameClientsCmd: sinon.spy(),
+  getSpectatorSocketsOfRoom: sinon.stub().returns([]),
   clients: new Map()
 });
 
@@ -463,6 +466,723 @@ describe('WSServerGameRoom', () => {
     });
   });
 
+  describe('Delta Patches', () => {
+    let clientA;
+    let clientB;
+    let state;
+
+    function sentPatches(client) {
+      return mockWSServer.sendRoomNameClientsCmd.getCalls()
+        .filter(call => call.args[1].includes(client) && call.args[2] === '__patch')
+        .map(call => call.args[3]);
+    }
+
+    beforeEach(() => {
+      clientA = { id: 'a' };
+      clientB = { id: 'b' };
+      mockWSServer.getClientSocketsOfRoom = sinon.stub().returns([clientA, clientB]);
+      state = { players: [{ id: 'a', x: 0 }, { id: 'b', x: 0 }], round: 1 };
+      gameRoom.onPatch = () => state;
+      gameRoom.setDeltaPatch(true, 3);
+    });
+
+    it('should be disabled by default', () => {
+      const room = new TestGameRoom('other', mockWSServer);
+
+      expect(room.deltaPatch).to.be.false;
+      expect(room.keyframeInterval).to.equal(20);
+    });
+
+    it('should send a full state to the clients without acknowledgement', () => {
+      gameRoom.patch(50, 50);
+      gameRoom.patch(50, 100);
+
+      expect(mockWSServer.broadcastRoomName.called).to.be.false;
+      expect(sentPatches(clientA)).to.deep.equal([{ seq: 1, state }, { seq: 2, state }]);
+    });
+
+    it('should send the same patch once to the clients with the same base', () => {
+      gameRoom.patch(50, 50);
+
+      expect(mockWSServer.sendRoomNameClientsCmd).to.have.been.calledOnceWith('test-game', [clientA, clientB], '__patch');
+    });
+
+    it('should send the changes since the last acknowledged state', () => {
+      gameRoom.patch(50, 50);
+      gameRoom.onPatchAck(1, {}, clientA);
+      state = { players: [{ id: 'a', x: 2 }, { id: 'b', x: 0 }], round: 1 };
+
+      gameRoom.patch(50, 100);
+
+      expect(sentPatches(clientA)[1]).to.deep.equal({ seq: 2, base: 1, ops: [[['players', 0, 'x'], 2]] });
+      expect(sentPatches(clientB)[1]).to.deep.equal({ seq: 2, state });
+    });
+
+    it('should diff against a copy of the state', () => {
+      gameRoom.patch(50, 50);
+      gameRoom.onPatchAck(1, {}, clientA);
+      // The world is mutated in place between two patches
+      state.round = 2;
+
+      gameRoom.patch(50, 100);
+
+      expect(sentPatches(clientA)[1].ops).to.deep.equal([[['round'], 2]]);
+    });
+
+    it('should send a full state on each keyframe', () => {
+      gameRoom.patch(50, 50);
+      gameRoom.patch(50, 100);
+      gameRoom.onPatchAck(2, {}, clientA);
+      gameRoom.patch(50, 150);
+      gameRoom.patch(50, 200);
+
+      const patches = sentPatches(clientA);
+      expect(patches[2]).to.have.property('base', 2);
+      expect(patches[3]).to.deep.equal({ seq: 4, state });
+    });
+
+    it('should ignore the acknowledgements of unknown or older states', () => {
+      gameRoom.patch(50, 50);
+      gameRoom.patch(50, 100);
+      gameRoom.onPatchAck(2, {}, clientA);
+      gameRoom.onPatchAck(1, {}, clientA);
+      gameRoom.onPatchAck(42, {}, clientB);
+
+      expect(gameRoom.deltaAcks.get(clientA)).to.equal(2);
+      expect(gameRoom.deltaAcks.has(clientB)).to.be.false;
+    });
+
+    it('should forget the clients that left the room', () => {
+      gameRoom.patch(50, 50);
+      gameRoom.onPatchAck(1, {}, clientB);
+      mockWSServer.getClientSocketsOfRoom.returns([clientA]);
+
+      gameRoom.patch(50, 100);
+
+      expect(gameRoom.deltaAcks.has(clientB)).to.be.false;
+    });
+
+    it('should broadcast the full states again once disabled', () => {
+      gameRoom.setDeltaPatch(false);
+
+      gameRoom.patch(50, 50);
+
+      expect(mockWSServer.broadcastRoomName).to.have.been.calledOnceWith('test-game', state);
+      expect(mockWSServer.sendRoomNameClientsCmd.called).to.be.false;
+    });
+  });
+
+  describe('Input Buffering', () => {
+    let clientA;
+    let clientB;
+    let onInput;
+
+    beforeEach(() => {
+      clientA = { id: 'a' };
+      clientB = { id: 'b' };
+      mockWSServer.getClientSocketsOfRoom = sinon.stub().returns([clientA, clientB]);
+      onInput = sinon.spy();
+      gameRoom.onInput = onInput;
+    });
+
+    function step(count = 1) {
+      for (let i = 0; i < count; i++) {
+        gameRoom.currentTick++;
+        gameRoom.processInputs(gameRoom.currentTick);
+      }
+    }
+
+    it('should apply the inputs at the start of their target tick', () => {
+      gameRoom.queueInput('jump', 1, 3, { id: 'a' }, clientA);
+
+      step(2);
+      expect(onInput.called).to.be.false;
+
+      step();
+      expect(onInput).to.have.been.calledOnceWith('jump', { id: 'a' }, clientA, 3);
+    });
+
+    it('should apply the inputs before the simulation step', () => {
+      const stepOrder = [];
+      gameRoom.onInput = () => stepOrder.push('input');
+      gameRoom.register(() => stepOrder.push('update'));
+      gameRoom.queueInput('jump', 1, undefined, {}, clientA);
+      sandbox.stub(gameRoom, 'hrtimeMs').returns(0);
+
+      gameRoom.startMainLoop();
+      gameRoom.lastTickTime = -gameRoom.timestep;
+      clock.tick(0);
+
+      expect(stepOrder.slice(0, 2)).to.deep.equal(['input', 'update']);
+      expect(gameRoom.currentTick).to.equal(1);
+    });
+
+    it('should apply a late input on the next tick, after the previous inputs of the client', () => {
+      step(5);
+      gameRoom.queueInput('a', 1, 8, {}, clientA);
+      gameRoom.queueInput('b', 2, 2, {}, clientA);
+
+      step(3);
+
+      expect(onInput.getCalls().map(call => [call.args[0], call.args[3]])).to.deep.equal([['a', 8], ['b', 8]]);
+    });
+
+    it('should reject the inputs out of sequence or above the queue size', () => {
+      gameRoom.inputMaxQueueSize = 2;
+
+      expect(gameRoom.queueInput('a', 2, undefined, {}, clientA)).to.be.true;
+      expect(gameRoom.queueInput('b', 1, undefined, {}, clientA)).to.be.false;
+      expect(gameRoom.queueInput('c', 3, undefined, {}, clientA)).to.be.true;
+      expect(gameRoom.queueInput('d', 4, undefined, {}, clientA)).to.be.false;
+      step();
+      expect(gameRoom.queueInput('e', 3, undefined, {}, clientA)).to.be.false;
+    });
+
+    it('should reject the inputs targeting a tick too far ahead', () => {
+      gameRoom.inputMaxTicksAhead = 10;
+      step(5);
+
+      expect(gameRoom.queueInput('a', 1, 16, {}, clientA)).to.be.false;
+      expect(gameRoom.queueInput('b', 2, 'later', {}, clientA)).to.be.false;
+      expect(gameRoom.queueInput('c', 3, 15, {}, clientA)).to.be.true;
+      expect(gameRoom.inputQueues.get(clientA)).to.have.lengthOf(1);
+    });
+
+    it('should send the last processed input of each client before the patch', () => {
+      gameRoom.queueInput('a', 1, undefined, {}, clientA);
+      gameRoom.queueInput('b', 2, 3, {}, clientA);
+      gameRoom.queueInput('c', 7, undefined, {}, clientB);
+      step(2);
+
+      gameRoom.patch(50, 50);
+
+      expect(mockWSServer.sendRoomNameCmd).to.have.been.calledTwice;
+      expect(mockWSServer.sendRoomNameCmd).to.have.been.calledWith('test-game', clientA, '__input-ack', { seq: 1, tick: 2 });
+      expect(mockWSServer.sendRoomNameCmd).to.have.been.calledWith('test-game', clientB, '__input-ack', { seq: 7, tick: 2 });
+      expect(mockWSServer.sendRoomNameCmd.calledBefore(mockWSServer.broadcastRoomName)).to.be.true;
+    });
+
+    it('should only send the acknowledgements that changed', () => {
+      gameRoom.queueInput('a', 1, undefined, {}, clientA);
+      step();
+      gameRoom.patch(50, 50);
+
+      gameRoom.patch(50, 100);
+
+      expect(mockWSServer.sendRoomNameCmd).to.have.been.calledOnce;
+    });
+
+    it('should forget the inputs of the clients that left the room', () => {
+      gameRoom.queueInput('a', 1, 10, {}, clientA);
+      mockWSServer.getClientSocketsOfRoom.returns([clientB]);
+
+      gameRoom.patch(50, 50);
+
+      expect(gameRoom.inputQueues.has(clientA)).to.be.false;
+    });
+  });
+
+  describe('Lag Compensation', () => {
+    let positions;
+
+    function step(count = 1) {
+      for (let i = 0; i < count; i++) {
+        gameRoom.currentTick++;
+        gameRoom.elapsedTime += 10;
+        positions.x += 1;
+        gameRoom.recordState();
+      }
+    }
+
+    beforeEach(() => {
+      positions = { x: 0 };
+      gameRoom.onSnapshot = () => positions;
+      gameRoom.setSimulationStep(10);
+      gameRoom.setStateHistory(true, 50);
+    });
+
+    it('should be disabled by default', () => {
+      const room = new TestGameRoom('other', mockWSServer);
+
+      expect(room.stateHistoryEnabled).to.be.false;
+      expect(room.getStateAt(0)).to.be.null;
+    });
+
+    it('should size the ring buffer from the duration and the timestep', () => {
+      expect(gameRoom.stateHistorySize).to.equal(6);
+    });
+
+    it('should record copies of the states', () => {
+      step(2);
+
+      expect(gameRoom.stateHistory.map(snapshot => snapshot.state.x)).to.deep.equal([1, 2]);
+      expect(gameRoom.stateHistory[1]).to.deep.include({ tick: 2, time: 20 });
+    });
+
+    it('should overwrite the oldest states', () => {
+      step(8);
+
+      expect(gameRoom.stateHistory).to.have.lengthOf(6);
+      expect(gameRoom.getStateAt(0)).to.deep.equal({ x: 3 });
+      expect(gameRoom.getStateAt(80)).to.deep.equal({ x: 8 });
+    });
+
+    it('should return the last state recorded at or before the time', () => {
+      step(8);
+
+      expect(gameRoom.getStateAt(55)).to.deep.equal({ x: 5 });
+      expect(gameRoom.getStateAt(60)).to.deep.equal({ x: 6 });
+      expect(gameRoom.getStateAt(1000)).to.deep.equal({ x: 8 });
+    });
+
+    it('should interpolate between two states with a lerp function', () => {
+      step(3);
+      const lerp = (from, to, t) => ({ x: from.x + (to.x - from.x) * t });
+
+      expect(gameRoom.getStateAt(15, lerp)).to.deep.equal({ x: 1.5 });
+    });
+
+    it('should evaluate a function in the past', () => {
+      step(5);
+
+      const hit = gameRoom.rewind(20, state => state.x === 2);
+
+      expect(hit).to.be.true;
+    });
+
+    it('should compute the time of the state displayed by a client', () => {
+      step(10);
+
+      expect(gameRoom.getClientViewTime(30, 20)).to.equal(50);
+    });
+
+    it('should record the states in the game loop', () => {
+      sandbox.stub(gameRoom, 'hrtimeMs').returns(0);
+
+      gameRoom.startMainLoop();
+      gameRoom.lastTickTime = -20;
+      clock.tick(0);
+
+      expect(gameRoom.stateHistory.map(snapshot => snapshot.tick)).to.deep.equal([1, 2]);
+    });
+  });
+
+  describe('Lockstep', () => {
+    let clientA;
+    let clientB;
+
+    function turnFrames() {
+      return mockWSServer.broadcastRoomNameCmd.getCalls()
+        .filter(call => call.args[1] === '__turn')
+        .map(call => call.args[2]);
+    }
+
+    function advance(deltaTime) {
+      for (const callback of gameRoom.registredUpdate) callback(deltaTime, 0);
+    }
+
+    beforeEach(() => {
+      clientA = { id: 'a' };
+      clientB = { id: 'b' };
+      const metas = new Map([[clientA, { id: 'player-a' }], [clientB, { id: 'player-b' }]]);
+      mockWSServer.getClientSocketsOfRoom = sinon.stub().returns([clientA, clientB]);
+      mockWSServer.getClientMeta = client => metas.get(client);
+      gameRoom.setLockstep(true, 100);
+    });
+
+    it('should be disabled by default', () => {
+      const room = new TestGameRoom('other', mockWSServer);
+
+      expect(room.lockstep).to.be.false;
+    });
+
+    it('should broadcast the input frame once all the clients sent their input', () => {
+      gameRoom.submitTurnInput(0, 'left', {}, clientA);
+      expect(turnFrames()).to.have.lengthOf(0);
+
+      gameRoom.submitTurnInput(0, 'right', {}, clientB);
+
+      expect(turnFrames()).to.deep.equal([{ turn: 0, inputs: { 'player-a': 'left', 'player-b': 'right' }, missing: [] }]);
+      expect(gameRoom.turn).to.equal(1);
+    });
+
+    it('should list the missing clients when the turn times out', () => {
+      gameRoom.submitTurnInput(0, 'left', {}, clientA);
+
+      advance(60);
+      expect(turnFrames()).to.have.lengthOf(0);
+      advance(60);
+
+      expect(turnFrames()).to.deep.equal([{ turn: 0, inputs: { 'player-a': 'left' }, missing: ['player-b'] }]);
+    });
+
+    it('should end the turns already complete in a row', () => {
+      gameRoom.submitTurnInput(1, 'a1', {}, clientA);
+      gameRoom.submitTurnInput(1, 'b1', {}, clientB);
+      gameRoom.submitTurnInput(0, 'a0', {}, clientA);
+
+      gameRoom.submitTurnInput(0, 'b0', {}, clientB);
+
+      expect(turnFrames().map(frame => frame.turn)).to.deep.equal([0, 1]);
+      expect(gameRoom.turn).to.equal(2);
+    });
+
+    it('should reject the late, duplicate and too early inputs', () => {
+      advance(100);
+
+      expect(() => gameRoom.submitTurnInput(0, 'a', {}, clientA)).to.throw('Late turn input');
+      gameRoom.submitTurnInput(1, 'a', {}, clientA);
+      expect(() => gameRoom.submitTurnInput(1, 'a', {}, clientA)).to.throw('Turn input already sent');
+      expect(() => gameRoom.submitTurnInput(12, 'a', {}, clientA)).to.throw('Turn too far ahead');
+    });
+
+    it('should call onTurn with each frame', () => {
+      const onTurn = sinon.spy();
+      gameRoom.onTurn = onTurn;
+
+      advance(100);
+
+      expect(onTurn).to.have.been.calledOnceWith({ turn: 0, inputs: {}, missing: ['player-a', 'player-b'] });
+    });
+
+    it('should not send patches', () => {
+      gameRoom.patch(50, 50);
+
+      expect(mockWSServer.broadcastRoomName.called).to.be.false;
+    });
+
+    it('should stop the turns once disabled', () => {
+      gameRoom.setLockstep(false);
+
+      advance(1000);
+
+      expect(turnFrames()).to.have.lengthOf(0);
+    });
+  });
+
+  describe('Pause and Time Scale', () => {
+    let now;
+
+    // Advance the fake timers and the high resolution time together
+    function advance(ms) {
+      now += ms;
+      clock.tick(ms);
+    }
+
+    beforeEach(() => {
+      now = 0;
+      sandbox.stub(gameRoom, 'hrtimeMs').callsFake(() => now);
+      gameRoom.setSimulationStep(10);
+      gameRoom.startMainLoop();
+    });
+
+    function loopCommands() {
+      return mockWSServer.broadcastRoomNameCmd.getCalls()
+        .filter(call => call.args[1] === '__loop')
+        .map(call => call.args[2]);
+    }
+
+    it('should freeze the simulation and the registered timers while paused', () => {
+      const timeout = sinon.spy();
+      gameRoom.registerTimeout(timeout, 50);
+      advance(30);
+      const tickCount = gameRoom.tickCount;
+
+      gameRoom.pause();
+      advance(1000);
+
+      expect(gameRoom.isPaused).to.be.true;
+      expect(gameRoom.tickCount).to.equal(tickCount);
+      expect(timeout.called).to.be.false;
+
+      gameRoom.resume();
+      advance(30);
+      expect(timeout).to.have.been.calledOnce;
+    });
+
+    it('should not catch up the paused time on resume', () => {
+      advance(100);
+      const elapsedTime = gameRoom.elapsedTime;
+
+      gameRoom.pause();
+      advance(5000);
+      gameRoom.resume();
+      advance(0);
+
+      expect(gameRoom.elapsedTime).to.equal(elapsedTime);
+      expect(gameRoom.frameDelta).to.equal(0);
+    });
+
+    it('should notify the clients', () => {
+      gameRoom.pause();
+      gameRoom.resume();
+      gameRoom.setTimeScale(0.5);
+
+      expect(loopCommands().map(data => [data.paused, data.timeScale])).to.deep.equal([
+        [true, 1], [false, 1], [false, 0.5],
+      ]);
+    });
+
+    it('should ignore the pause of a stopped or paused loop', () => {
+      gameRoom.pause();
+      gameRoom.pause();
+      gameRoom.stopMainLoop();
+      gameRoom.pause();
+
+      expect(loopCommands()).to.have.lengthOf(1);
+      expect(gameRoom.isPaused).to.be.false;
+    });
+
+    it('should run the simulation steps faster or slower with the time scale', () => {
+      gameRoom.setTimeScale(2);
+      advance(100);
+      expect(gameRoom.elapsedTime).to.be.closeTo(200, 10);
+
+      const elapsedTime = gameRoom.elapsedTime;
+      gameRoom.setTimeScale(0.5);
+      advance(100);
+      expect(gameRoom.elapsedTime - elapsedTime).to.be.closeTo(50, 10);
+    });
+
+    it('should only run slow after a second of real time with the time scale', () => {
+      const panicSpy = sandbox.spy(gameRoom, 'panic');
+      gameRoom.setTimeScale(4);
+
+      // Half a second of lag is two seconds of simulation
+      advance(500);
+      expect(panicSpy.called).to.be.false;
+      expect(gameRoom.elapsedTime).to.be.closeTo(2000, 10);
+
+      advance(1100);
+      expect(panicSpy.calledOnce).to.be.true;
+      expect(mockWSServer.log.calledWith(`Game '${gameRoom.name}' is running slow`)).to.be.true;
+    });
+
+    it('should reject an invalid time scale', () => {
+      expect(() => gameRoom.setTimeScale(0)).to.throw('Invalid time scale');
+    });
+  });
+
+  describe('Recording', () => {
+    let lines;
+
+    function records() {
+      return lines.map(line => JSON.parse(line));
+    }
+
+    beforeEach(() => {
+      lines = [];
+      mockWSServer.getClientSocketsOfRoom = sinon.stub().returns([]);
+    });
+
+    it('should write a start record as a JSON line', () => {
+      gameRoom.startRecording(line => lines.push(line));
+
+      expect(lines[0].endsWith('\n')).to.be.true;
+      expect(records()[0]).to.deep.include({ type: 'start', room: 'test-game', tick: 0, time: 0, timestep: 1000 / 60 });
+    });
+
+    it('should write to a stream', () => {
+      const stream = { write: sinon.spy() };
+
+      gameRoom.startRecording(stream);
+
+      expect(stream.write).to.have.been.calledOnce;
+    });
+
+    it('should record the inputs, the patches and the tick boundaries of the game loop', () => {
+      gameRoom.setPatchTimestep(gameRoom.timestep);
+      gameRoom.queueInput('jump', 1, undefined, { id: 'a' }, {});
+      gameRoom.startRecording(line => lines.push(line));
+      sandbox.stub(gameRoom, 'hrtimeMs').returns(0);
+
+      gameRoom.startMainLoop();
+      gameRoom.lastTickTime = -gameRoom.timestep;
+      clock.tick(0);
+
+      expect(records().slice(1).map(record => [record.type, record.tick])).to.deep.equal([
+        ['input', 1], ['patch', 1], ['tick', 1],
+      ]);
+      expect(records()[1]).to.deep.include({ client: { id: 'a' }, seq: 1, input: 'jump' });
+    });
+
+    it('should record the turns', () => {
+      mockWSServer.getClientMeta = () => ({ id: 'a' });
+      gameRoom.setLockstep(true);
+      gameRoom.startRecording(line => lines.push(line));
+
+      gameRoom.endTurn();
+
+      expect(records()[1]).to.deep.include({ type: 'turn', frame: { turn: 0, inputs: {}, missing: [] } });
+    });
+
+    it('should stop the recording on dispose', () => {
+      gameRoom.startRecording(line => lines.push(line));
+
+      gameRoom.dispose();
+      gameRoom.record('tick');
+
+      expect(records().map(record => record.type)).to.deep.equal(['start', 'stop']);
+      expect(gameRoom.recorder).to.be.null;
+    });
+  });
+
+  describe('Interest Management', () => {
+    let clientA;
+    let clientB;
+    let clientC;
+    let metas;
+    let world;
+
+    beforeEach(() => {
+      clientA = { id: 'a' };
+      clientB = { id: 'b' };
+      clientC = { id: 'c' };
+      metas = new Map([[clientA, { zone: 'north' }], [clientB, { zone: 'south' }], [clientC, { zone: 'north' }]]);
+      mockWSServer.getClientSocketsOfRoom = sinon.stub().returns([clientA, clientB, clientC]);
+      mockWSServer.getClientMeta = client => metas.get(client);
+      world = { north: { players: ['a', 'c'] }, south: { players: ['b'] } };
+      gameRoom.onPatch = () => world;
+    });
+
+    it('should broadcast the world state when onPatchClient is not overridden', () => {
+      gameRoom.patch(50, 50);
+
+      expect(mockWSServer.broadcastRoomName).to.have.been.calledOnceWith('test-game', world);
+      expect(mockWSServer.sendRoomNameClients.called).to.be.false;
+    });
+
+    it('should send each client its own view', () => {
+      const onPatchClient = sinon.spy((meta, deltaTime, elapsedTime, worldState) => worldState[meta.zone]);
+      gameRoom.onPatchClient = onPatchClient;
+
+      gameRoom.patch(50, 100);
+
+      expect(onPatchClient).to.have.been.calledWith({ zone: 'south' }, 50, 100, world);
+      expect(mockWSServer.broadcastRoomName.called).to.be.false;
+      expect(mockWSServer.sendRoomNameClients).to.have.been.calledWith('test-game', [clientB], world.south);
+    });
+
+    it('should send a shared view once to all its clients', () => {
+      gameRoom.onPatchClient = (meta, deltaTime, elapsedTime, worldState) => worldState[meta.zone];
+
+      gameRoom.patch(50, 50);
+
+      expect(mockWSServer.sendRoomNameClients).to.have.been.calledTwice;
+      expect(mockWSServer.sendRoomNameClients).to.have.been.calledWith('test-game', [clientA, clientC], world.north);
+    });
+
+    it('should skip the clients without a view', () => {
+      gameRoom.onPatchClient = (meta, deltaTime, elapsedTime, worldState) => {
+        return meta.zone === 'south' ? undefined : worldState.north;
+      };
+
+      gameRoom.patch(50, 50);
+
+      expect(mockWSServer.sendRoomNameClients).to.have.been.calledOnceWith('test-game', [clientA, clientC], world.north);
+    });
+
+    it('should compute the delta patches on the views', () => {
+      gameRoom.setDeltaPatch(true, 10);
+      gameRoom.onPatchClient = (meta, deltaTime, elapsedTime, worldState) => worldState[meta.zone];
+      gameRoom.patch(50, 50);
+      gameRoom.onPatchAck(1, metas.get(clientA), clientA);
+      gameRoom.onPatchAck(1, metas.get(clientB), clientB);
+      world = { north: { players: ['a'] }, south: { players: ['b', 'c'] } };
+
+      gameRoom.patch(50, 100);
+
+      const calls = mockWSServer.sendRoomNameClientsCmd.getCalls().slice(2).map(call => call.args.slice(1));
+      expect(calls).to.deep.equal([
+        [[clientA], '__patch', { seq: 2, base: 1, ops: [[['players', 'length'], 1]] }],
+        [[clientC], '__patch', { seq: 2, state: world.north }],
+        [[clientB], '__patch', { seq: 2, base: 1, ops: [[['players', 1], 'c']] }],
+      ]);
+    });
+  });
+
+  describe('Stats', () => {
+    let now;
+
+    beforeEach(() => {
+      now = 0;
+      sandbox.stub(gameRoom, 'hrtimeMs').callsFake(() => now);
+      mockWSServer.getClientSocketsOfRoom = sinon.stub().returns([]);
+      gameRoom.setSimulationStep(10);
+      gameRoom.setStats();
+    });
+
+    it('should return null when disabled', () => {
+      gameRoom.setStats(false);
+
+      expect(gameRoom.getStats()).to.be.null;
+    });
+
+    it('should measure the frames of the main loop', () => {
+      // Each simulation step takes 3ms
+      gameRoom.onTick = () => { now += 3; };
+      gameRoom.startMainLoop();
+      clock.tick(0);
+
+      // The timer fires 15ms late, two steps are simulated
+      now = 25;
+      clock.tick(10);
+
+      const stats = gameRoom.getStats();
+      expect(stats.frames).to.equal(2);
+      expect(stats.steps).to.equal(2);
+      expect(stats.stepsPerFrame).to.deep.equal({ avg: 1, max: 2 });
+      expect(stats.drift).to.deep.equal({ avg: 7.5, max: 15 });
+      expect(stats.tickTime.max).to.equal(6);
+      expect(stats.tickTime.histogram.filter(bucket => bucket.count > 0)).to.deep.equal([
+        { le: 1, count: 1 },
+        { le: 8, count: 1 },
+      ]);
+      expect(stats.tickTime.histogram.at(-1).le).to.equal(Infinity);
+    });
+
+    it('should count the slow frames', () => {
+      gameRoom.setSimulationPerSec(1000);
+      gameRoom.startMainLoop();
+      now = 2000;
+      clock.tick(0);
+
+      expect(gameRoom.getStats().slowFrames).to.equal(1);
+    });
+
+    it('should measure the size and the send time of the patches', () => {
+      mockWSServer.getClientSocketsOfRoom = sinon.stub().returns([{ id: 'a' }, { id: 'b' }]);
+      gameRoom.onPatch = () => ({ x: 1 });
+      gameRoom.sendInputAcks = () => { now += 2; };
+
+      gameRoom.patch(50, 50);
+
+      const stats = gameRoom.getStats();
+      expect(stats.patches).to.equal(1);
+      // '{"x":1}' sent to two clients
+      expect(stats.patchBytes).to.deep.equal({ last: 14, avg: 14, max: 14, total: 14 });
+      expect(stats.patchTime).to.deep.equal({ avg: 2, max: 2 });
+    });
+
+    it('should measure the size of the delta patches', () => {
+      mockWSServer.getClientSocketsOfRoom = sinon.stub().returns([{ id: 'a' }]);
+      gameRoom.setDeltaPatch(true);
+      gameRoom.onPatch = () => ({ x: 1 });
+
+      gameRoom.patch(50, 50);
+
+      expect(gameRoom.getStats().patchBytes.last).to.equal(JSON.stringify({ seq: 1, state: { x: 1 } }).length);
+    });
+
+    it('should reset the metrics', () => {
+      gameRoom.recordPatchStats(10, 1);
+
+      gameRoom.resetStats();
+
+      expect(gameRoom.getStats().patches).to.equal(0);
+    });
+  });
+
   describe('Performance Monitoring', () => {
     it('should track frame timing', () => {
       // Mock hrtime to simulate time progression
@@ -0,0 +1,257 @@
+import sinon from 'sinon';
+import { expect } from 'chai';
+
+import WSServerRoomManager from '../../src/websocket/WSServerRoomManager.mjs';
+import WSServerMatchmaker from '../../src/websocket/WSServerMatchmaker.mjs';
+import WSServerRoom from '../../src/websocket/WSServerRoom.mjs';
+import WSServerError from '../../src/websocket/WSServerError.mjs';
+import { createMockClient } from '../helpers/testUtils.mjs';
+
+const sentCmds = (client, cmd) => client.send.args
+  .map(([message]) => JSON.parse(message))
+  .filter(message => message.action === 'cmd' && message.cmd === cmd)
+  .map(message => message.data);
+
+describe('WSServerMatchmaker', () => {
+  let server;
+  let matchmaker;
+  let clock;
+
+  const connect = id => {
+    const client = createMockClient();
+    server.clients.set(client, { id });
+    return client;
+  };
+
+  const enqueue = (client, criteria = {}) => matchmaker.clientEnqueue(criteria, server.clients.get(client), client);
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+    server = new WSServerRoomManager({ logLevel: 'none' });
+    matchmaker = new WSServerMatchmaker(server);
+  });
+
+  afterEach(() => {
+    matchmaker.close();
+    server.close();
+    clock.restore();
+  });
+
+  describe('Constructor', () => {
+    it('should register the queue RPCs on the room manager', () => {
+      expect(server.rpcs.has('__room-queue')).to.be.true;
+      expect(server.rpcs.has('__room-queue-cancel')).to.be.true;
+      expect(matchmaker.playersPerMatch).to.equal(2);
+      expect(matchmaker.roomOptions).to.deep.equal({ isPrivate: true });
+    });
+
+    it('should require a room manager', () => {
+      expect(() => new WSServerMatchmaker({})).to.throw('The matchmaker requires a WSServerRoomManager');
+    });
+  });
+
+  describe('Queue', () => {
+    it('should enqueue a client and give its position', () => {
+      const alice = connect('alice');
+      const bob = connect('bob');
+
+      expect(enqueue(alice, { mode: 'duel', skill: 1000 })).to.deep.equal({ position: 1, size: 1, waited: 0, eta: null });
+      expect(enqueue(bob, { mode: 'duel', skill: 2000 })).to.include({ position: 2, size: 2 });
+      expect(matchmaker.queue.get(alice)).to.include({ mode: 'duel', skill: 1000, region: null });
+    });
+
+    it('should reject the invalid criteria', () => {
+      const alice = connect('alice');
+      matchmaker.modes = ['duel'];
+
+      expect(() => enqueue(alice, { mode: 42 })).to.throw(WSServerError, 'Invalid mode');
+      expect(() => enqueue(alice, { mode: 'ffa' })).to.throw('Unknown mode');
+      expect(() => enqueue(alice, { mode: 'duel', skill: 'high' })).to.throw('Invalid skill rating');
+      expect(() => enqueue(alice, { mode: 'duel', region: 1 })).to.throw('Invalid region');
+      expect(matchmaker.queue.size).to.equal(0);
+    });
+
+    it('should reject a client already in the queue', () => {
+      const alice = connect('alice');
+      enqueue(alice);
+
+      expect(() => enqueue(alice)).to.throw('Already in queue');
+    });
+
+    it('should cancel a ticket', () => {
+      const alice = connect('alice');
+      enqueue(alice);
+
+      expect(matchmaker.clientCancel({}, server.clients.get(alice), alice)).to.be.true;
+      expect(matchmaker.queue.size).to.equal(0);
+      expect(matchmaker.timer).to.be.null;
+      expect(() => matchmaker.clientCancel({}, server.clients.get(alice), alice)).to.throw('Not in queue');
+    });
+
+    it('should drop the disconnected clients', () => {
+      const alice = connect('alice');
+      enqueue(alice);
+      server.clients.delete(alice);
+
+      clock.tick(1000);
+      expect(matchmaker.queue.size).to.equal(0);
+      expect(matchmaker.timer).to.be.null;
+    });
+
+    it('should send the queue state to the waiting clients', () => {
+      const alice = connect('alice');
+      enqueue(alice, { mode: 'duel' });
+
+      clock.tick(2000);
+      const updates = sentCmds(alice, '__room-queue');
+      expect(updates).to.have.length(2);
+      expect(updates[1]).to.deep.equal({ position: 1, size: 1, waited: 2000, eta: null });
+    });
+  });
+
+  describe('Matching', () => {
+    it('should create a private room and join the matched players', () => {
+      const alice = connect('alice');
+      const bob = connect('bob');
+      enqueue(alice, { mode: 'duel', skill: 1000 });
+      enqueue(bob, { mode: 'duel', skill: 1050 });
+
+      clock.tick(1000);
+      const [match] = sentCmds(alice, '__room-match');
+      const room = server.rooms.get(match.name);
+      expect(room.isPrivate).to.be.true;
+      expect(room.chan.clients.has(alice)).to.be.true;
+      expect(room.chan.clients.has(bob)).to.be.true;
+      expect(room.meta.mode).to.equal('duel');
+      expect(match.inviteCode).to.equal(room.inviteCode);
+      expect(sentCmds(bob, '__room-match')[0].name).to.equal(match.name);
+      expect(matchmaker.queue.size).to.equal(0);
+      expect(matchmaker.timer).to.be.null;
+    });
+
+    it('should give the criteria to the onJoin hook of the room', () => {
+      const onJoin = sinon.spy();
+      server.roomClass = class extends WSServerRoom { onJoin(...args) { onJoin(...args); } };
+      const alice = connect('alice');
+      const bob = connect('bob');
+      enqueue(alice, { skill: 1000, region: 'eu' });
+      enqueue(bob, { skill: 1000, region: 'eu' });
+
+      clock.tick(1000);
+      expect(onJoin.firstCall.args[0]).to.deep.equal({ mode: null, skill: 1000, region: 'eu' });
+    });
+
+    it('should only match the players of the same mode', () => {
+      const alice = connect('alice');
+      const bob = connect('bob');
+      enqueue(alice, { mode: 'duel' });
+      enqueue(bob, { mode: 'ffa' });
+
+      clock.tick(1000);
+      expect(server.rooms.size).to.equal(0);
+      expect(sentCmds(bob, '__room-queue')[0]).to.include({ position: 1, size: 1 });
+    });
+
+    it('should use the number of players of the mode', () => {
+      matchmaker.playersPerMatch = { duel: 2, squad: 3 };
+      const players = ['a', 'b', 'c'].map(connect);
+      players.slice(0, 2).forEach(client => enqueue(client, { mode: 'squad' }));
+
+      clock.tick(1000);
+      expect(server.rooms.size).to.equal(0);
+
+      enqueue(players[2], { mode: 'squad' });
+      clock.tick(1000);
+      expect(server.rooms.size).to.equal(1);
+      expect([...server.rooms.values()][0].chan.clients.size).to.equal(3);
+    });
+
+    it('should widen the skill window with the waiting time', () => {
+      const alice = connect('alice');
+      const bob = connect('bob');
+      enqueue(alice, { skill: 1000 });
+      enqueue(bob, { skill: 1200 });
+
+      clock.tick(1000);
+      expect(server.rooms.size).to.equal(0);
+
+      // 100 + 50 per second
+      clock.tick(1000);
+      expect(server.rooms.size).to.equal(1);
+    });
+
+    it('should cap the skill window', () => {
+      matchmaker.maxSkillWindow = 150;
+      const alice = connect('alice');
+      const bob = connect('bob');
+      enqueue(alice, { skill: 1000 });
+      enqueue(bob, { skill: 1200 });
+
+      clock.tick(10000);
+      expect(server.rooms.size).to.equal(0);
+    });
+
+    it('should match the players of other regions after the region timeout', () => {
+      matchmaker.regionTimeout = 3000;
+      const alice = connect('alice');
+      const bob = connect('bob');
+      enqueue(alice, { region: 'eu' });
+      enqueue(bob, { region: 'us' });
+
+      clock.tick(2000);
+      expect(server.rooms.size).to.equal(0);
+
+      clock.tick(1000);
+      expect(server.rooms.size).to.equal(1);
+    });
+
+    it('should allow custom compatibility rules', () => {
+      matchmaker.isCompatible = (a, b) => a.client !== b.client && a.skill % 2 === b.skill % 2;
+      const players = ['a', 'b', 'c'].map(connect);
+      enqueue(players[0], { skill: 1 });
+      enqueue(players[1], { skill: 2 });
+      enqueue(players[2], { skill: 3 });
+
+      clock.tick(1000);
+      expect(server.rooms.size).to.equal(1);
+      expect(matchmaker.queue.has(players[1])).to.be.true;
+    });
+
+    it('should report a failed room creation to the players', () => {
+      server.roomClass = class extends WSServerRoom { onCreate() { return false; } };
+      const alice = connect('alice');
+      const bob = connect('bob');
+      enqueue(alice);
+      enqueue(bob);
+
+      clock.tick(1000);
+      expect(sentCmds(alice, '__room-match')[0]).to.deep.equal({ error: 'Match creation failed' });
+      expect(server.rooms.size).to.equal(0);
+    });
+
+    it('should report a refused join and delete the empty room', () => {
+      server.roomClass = class extends WSServerRoom { onJoin() { throw new WSServerError('Banned'); } };
+      const alice = connect('alice');
+      const bob = connect('bob');
+      enqueue(alice);
+      enqueue(bob);
+
+      clock.tick(1000);
+      expect(sentCmds(bob, '__room-match')[0]).to.deep.equal({ error: 'Banned' });
+      expect(server.rooms.size).to.equal(0);
+    });
+
+    it('should estimate the waiting time from the last matches', () => {
+      const players = ['a', 'b', 'c'].map(connect);
+      enqueue(players[0]);
+      clock.tick(2000);
+      enqueue(players[1]);
+      clock.tick(1000);
+
+      // The last matches waited 3 and 1 seconds
+      expect(enqueue(players[2]).eta).to.equal(2000);
+      clock.tick(1000);
+      expect(sentCmds(players[2], '__room-queue')[0]).to.include({ waited: 1000, eta: 1000 });
+    });
+  });
+});
@@ -302,6 +302,10 @@ describe('WSServerPubSub', () => {
       expect(server.isActionValid('rpc')).to.be.true;
     });
 
+    it('should validate the time sync action', () => {
+      expect(server.isActionValid('time-sync')).to.be.true;
+    });
+
     it('should return false for invalid actions', () => {
       expect(server.isActionValid('invalid-action')).to.be.false;
     });
@@ -783,6 +787,346 @@ describe('WSServerPubSub', () => {
     });
   });
 
+  describe('Async RPC', () => {
+    it('should send the resolved value of an async RPC', async () => {
+      server.addRpc('async-rpc', async (data) => `Hello ${data.name}`);
+      const client = createMockClient();
+      server.clients.set(client, { id: 'client' });
+
+      const message = JSON.stringify({
+        action: 'rpc',
+        name: 'async-rpc',
+        data: { name: 'World' },
+        id: 1
+      });
+
+      const result = await server.onMessage(client, Buffer.from(message));
+
+      expect(result).to.be.true;
+      expect(client.send).to.have.been.calledOnceWith(
+        JSON.stringify({
+          action: 'rpc',
+          id: 1,
+          name: 'async-rpc',
+          type: 'success',
+          response: 'Hello World'
+        })
+      );
+    });
+
+    it('should send an error response when an async RPC rejects with WSServerError', async () => {
+      server.addRpc('async-rpc', async () => { throw new WSServerError('Not found'); });
+      const client = createMockClient();
+      server.clients.set(client, { id: 'client' });
+
+      const message = JSON.stringify({ action: 'rpc', name: 'async-rpc', data: {}, id: 2 });
+
+      const result = await server.onMessage(client, Buffer.from(message));
+
+      expect(result).to.be.false;
+      expect(client.send).to.have.been.calledWith(
+        JSON.stringify({
+          action: 'rpc',
+          id: 2,
+          name: 'async-rpc',
+          type: 'error',
+          response: 'Not found'
+        })
+      );
+    });
+
+    it('should log and hide generic errors when an async RPC rejects', async () => {
+      server.addRpc('async-rpc', () => Promise.reject(new Error('DB down')));
+      const client = createMockClient();
+      server.clients.set(client, { id: 'client' });
+      const logSpy = sandbox.spy(server, 'log');
+
+      const message = JSON.stringify({ action: 'rpc', name: 'async-rpc', data: {}, id: 3 });
+
+      const result = await server.onMessage(client, Buffer.from(message));
+
+      expect(result).to.be.false;
+      expect(logSpy).to.have.been.calledWith('Error: DB down', 'error');
+      expect(client.send).to.have.been.calledWith(
+        JSON.stringify({
+          action: 'rpc',
+          id: 3,
+          name: 'async-rpc',
+          type: 'error',
+          response: 'Server error'
+        })
+      );
+    });
+
+    it('should keep ids correct when concurrent calls resolve out of order', async () => {
+      server.addRpc('delay', (data) => new Promise(resolve => setTimeout(() => resolve(data.ms), data.ms)));
+      const client = createMockClient();
+      server.clients.set(client, { id: 'client' });
+
+      const slow = server.onMessage(client, Buffer.from(JSON.stringify({ action: 'rpc', name: 'delay', data: { ms: 20 }, id: 1 })));
+      const fast = server.onMessage(client, Buffer.from(JSON.stringify({ action: 'rpc', name: 'delay', data: { ms: 1 }, id: 2 })));
+      await Promise.all([slow, fast]);
+
+      const sent = client.send.getCalls().map(call => JSON.parse(call.args[0]));
+      expect(sent.map(msg => msg.id)).to.deep.equal([2, 1]);
+      expect(sent.map(msg => msg.response)).to.deep.equal([1, 20]);
+    });
+
+    it('should still answer synchronous RPCs synchronously', () => {
+      server.addRpc('sync-rpc', () => 'sync');
+      const client = createMockClient();
+      server.clients.set(client, { id: 'client' });
+
+      const message = JSON.stringify({ action: 'rpc', name: 'sync-rpc', data: {}, id: 4 });
+
+      const result = server.onMessage(client, Buffer.from(message));
+
+      expect(result).to.be.true;
+      expect(client.send).to.have.been.calledOnce;
+    });
+  });
+
+  describe('Async Channel Hooks', () => {
+    let client;
+
+    beforeEach(() => {
+      client = createMockClient();
+      server.clients.set(client, { id: 'client' });
+    });
+
+    it('should await an async hookSub before confirming the subscription', async () => {
+      server.addChannel('async-channel', { hookSub: async () => true });
+
+      const message = JSON.stringify({ action: 'sub', chan: 'async-channel', id: 1 });
+      const pending = server.onMessage(client, Buffer.from(message));
+
+      expect(client.send).to.not.have.been.called;
+      expect(await pending).to.be.true;
+      expect(server.channels.get('async-channel').clients.has(client)).to.be.true;
+      expect(client.send).to.have.been.calledWith(
+        JSON.stringify({ action: 'sub', id: 1, chan: 'async-channel', type: 'success', response: 'Subscribed' })
+      );
+    });
+
+    it('should deny the subscription when an async hookSub resolves to false', async () => {
+      server.addChannel('async-channel', { hookSub: async () => false });
+
+      const message = JSON.stringify({ action: 'sub', chan: 'async-channel', id: 1 });
+      const result = await server.onMessage(client, Buffer.from(message));
+
+      expect(result).to.be.false;
+      expect(server.channels.get('async-channel').clients.has(client)).to.be.false;
+      expect(client.send).to.have.been.calledWith(
+        JSON.stringify({ action: 'sub', id: 1, chan: 'async-channel', type: 'error', response: 'Subscription denied' })
+      );
+    });
+
+    it('should send the WSServerError message when an async hookSub rejects', async () => {
+      server.addChannel('async-channel', { hookSub: async () => { throw new WSServerError('Banned'); } });
+
+      const message = JSON.stringify({ action: 'sub', chan: 'async-channel', id: 1 });
+      const result = await server.onMessage(client, Buffer.from(message));
+
+      expect(result).to.be.false;
+      expect(client.send).to.have.been.calledWith(
+        JSON.stringify({ action: 'sub', id: 1, chan: 'async-channel', type: 'error', response: 'Banned' })
+      );
+    });
+
+    it('should not subscribe a client that disconnected while hookSub was pending', async () => {
+      server.addChannel('async-channel', { hookSub: async () => true });
+
+      const message = JSON.stringify({ action: 'sub', chan: 'async-channel', id: 1 });
+      const pending = server.onMessage(client, Buffer.from(message));
+      server.onClose(client);
+
+      expect(await pending).to.be.false;
+      expect(server.channels.get('async-channel').clients.has(client)).to.be.false;
+    });
+
+    it('should await an async hookPub before confirming and publishing', async () => {
+      const hookPubPost = sandbox.spy();
+      server.addChannel('async-channel', {
+        hookPub: async (msg) => ({ ...msg, moderated: true }),
+        hookPubPost,
+      });
+      server.channels.get('async-channel').clients.add(client);
+
+      const message = JSON.stringify({ action: 'pub', chan: 'async-channel', id: 1, msg: { text: 'hi' } });
+      const result = await server.onMessage(client, Buffer.from(message));
+
+      expect(result).to.be.true;
+      expect(client.send.firstCall).to.have.been.calledWith(
+        JSON.stringify({ action: 'pub-confirm', id: 1, chan: 'async-channel', type: 'success', response: 'Message sent' })
+      );
+      expect(client.send.secondCall).to.have.been.calledWith(
+        JSON.stringify({ action: 'pub', chan: 'async-channel', msg: { text: 'hi', moderated: true } })
+      );
+      expect(hookPubPost).to.have.been.calledWith({ text: 'hi', moderated: true });
+    });
+
+    it('should send a pub error when an async hookPub rejects', async () => {
+      server.addChannel('async-channel', { hookPub: async () => { throw new WSServerError('Spam'); } });
+      server.channels.get('async-channel').clients.add(client);
+
+      const message = JSON.stringify({ action: 'pub', chan: 'async-channel', id: 1, msg: 'buy now' });
+      const result = await server.onMessage(client, Buffer.from(message));
+
+      expect(result).to.be.false;
+      expect(client.send).to.have.been.calledOnceWith(
+        JSON.stringify({ action: 'pub-confirm', id: 1, chan: 'async-channel', type: 'error', response: 'Spam' })
+      );
+    });
+
+    it('should await an async hookPub for pub-simple', async () => {
+      server.addChannel('async-channel', { hookPub: async (msg) => msg.toUpperCase() });
+      server.channels.get('async-channel').clients.add(client);
+
+      const message = JSON.stringify({ action: 'pub-simple', chan: 'async-channel', msg: 'hi' });
+      const result = await server.onMessage(client, Buffer.from(message));
+
+      expect(result).to.be.true;
+      expect(client.send).to.have.been.calledOnceWith(
+        JSON.stringify({ action: 'pub', chan: 'async-channel', msg: 'HI' })
+      );
+    });
+
+    it('should drop pub-simple messages when an async hookPub rejects', async () => {
+      server.addChannel('async-channel', { hookPub: async () => { throw new WSServerError('Spam'); } });
+      server.channels.get('async-channel').clients.add(client);
+
+      const message = JSON.stringify({ action: 'pub-simple', chan: 'async-channel', msg: 'hi' });
+      const result = await server.onMessage(client, Buffer.from(message));
+
+      expect(result).to.be.false;
+      expect(client.send).to.not.have.been.called;
+    });
+
+    it('should await an async hookUnsub before confirming the unsubscription', async () => {
+      let resolveHook;
+      const hookUnsubPost = sandbox.spy();
+      server.addChannel('async-channel', {
+        hookUnsub: () => new Promise(resolve => resolveHook = resolve),
+        hookUnsubPost,
+      });
+      server.channels.get('async-channel').clients.add(client);
+
+      const message = JSON.stringify({ action: 'unsub', chan: 'async-channel', id: 1 });
+      const pending = server.onMessage(client, Buffer.from(message));
+
+      expect(hookUnsubPost).to.not.have.been.called;
+      resolveHook();
+      expect(await pending).to.be.true;
+      expect(hookUnsubPost).to.have.been.calledOnce;
+      expect(server.channels.get('async-channel').clients.has(client)).to.be.false;
+    });
+
+    it('should not call hookUnsubPost again for a client that disconnected while hookUnsub was pending', async () => {
+      const resolveHooks = [];
+      const hookUnsubPost = sandbox.spy();
+      server.addChannel('async-channel', {
+        hookUnsub: () => new Promise(resolve => resolveHooks.push(resolve)),
+        hookUnsubPost,
+      });
+      server.channels.get('async-channel').clients.add(client);
+
+      const message = JSON.stringify({ action: 'unsub', chan: 'async-channel', id: 1 });
+      const pending = server.onMessage(client, Buffer.from(message));
+      server.onClose(client);
+      resolveHooks.forEach(resolve => resolve());
+
+      expect(await pending).to.be.false;
+      expect(hookUnsubPost).to.have.been.calledOnceWith({ id: 'client' });
+    });
+
+    it('should not confirm a pub when the channel was removed while hookPub was pending', async () => {
+      let resolveHook;
+      const hookPubPost = sandbox.spy();
+      server.addChannel('async-channel', {
+        hookPub: () => new Promise(resolve => resolveHook = resolve),
+        hookPubPost,
+      });
+      server.channels.get('async-channel').clients.add(client);
+
+      const message = JSON.stringify({ action: 'pub', chan: 'async-channel', id: 1, msg: 'hi' });
+      const pending = server.onMessage(client, Buffer.from(message));
+      server.removeChannel('async-channel');
+      client.send.resetHistory();
+      resolveHook('hi');
+
+      expect(await pending).to.be.false;
+      expect(hookPubPost).to.not.have.been.called;
+      expect(client.send).to.have.been.calledOnceWith(
+        JSON.stringify({ action: 'pub-confirm', id: 1, chan: 'async-channel', type: 'error', response: 'Unknown chan' })
+      );
+    });
+
+    it('should not publish the message of a client that disconnected while hookPub was pending', async () => {
+      let resolveHook;
+      const hookPubPost = sandbox.spy();
+      server.addChannel('async-channel', {
+        hookPub: () => new Promise(resolve => resolveHook = resolve),
+        hookPubPost,
+      });
+      const subscriber = createMockClient();
+      server.createClientMetadata(subscriber, {});
+      server.channels.get('async-channel').clients.add(client);
+      server.channels.get('async-channel').clients.add(subscriber);
+
+      const message = JSON.stringify({ action: 'pub', chan: 'async-channel', id: 1, msg: 'hi' });
+      const pending = server.onMessage(client, Buffer.from(message));
+      server.onClose(client);
+      client.send.resetHistory();
+      resolveHook('hi');
+
+      expect(await pending).to.be.false;
+      expect(hookPubPost).to.not.have.been.called;
+      expect(client.send).to.not.have.been.called;
+      expect(subscriber.send).to.not.have.been.called;
+    });
+
+    it('should log a rejected async hookUnsub on disconnect', async () => {
+      const logSpy = sandbox.spy(server, 'log');
+      server.addChannel('async-channel', { hookUnsub: async () => { throw new Error('Store down'); } });
+      server.channels.get('async-channel').clients.add(client);
+
+      server.onClose(client);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(server.channels.get('async-channel').clients.has(client)).to.be.false;
+      expect(logSpy).to.have.been.calledWith('hookUnsub error: Store down', 'error');
+    });
+  });
+
+  describe('Time Sync', () => {
+    let client;
+
+    beforeEach(() => {
+      client = createMockClient();
+      server.clients.set(client, { id: 'client' });
+    });
+
+    it('should answer with the server time', () => {
+      sandbox.useFakeTimers(123456);
+
+      const result = server.onMessage(client, Buffer.from(JSON.stringify({ action: 'time-sync', id: 3 })));
+
+      expect(result).to.be.true;
+      expect(client.send).to.have.been.calledOnceWith(
+        JSON.stringify({ action: 'time-sync', id: 3, time: 123456 })
+      );
+    });
+
+    it('should reject a time sync without id', () => {
+      const result = server.onMessage(client, Buffer.from(JSON.stringify({ action: 'time-sync' })));
+
+      expect(result).to.be.false;
+      expect(client.send).to.have.been.calledOnceWith(
+        JSON.stringify({ action: 'error', msg: 'Invalid id or id is missing' })
+      );
+    });
+  });
+
   describe('Pub Action Error Handling', () => {
     it('should handle pub errors when hookPub throws WSServerError', () => {
       const hookPub = sandbox.stub().throws(new (WSServerError || Error)('Pub hook error'));
@@ -0,0 +1,210 @@
+import sinon from 'sinon';
+import { expect } from 'chai';
+
+import WSServerGameRoom from '../../src/websocket/WSServerGameRoom.mjs';
+import WSServerReplay from '../../src/websocket/WSServerReplay.mjs';
+
+// A deterministic game: each input moves the player, each command scores
+class CounterGameRoom extends WSServerGameRoom {
+  constructor(name, wsServer) {
+    super(name, wsServer);
+    this.world = { x: 0, score: 0, ticks: 0 };
+    this.setSimulationStep(10);
+    this.setPatchTimestep(20);
+  }
+
+  onInput(input) {
+    this.world.x += input.dx;
+  }
+
+  onCmdScore(msg) {
+    this.world.score += msg.points;
+  }
+
+  onTick() {
+    this.world.ticks++;
+  }
+
+  onPatch() {
+    return this.world;
+  }
+}
+
+describe('WSServerReplay', () => {
+  let sandbox;
+  let clock;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  // Record a match driven step by step, as the game loop does
+  function recordMatch(stepsBefore = 0) {
+    const lines = [];
+    const room = WSServerReplay.createRoom(CounterGameRoom, 'game');
+    for (let step = 0; step < stepsBefore; step++) {
+      room._beginStep();
+      room._update();
+    }
+    room.startRecording(line => lines.push(line));
+    const clientMeta = { id: 'player' };
+
+    room.queueInput({ dx: 2 }, 1, undefined, clientMeta, {});
+    for (let step = 0; step < 4; step++) {
+      room._beginStep();
+      room.processInputs(room.currentTick);
+      room._update();
+      if (step === 1) {
+        room.record('msg', { handler: 'onCmdScore', client: clientMeta, msg: { points: 5 } });
+        room.onCmdScore({ points: 5 });
+      }
+    }
+    room.stopRecording();
+    return lines.join('');
+  }
+
+  describe('fromJSONLines', () => {
+    it('should parse the records of a recording', () => {
+      const replay = WSServerReplay.fromJSONLines(recordMatch());
+
+      expect(replay.start).to.include({ type: 'start', room: 'game', timestep: 10, patchTimestep: 20 });
+      expect(replay.records.at(-1).type).to.equal('stop');
+      expect(replay.patches).to.have.lengthOf(2);
+      expect(replay.patches[1].state).to.deep.equal({ x: 2, score: 5, ticks: 3 });
+    });
+  });
+
+  describe('run', () => {
+    it('should re-drive a room to the same states', () => {
+      const replay = WSServerReplay.fromJSONLines(recordMatch());
+      const room = WSServerReplay.createRoom(CounterGameRoom);
+
+      const result = replay.run(room);
+
+      expect(result).to.deep.equal({ patches: 2, mismatches: [] });
+      expect(room.world).to.deep.equal({ x: 2, score: 5, ticks: 4 });
+      expect(room.currentTick).to.equal(4);
+    });
+
+    it('should continue the clocks of a recording started during a match', () => {
+      const replay = WSServerReplay.fromJSONLines(recordMatch(3));
+      const room = WSServerReplay.createRoom(CounterGameRoom);
+      // The room is in the state of the match when the recording started
+      room.world.ticks = 3;
+
+      const result = replay.run(room);
+
+      expect(replay.patches.map(patch => patch.tick)).to.deep.equal([4, 6]);
+      expect(result).to.deep.equal({ patches: 2, mismatches: [] });
+      expect(room.world).to.deep.equal({ x: 2, score: 5, ticks: 7 });
+      expect(room.currentTick).to.equal(7);
+      expect(room.elapsedTime).to.equal(70);
+    });
+
+    it('should report the patches different from the recording', () => {
+      const replay = WSServerReplay.fromJSONLines(recordMatch());
+      const room = WSServerReplay.createRoom(CounterGameRoom);
+      // A desync: the replayed room moves twice as fast
+      room.onInput = input => room.world.x += input.dx * 2;
+
+      const result = replay.run(room);
+
+      expect(result.mismatches).to.have.lengthOf(2);
+      expect(result.mismatches[0]).to.deep.include({ tick: 2, recorded: { x: 2, score: 0, ticks: 1 } });
+      expect(result.mismatches[0].state.x).to.equal(4);
+    });
+
+    it('should call onPatch with the replayed and the recorded states', () => {
+      const replay = WSServerReplay.fromJSONLines(recordMatch());
+      const onPatch = sinon.spy();
+
+      replay.run(WSServerReplay.createRoom(CounterGameRoom), { onPatch });
+
+      expect(onPatch).to.have.been.calledTwice;
+      expect(onPatch.firstCall.args[2]).to.equal(2);
+    });
+
+    it('should restore the patches of the room', () => {
+      const replay = WSServerReplay.fromJSONLines(recordMatch());
+      const room = WSServerReplay.createRoom(CounterGameRoom);
+
+      replay.run(room);
+
+      expect(room.patch).to.equal(WSServerGameRoom.prototype.patch);
+    });
+  });
+
+  describe('stream', () => {
+    let room;
+    let replay;
+
+    beforeEach(() => {
+      room = { broadcast: sinon.spy() };
+      replay = new WSServerReplay([
+        { type: 'patch', time: 0, state: 'a' },
+        { type: 'patch', time: 100, state: 'b' },
+        { type: 'patch', time: 200, state: 'c' },
+      ]);
+    });
+
+    function streamed() {
+      return room.broadcast.getCalls().map(call => call.args[0]);
+    }
+
+    it('should send the patches with their recorded timing', () => {
+      const onEnd = sinon.spy();
+      replay.stream(room, { onEnd });
+
+      clock.tick(0);
+      expect(streamed()).to.deep.equal(['a']);
+      clock.tick(99);
+      expect(streamed()).to.deep.equal(['a']);
+      clock.tick(1);
+      expect(streamed()).to.deep.equal(['a', 'b']);
+      clock.tick(100);
+
+      expect(streamed()).to.deep.equal(['a', 'b', 'c']);
+      expect(onEnd).to.have.been.calledOnce;
+    });
+
+    it('should play faster with a higher speed', () => {
+      const stream = replay.stream(room, { speed: 2 });
+
+      clock.tick(50);
+      expect(streamed()).to.deep.equal(['a', 'b']);
+
+      stream.setSpeed(1);
+      clock.tick(50);
+      expect(streamed()).to.deep.equal(['a', 'b']);
+      clock.tick(50);
+      expect(streamed()).to.deep.equal(['a', 'b', 'c']);
+    });
+
+    it('should seek to a time', () => {
+      const stream = replay.stream(room);
+
+      stream.seek(150);
+      clock.tick(50);
+
+      expect(streamed()).to.deep.equal(['c']);
+    });
+
+    it('should pause and resume', () => {
+      const stream = replay.stream(room);
+      clock.tick(0);
+
+      stream.pause();
+      clock.tick(500);
+      expect(streamed()).to.deep.equal(['a']);
+
+      stream.play();
+      clock.tick(100);
+      expect(streamed()).to.deep.equal(['a', 'b']);
+    });
+  });
+});
@@ -4,6 +4,7 @@ import { expect } from 'chai';
 import WSServerRoomManager from '../../src/websocket/WSServerRoomManager.mjs';
 import WSServerRoom from '../../src/websocket/WSServerRoom.mjs';
 import WSServerGameRoom from '../../src/websocket/WSServerGameRoom.mjs';
+import WSServerError from '../../src/websocket/WSServerError.mjs';
 
 // Custom test room class with test command methods
 class TestRoom extends WSServerRoom {
@@ -70,6 +71,18 @@ describe('WSServerRoomManager', () => {
     it('should throw an error for patch sync mode with non-game room', () => {
       expect(() => new WSServerRoomManager({ syncMode: 'patch', logLevel: 'none' })).to.throw("Room class for 'patch' mode must be an instance of WSServerGameRoom");
     });
+
+    it('should enable the lockstep in the game rooms of the lockstep sync mode', () => {
+      server = new WSServerRoomManager({ roomClass: class extends WSServerGameRoom{}, syncMode: 'lockstep', logLevel: 'none' });
+      server.createRoom('game');
+
+      expect(server.syncMode).to.equal('lockstep');
+      expect(server.rooms.get('game').manager.lockstep).to.be.true;
+    });
+
+    it('should throw an error for lockstep sync mode with non-game room', () => {
+      expect(() => new WSServerRoomManager({ syncMode: 'lockstep', logLevel: 'none' })).to.throw("Room class for 'lockstep' mode must be an instance of WSServerGameRoom");
+    });
   });
 
   describe('Room Management', () => {
@@ -171,6 +184,332 @@ describe('WSServerRoomManager', () => {
     });
   });
 
+  describe('Room Capacity, Passwords and Private Rooms', () => {
+    let owner;
+    let player;
+
+    const connect = id => {
+      const client = createMockClient();
+      server.clients.set(client, { id });
+      return client;
+    };
+
+    beforeEach(() => {
+      owner = connect('owner');
+      player = connect('player');
+    });
+
+    it('should create a room with its own capacity', () => {
+      server.clientCreateRoom({ name: 'duel', maxUsers: 2 }, server.clients.get(owner), owner);
+      server.clientJoinRoom({ name: 'duel' }, server.clients.get(player), player);
+      const third = connect('third');
+
+      expect(server.rooms.get('duel').maxUsers).to.equal(2);
+      expect(() => server.clientJoinRoom({ name: 'duel' }, server.clients.get(third), third)).to.throw('Room is full');
+    });
+
+    it('should reject the invalid room options', () => {
+      const meta = server.clients.get(owner);
+
+      expect(() => server.clientCreateRoom({ name: 'a', maxUsers: 11 }, meta, owner)).to.throw('Invalid room capacity');
+      expect(() => server.clientCreateRoom({ name: 'a', maxUsers: 0 }, meta, owner)).to.throw('Invalid room capacity');
+      expect(() => server.clientCreateRoom({ name: 'a', password: 42 }, meta, owner)).to.throw('Invalid room password');
+      expect(() => server.clientCreateRoom({ name: 'a', isPrivate: 'yes' }, meta, owner)).to.throw('Invalid private flag');
+      expect(server.rooms.has('a')).to.be.false;
+    });
+
+    it('should check the password of a room on join', () => {
+      server.clientCreateRoom({ name: 'locked', password: 'secret' }, server.clients.get(owner), owner);
+      const meta = server.clients.get(player);
+
+      expect(() => server.clientJoinRoom({ name: 'locked' }, meta, player)).to.throw('Invalid password');
+      expect(() => server.clientJoinRoom({ name: 'locked', password: 'wrong' }, meta, player)).to.throw('Invalid password');
+      expect(server.clientJoinRoom({ name: 'locked', password: 'secret' }, meta, player).name).to.equal('locked');
+      expect(server.rooms.get('locked').passwordHash).to.not.equal('secret');
+    });
+
+    it('should check the password with createOrJoin', () => {
+      server.clientCreateRoom({ name: 'locked', password: 'secret' }, server.clients.get(owner), owner);
+
+      expect(() => server.clientCreateOrJoinRoom({ name: 'locked' }, server.clients.get(player), player))
+        .to.throw('Invalid password');
+    });
+
+    it('should list the password protected rooms and hide the private ones', () => {
+      server.clientCreateRoom({ name: 'locked', password: 'secret' }, server.clients.get(owner), owner);
+      server.clientCreateRoom({ name: 'hidden', isPrivate: true }, server.clients.get(player), player);
+
+      const rooms = server.prepareRoomList();
+
+      expect(rooms.map(room => room.name)).to.deep.equal(['locked']);
+      expect(rooms[0]).to.include({ hasPassword: true, maxUsers: 10 });
+    });
+
+    it('should join a private room by name or invite code', () => {
+      const response = server.clientCreateRoom({ name: 'hidden', isPrivate: true, password: 'secret' }, server.clients.get(owner), owner);
+      const third = connect('third');
+
+      expect(response.inviteCode).to.be.a('string');
+      expect(server.getRoomInviteCode('hidden')).to.equal(response.inviteCode);
+      expect(server.clientJoinRoom({ invite: response.inviteCode }, server.clients.get(player), player))
+        .to.include({ name: 'hidden', inviteCode: response.inviteCode });
+      expect(server.clientJoinRoom({ name: 'hidden', password: 'secret' }, server.clients.get(third), third).name)
+        .to.equal('hidden');
+    });
+
+    it('should reject the unknown invite codes', () => {
+      server.clientCreateRoom({ name: 'hidden', isPrivate: true }, server.clients.get(owner), owner);
+      const { inviteCode } = server.rooms.get('hidden');
+      server.deleteRoom('hidden');
+
+      expect(() => server.clientJoinRoom({ invite: inviteCode }, server.clients.get(player), player))
+        .to.throw('Invalid invite code');
+      expect(server.inviteCodes.size).to.equal(0);
+    });
+
+    it('should create a room with options from the server', () => {
+      server.createRoom('vip', false, { maxUsers: 3, password: 'secret', isPrivate: true });
+      const room = server.rooms.get('vip');
+
+      expect(room.maxUsers).to.equal(3);
+      expect(room.isPrivate).to.be.true;
+      expect(server.checkRoomPassword(room, 'secret')).to.be.true;
+    });
+  });
+
+  describe('Spectators', () => {
+    let owner;
+    let viewer;
+    let hooks;
+
+    const connect = id => {
+      const client = createMockClient();
+      server.clients.set(client, { id });
+      return client;
+    };
+
+    const lastMessage = client => JSON.parse(client.send.lastCall.args[0]);
+
+    beforeEach(() => {
+      hooks = { join: sinon.spy(), leave: sinon.spy() };
+      server.roomClass = class extends WSServerRoom {
+        onSpectatorJoin(msg, clientMeta) {
+          hooks.join(msg, clientMeta);
+          if (msg === 'refused') return false;
+          return { role: 'viewer' };
+        }
+
+        onSpectatorLeave(clientMeta) {
+          hooks.leave(clientMeta);
+        }
+      };
+      owner = connect('owner');
+      viewer = connect('viewer');
+      server.clientCreateRoom({ name: 'arena', maxSpectators: 1 }, server.clients.get(owner), owner);
+    });
+
+    it('should spectate a room without taking a seat', () => {
+      const response = server.clientSpectateRoom({ name: 'arena', msg: 'hi' }, server.clients.get(viewer), viewer);
+      const room = server.rooms.get('arena');
+
+      expect(response).to.include({ name: 'arena', spectator: true });
+      expect(response.clients).to.deep.equal([{ id: 'owner' }]);
+      expect(hooks.join).to.have.been.calledOnceWith('hi', { id: 'viewer', role: 'viewer' });
+      expect(room.chan.clients.has(viewer)).to.be.false;
+      expect(server.getClientsOfRoom('arena')).to.have.length(1);
+      expect(room.manager.spectators).to.deep.equal([{ id: 'viewer', role: 'viewer' }]);
+      expect(server.getSpectatorSocketsOfRoom('arena')).to.deep.equal([viewer]);
+    });
+
+    it('should limit the spectators with their own capacity', () => {
+      server.clientSpectateRoom({ name: 'arena' }, server.clients.get(viewer), viewer);
+      const other = connect('other');
+
+      expect(() => server.clientSpectateRoom({ name: 'arena' }, server.clients.get(other), other)).to.throw('Too many spectators');
+      expect(() => server.clientCreateRoom({ name: 'a', maxSpectators: 11 }, server.clients.get(other), other))
+        .to.throw('Invalid spectator capacity');
+      expect(server.prepareRoomList()[0]).to.include({ nbUsers: 1, nbSpectators: 1, maxSpectators: 1 });
+    });
+
+    it('should reject the clients already in the room and the refused spectators', () => {
+      server.clientSpectateRoom({ name: 'arena' }, server.clients.get(viewer), viewer);
+
+      expect(() => server.clientSpectateRoom({ name: 'arena' }, server.clients.get(owner), owner)).to.throw('Client already in room');
+      expect(() => server.clientJoinRoom({ name: 'arena' }, server.clients.get(viewer), viewer)).to.throw('Client already in room');
+      expect(() => server.clientSpectateRoom({ name: 'unknown' }, {}, viewer)).to.throw('Room not found');
+
+      const other = connect('other');
+      server.rooms.get('arena').maxSpectators = 2;
+      expect(() => server.clientSpectateRoom({ name: 'arena', msg: 'refused' }, server.clients.get(other), other))
+        .to.throw('Room spectate aborted');
+    });
+
+    it('should check the password of the room', () => {
+      server.clientCreateRoom({ name: 'locked', password: 'secret' }, server.clients.get(owner), owner);
+
+      expect(() => server.clientSpectateRoom({ name: 'locked' }, server.clients.get(viewer), viewer)).to.throw('Invalid password');
+      expect(server.clientSpectateRoom({ name: 'locked', password: 'secret' }, server.clients.get(viewer), viewer).name)
+        .to.equal('locked');
+    });
+
+    it('should send the room messages to the spectators', () => {
+      server.clientSpectateRoom({ name: 'arena' }, server.clients.get(viewer), viewer);
+
+      server.broadcastRoomName('arena', { score: 1 });
+      expect(lastMessage(viewer)).to.deep.equal({ action: 'pub', chan: '__room-arena', msg: { score: 1 } });
+
+      server.broadcastRoomNameCmd('arena', 'goal', { team: 'red' });
+      expect(lastMessage(viewer).msg).to.deep.equal({ cmd: 'goal', data: { team: 'red' } });
+
+      expect(server.sendRoomName('arena', viewer, 'hello')).to.be.true;
+      expect(lastMessage(viewer).msg).to.equal('hello');
+    });
+
+    it('should not let the spectators send room messages', () => {
+      server.clientSpectateRoom({ name: 'arena' }, server.clients.get(viewer), viewer);
+      viewer.send.resetHistory();
+
+      server.onMessage(viewer, JSON.stringify({ action: 'pub-room', room: 'arena', msg: 'hello' }));
+      expect(lastMessage(viewer)).to.include({ action: 'error', msg: 'Spectators cannot send messages' });
+      server.onMessage(viewer, JSON.stringify({ action: 'pub-room-cmd', room: 'arena', cmd: 'test', msg: 'hello' }));
+      expect(lastMessage(viewer)).to.include({ action: 'error', msg: 'Spectators cannot send messages' });
+      expect(owner.send.calledWithMatch('hello')).to.be.false;
+    });
+
+    it('should stop spectating on leave and on disconnection', () => {
+      server.clientSpectateRoom({ name: 'arena' }, server.clients.get(viewer), viewer);
+      expect(server.clientLeaveRoom({ name: 'arena' }, server.clients.get(viewer), viewer)).to.be.true;
+      expect(hooks.leave).to.have.been.calledOnceWith({ id: 'viewer', role: 'viewer' });
+
+      server.clientSpectateRoom({ name: 'arena' }, server.clients.get(viewer), viewer);
+      server.onClose(viewer);
+      expect(hooks.leave).to.have.been.calledTwice;
+      expect(server.rooms.get('arena').spectators.size).to.equal(0);
+      expect(server.rooms.get('arena').chanClients.clients.has(viewer)).to.be.false;
+    });
+
+    it('should remove the spectators of a deleted room', () => {
+      server.clientSpectateRoom({ name: 'arena' }, server.clients.get(viewer), viewer);
+
+      server.clientLeaveRoom({ name: 'arena' }, server.clients.get(owner), owner);
+      expect(server.rooms.has('arena')).to.be.false;
+      expect(hooks.leave).to.have.been.calledOnceWith({ id: 'viewer', role: 'viewer' });
+      const kicked = viewer.send.args.map(([message]) => JSON.parse(message)).find(message => message.msg?.cmd === '__kicked');
+      expect(kicked).to.deep.equal({
+        action: 'pub-cmd', chan: '__room-arena', msg: { cmd: '__kicked', data: { reason: 'Room deleted', banned: false } }
+      });
+    });
+
+    it('should send the game room patches to the spectators', () => {
+      server.close();
+      server = new WSServerRoomManager({ roomClass: class extends WSServerGameRoom { onPatch() { return { x: 1 }; } }, logLevel: 'none' });
+      owner = connect('owner');
+      viewer = connect('viewer');
+      server.clientCreateRoom({ name: 'game' }, server.clients.get(owner), owner);
+      server.clientSpectateRoom({ name: 'game' }, server.clients.get(viewer), viewer);
+      const room = server.rooms.get('game').manager;
+      room.setDeltaPatch();
+
+      room.patch(0, 0);
+      expect(lastMessage(viewer).msg).to.deep.equal({ cmd: '__patch', data: { seq: 1, state: { x: 1 } } });
+      expect(server.onMessage(viewer, JSON.stringify({ action: 'room-patch-ack', room: 'game', seq: 1 }))).to.be.true;
+      expect(room.deltaAcks.get(viewer)).to.equal(1);
+    });
+  });
+
+  describe('Kicks and Bans', () => {
+    let owner;
+    let player;
+    let onLeave;
+
+    const connect = id => {
+      const client = createMockClient();
+      server.clients.set(client, { id });
+      return client;
+    };
+
+    const kickedCmd = client => client.send.getCalls()
+      .map(call => JSON.parse(call.args[0]))
+      .find(msg => msg.action === 'pub-cmd' && msg.msg.cmd === '__kicked');
+
+    beforeEach(() => {
+      onLeave = sinon.spy();
+      server.roomClass = class extends WSServerRoom {
+        onLeave(clientMeta) {
+          onLeave(clientMeta);
+        }
+      };
+      owner = connect('owner');
+      player = connect('player');
+      server.clientCreateRoom({ name: 'arena' }, server.clients.get(owner), owner);
+      server.clientJoinRoom({ name: 'arena' }, server.clients.get(player), player);
+    });
+
+    it('should kick a client with a reason', () => {
+      const room = server.rooms.get('arena');
+
+      expect(room.manager.kick(player, 'Be nice')).to.be.true;
+      expect(kickedCmd(player)).to.deep.equal({
+        action: 'pub-cmd', chan: '__room-arena', msg: { cmd: '__kicked', data: { reason: 'Be nice', banned: false } }
+      });
+      expect(room.chan.clients.has(player)).to.be.false;
+      expect(onLeave).to.have.been.calledOnceWith({ id: 'player' });
+      expect(kickedCmd(owner)).to.be.undefined;
+      // A kick is not a ban
+      expect(server.clientJoinRoom({ name: 'arena' }, server.clients.get(player), player).name).to.equal('arena');
+    });
+
+    it('should kick a spectator', () => {
+      const viewer = connect('viewer');
+      server.clientSpectateRoom({ name: 'arena' }, server.clients.get(viewer), viewer);
+
+      expect(server.kickClientFromRoom('arena', viewer)).to.be.true;
+      expect(kickedCmd(viewer).msg.data).to.deep.equal({ reason: null, banned: false });
+      expect(server.rooms.get('arena').spectators.size).to.equal(0);
+    });
+
+    it('should not kick a client out of the room', () => {
+      const other = connect('other');
+
+      expect(server.kickClientFromRoom('arena', other)).to.be.false;
+      expect(server.kickClientFromRoom('unknown', player)).to.be.false;
+      expect(other.send.called).to.be.false;
+    });
+
+    it('should ban a client from joining and spectating the room', () => {
+      const room = server.rooms.get('arena');
+
+      expect(room.manager.ban('player')).to.be.true;
+      expect(kickedCmd(player).msg.data).to.deep.equal({ reason: 'Banned', banned: true });
+      expect(room.chan.clients.has(player)).to.be.false;
+      expect(room.manager.isBanned('player')).to.be.true;
+      expect(() => server.clientJoinRoom({ name: 'arena' }, server.clients.get(player), player)).to.throw(WSServerError, 'Banned from room');
+      expect(() => server.clientSpectateRoom({ name: 'arena' }, server.clients.get(player), player)).to.throw('Banned from room');
+
+      expect(room.manager.unban('player')).to.be.true;
+      expect(server.clientJoinRoom({ name: 'arena' }, server.clients.get(player), player).name).to.equal('arena');
+    });
+
+    it('should lift a ban after its duration', () => {
+      const clock = sandbox.useFakeTimers(Date.now());
+      server.banClientFromRoom('arena', 'player', 60000, 'Cheating');
+      expect(kickedCmd(player).msg.data.reason).to.equal('Cheating');
+
+      clock.tick(59999);
+      expect(server.isClientBanned('arena', 'player')).to.be.true;
+      clock.tick(1);
+      expect(server.isClientBanned('arena', 'player')).to.be.false;
+      expect(server.rooms.get('arena').bans.size).to.equal(0);
+    });
+
+    it('should ban a client absent from the room', () => {
+      expect(server.banClientFromRoom('arena', 'stranger')).to.be.true;
+      expect(server.banClientFromRoom('unknown', 'stranger')).to.be.false;
+      expect(server.isClientBanned('arena', 'stranger')).to.be.true;
+      expect(server.isClientBanned('unknown', 'stranger')).to.be.false;
+    });
+  });
+
   describe('Room Messages', () => {
     let roomName, client, clientMeta, testServer;
 
@@ -357,6 +696,233 @@ describe('WSServerRoomManager', () => {
     });
   });
 
+  describe('Delta Patch Acknowledgements', () => {
+    let gameServer, client, clientMeta;
+
+    beforeEach(() => {
+      gameServer = new WSServerRoomManager({ roomClass: WSServerGameRoom, logLevel: 'none' });
+      gameServer.createRoom('game');
+      client = createMockClient();
+      clientMeta = { id: 'client1' };
+      gameServer.clients.set(client, clientMeta);
+      gameServer.addClientToRoom('game', clientMeta, client);
+      client.send.resetHistory();
+    });
+
+    afterEach(() => {
+      gameServer.close();
+    });
+
+    it('should return the sockets of the room clients', () => {
+      expect(gameServer.getClientSocketsOfRoom('game')).to.deep.equal([client]);
+      expect(gameServer.getClientSocketsOfRoom('unknown')).to.deep.equal([]);
+    });
+
+    it('should pass the acknowledgement to the room', () => {
+      const manager = gameServer.rooms.get('game').manager;
+      const ackSpy = sandbox.spy(manager, 'onPatchAck');
+
+      const result = gameServer.onMessage(client, JSON.stringify({ action: 'room-patch-ack', room: 'game', seq: 3 }));
+
+      expect(result).to.be.true;
+      expect(ackSpy).to.have.been.calledOnceWith(3, clientMeta, client);
+      expect(client.send.called).to.be.false;
+    });
+
+    it('should reject an acknowledgement without sequence number', () => {
+      const result = gameServer.onMessage(client, JSON.stringify({ action: 'room-patch-ack', room: 'game' }));
+
+      expect(result).to.be.false;
+      expect(JSON.parse(client.send.firstCall.args[0]).msg).to.equal('Invalid sequence number');
+    });
+
+    it('should silently ignore a late acknowledgement for a room the client is not in', () => {
+      const result = gameServer.onMessage(client, JSON.stringify({ action: 'room-patch-ack', room: 'other', seq: 3 }));
+
+      expect(result).to.be.false;
+      expect(client.send.called).to.be.false;
+    });
+  });
+
+  describe('Room Inputs', () => {
+    let gameServer, client, clientMeta;
+
+    beforeEach(() => {
+      gameServer = new WSServerRoomManager({ roomClass: WSServerGameRoom, logLevel: 'none' });
+      gameServer.createRoom('game');
+      client = createMockClient();
+      clientMeta = { id: 'client1' };
+      gameServer.clients.set(client, clientMeta);
+      gameServer.addClientToRoom('game', clientMeta, client);
+      client.send.resetHistory();
+    });
+
+    afterEach(() => {
+      gameServer.close();
+    });
+
+    function sendInput(data) {
+      return gameServer.onMessage(client, JSON.stringify({ action: 'room-input', room: 'game', ...data }));
+    }
+
+    it('should queue the input in the game room', () => {
+      const manager = gameServer.rooms.get('game').manager;
+      const queueSpy = sandbox.spy(manager, 'queueInput');
+
+      const result = sendInput({ seq: 1, tick: 4, input: { up: true } });
+
+      expect(result).to.be.true;
+      expect(queueSpy).to.have.been.calledOnceWith({ up: true }, 1, 4, clientMeta, client);
+      expect(client.send.called).to.be.false;
+    });
+
+    it('should validate the sequence number and the tick', () => {
+      sendInput({ seq: 0, input: {} });
+      sendInput({ seq: 1, tick: 'soon', input: {} });
+
+      expect(JSON.parse(client.send.firstCall.args[0]).msg).to.equal('Invalid sequence number');
+      expect(JSON.parse(client.send.secondCall.args[0]).msg).to.equal('Invalid tick');
+    });
+
+    it('should reject an out of sequence input', () => {
+      sendInput({ seq: 2, input: {} });
+
+      const result = sendInput({ seq: 2, input: {} });
+
+      expect(result).to.be.false;
+      expect(JSON.parse(client.send.firstCall.args[0]).msg).to.equal('Input rejected');
+    });
+
+    it('should reject an input too far ahead', () => {
+      const result = sendInput({ seq: 1, tick: 1000, input: {} });
+
+      expect(result).to.be.false;
+      expect(JSON.parse(client.send.firstCall.args[0]).msg).to.equal('Input rejected');
+    });
+
+    it('should reject the inputs for a room without input queue', () => {
+      server.createRoom('chat');
+      server.clients.set(client, clientMeta);
+      server.addClientToRoom('chat', clientMeta, client);
+      client.send.resetHistory();
+
+      const result = server.onMessage(client, JSON.stringify({ action: 'room-input', room: 'chat', seq: 1 }));
+
+      expect(result).to.be.false;
+      expect(JSON.parse(client.send.firstCall.args[0]).msg).to.equal('Inputs not supported');
+    });
+  });
+
+  describe('Room Turns', () => {
+    let gameServer, client, clientMeta;
+
+    beforeEach(() => {
+      gameServer = new WSServerRoomManager({ roomClass: class extends WSServerGameRoom {}, syncMode: 'lockstep', logLevel: 'none' });
+      gameServer.createRoom('game');
+      client = createMockClient();
+      clientMeta = { id: 'client1' };
+      gameServer.clients.set(client, clientMeta);
+      gameServer.addClientToRoom('game', clientMeta, client);
+      client.send.resetHistory();
+    });
+
+    afterEach(() => {
+      gameServer.close();
+    });
+
+    function sendTurn(data) {
+      return gameServer.onMessage(client, JSON.stringify({ action: 'room-turn', room: 'game', ...data }));
+    }
+
+    it('should pass the turn input to the game room', () => {
+      const manager = gameServer.rooms.get('game').manager;
+      const submitSpy = sandbox.spy(manager, 'submitTurnInput');
+
+      const result = sendTurn({ turn: 0, input: { move: [1, 2] } });
+
+      expect(result).to.be.true;
+      expect(submitSpy).to.have.been.calledOnceWith(0, { move: [1, 2] }, clientMeta, client);
+    });
+
+    it('should validate the turn', () => {
+      const result = sendTurn({ turn: -1 });
+
+      expect(result).to.be.false;
+      expect(JSON.parse(client.send.firstCall.args[0]).msg).to.equal('Invalid turn');
+    });
+
+    it('should send the errors of the game room', () => {
+      sendTurn({ turn: 0 });
+      client.send.resetHistory();
+
+      const result = sendTurn({ turn: 0 });
+
+      expect(result).to.be.false;
+      expect(JSON.parse(client.send.firstCall.args[0]).msg).to.equal('Late turn input');
+    });
+
+    it('should reject the turn inputs without lockstep', () => {
+      gameServer.rooms.get('game').manager.setLockstep(false);
+
+      sendTurn({ turn: 0 });
+
+      expect(JSON.parse(client.send.firstCall.args[0]).msg).to.equal('Lockstep not enabled');
+    });
+  });
+
+  describe('Room Recording', () => {
+    it('should record the messages and commands of a recording game room', () => {
+      const gameServer = new WSServerRoomManager({ roomClass: class extends WSServerGameRoom {
+        onCmdScore() {}
+      }, logLevel: 'none' });
+      gameServer.createRoom('game');
+      const client = createMockClient();
+      const clientMeta = { id: 'client1' };
+      gameServer.clients.set(client, clientMeta);
+      gameServer.addClientToRoom('game', clientMeta, client);
+      const lines = [];
+      gameServer.rooms.get('game').manager.startRecording(line => lines.push(line));
+
+      gameServer.onMessage(client, JSON.stringify({ action: 'pub-room-cmd', room: 'game', cmd: 'score', msg: { points: 3 } }));
+
+      expect(JSON.parse(lines[1])).to.deep.include({
+        type: 'msg', handler: 'onCmdScore', client: clientMeta, msg: { points: 3 }
+      });
+      gameServer.close();
+    });
+  });
+
+  describe('Room Stats', () => {
+    it('should aggregate the stats of the game rooms collecting them', () => {
+      const gameServer = new WSServerRoomManager({ roomClass: class extends WSServerGameRoom {}, logLevel: 'none' });
+      gameServer.createRoom('a');
+      gameServer.createRoom('b');
+      gameServer.createRoom('c');
+      for (const name of ['a', 'b']) gameServer.rooms.get(name).manager.setStats();
+      gameServer.rooms.get('a').manager.recordFrameStats(5, 1, 2);
+      gameServer.rooms.get('a').manager.recordPatchStats(100, 1);
+      gameServer.rooms.get('b').manager.recordFrameStats(8, 1, 1);
+
+      const { rooms, total } = gameServer.getRoomsStats();
+
+      expect(Object.keys(rooms)).to.deep.equal(['a', 'b']);
+      expect(rooms.a.patchBytes.total).to.equal(100);
+      expect(total).to.deep.equal({
+        rooms: 2, frames: 2, slowFrames: 0, maxTickTime: 8, maxDrift: 2, patches: 1, patchBytes: 100
+      });
+      gameServer.close();
+    });
+
+    it('should skip the rooms without stats', () => {
+      server.createRoom('chat');
+
+      expect(server.getRoomsStats()).to.deep.equal({
+        rooms: {},
+        total: { rooms: 0, frames: 0, slowFrames: 0, maxTickTime: 0, maxDrift: 0, patches: 0, patchBytes: 0 }
+      });
+    });
+  });
+
   describe('Room Broadcasting', () => {
     let room, client1, client2, clientMeta1, clientMeta2;
 
@@ -551,6 +1117,148 @@ describe('WSServerRoomManager', () => {
     });
   });
 
+  describe('Session Resumption', () => {
+    let clock;
+    let client;
+    let clientMeta;
+    let roomManager;
+
+    class ResumableRoom extends WSServerRoom {}
+
+    beforeEach(() => {
+      clock = sandbox.useFakeTimers();
+      server = new WSServerRoomManager({ logLevel: 'none', resumeTimeout: 5000, roomClass: ResumableRoom });
+      client = createMockClient();
+      server.createClientMetadata(client, { name: 'alice' });
+      clientMeta = server.clients.get(client);
+      server.createRoom('room1');
+      roomManager = server.rooms.get('room1').manager;
+      server.addClientToRoom('room1', clientMeta, client);
+    });
+
+    it('should not register the resume RPC by default', () => {
+      const defaultServer = new WSServerRoomManager({ logLevel: 'none' });
+      expect(defaultServer.resumeTimeout).to.equal(0);
+      expect(defaultServer.rpcs.has('__room-resume')).to.be.false;
+      defaultServer.close();
+    });
+
+    it('should send a resume token with auth-success', () => {
+      server.sendAuthSuccess(client);
+
+      const payload = JSON.parse(client.send.lastCall.args[0]);
+      expect(payload.action).to.equal('auth-success');
+      expect(payload.id).to.equal(clientMeta.id);
+      expect(payload.resumeToken).to.be.a('string');
+      expect(server.rpcs.has('__room-resume')).to.be.true;
+    });
+
+    it('should hold the seat and defer onLeave when a client disconnects', () => {
+      const onDisconnect = sandbox.spy(roomManager, 'onDisconnect');
+      const onLeave = sandbox.spy(roomManager, 'onLeave');
+
+      server.onClose(client);
+
+      expect(server.clients.has(client)).to.be.false;
+      expect(server.isClientSuspended(client)).to.be.true;
+      expect(onDisconnect).to.have.been.calledOnceWith(clientMeta, client);
+      expect(onLeave).to.not.have.been.called;
+      expect(server.rooms.get('room1').chan.clients.has(client)).to.be.true;
+      expect(server.getClientsOfRoom('room1')).to.deep.equal([clientMeta]);
+    });
+
+    it('should call onLeave and free the seat when the grace period expires', () => {
+      server.createRoom('room2');
+      const otherClient = createMockClient();
+      server.createClientMetadata(otherClient, {});
+      server.addClientToRoom('room2', server.clients.get(otherClient), otherClient);
+      server.addClientToRoom('room2', clientMeta, client);
+      const onLeave = sandbox.spy(roomManager, 'onLeave');
+
+      server.onClose(client);
+      clock.tick(5000);
+
+      expect(onLeave).to.have.been.calledOnceWith(clientMeta, client);
+      expect(server.isClientSuspended(client)).to.be.false;
+      expect(server.rooms.has('room1')).to.be.false; // auto deleted once empty
+      expect(server.getClientsOfRoom('room2')).to.have.length(1);
+    });
+
+    it('should let a new socket reclaim the id and the rooms with the resume token', () => {
+      const onReconnect = sandbox.spy(roomManager, 'onReconnect');
+      const onLeave = sandbox.spy(roomManager, 'onLeave');
+      const token = server.resumeTokens.get(client);
+      server.onClose(client);
+
+      const newClient = createMockClient();
+      server.createClientMetadata(newClient, {});
+      const response = server.clientResumeRooms({ token }, server.clients.get(newClient), newClient);
+
+      expect(response.id).to.equal(clientMeta.id);
+      expect(response.rooms).to.have.length(1);
+      expect(response.rooms[0].name).to.equal('room1');
+      expect(response.rooms[0].clients).to.deep.equal([clientMeta]);
+      expect(server.clients.get(newClient)).to.equal(clientMeta);
+      expect(server.rooms.get('room1').chan.clients.has(newClient)).to.be.true;
+      expect(server.rooms.get('room1').chan.clients.has(client)).to.be.false;
+      expect(onReconnect).to.have.been.calledOnceWith(clientMeta, newClient);
+
+      clock.tick(10000);
+      expect(onLeave).to.not.have.been.called;
+    });
+
+    it('should hold the session of a client terminated by the ping management', () => {
+      const onDisconnect = sandbox.spy(roomManager, 'onDisconnect');
+      const deadClient = Object.assign(createMockClient(), { on: sandbox.spy() });
+      server.onAuth(deadClient, { name: 'bob' });
+      const deadMeta = server.clients.get(deadClient);
+      server.addClientToRoom('room1', deadMeta, deadClient);
+      const token = server.resumeTokens.get(deadClient);
+
+      client.ping = sandbox.spy();
+      deadClient.isAlive = false;
+      server.pingManagement();
+      // The close event of the terminated socket comes after its cleanup
+      deadClient.on.getCalls().find(call => call.args[0] === 'close').args[1]();
+
+      expect(deadClient.terminate).to.have.been.called;
+      expect(onDisconnect).to.have.been.calledOnceWith(deadMeta, deadClient);
+      expect(server.isClientSuspended(deadClient)).to.be.true;
+      expect(server.rooms.get('room1').chan.clients.has(deadClient)).to.be.true;
+
+      const newClient = createMockClient();
+      server.createClientMetadata(newClient, {});
+      const response = server.clientResumeRooms({ token }, server.clients.get(newClient), newClient);
+
+      expect(response.id).to.equal(deadMeta.id);
+      expect(response.rooms[0].clients).to.deep.equal([clientMeta, deadMeta]);
+      expect(server.clients.get(newClient)).to.equal(deadMeta);
+    });
+
+    it('should reject unknown or expired resume tokens', () => {
+      const token = server.resumeTokens.get(client);
+      server.onClose(client);
+      clock.tick(5000);
+
+      const newClient = createMockClient();
+      server.createClientMetadata(newClient, {});
+      expect(() => server.clientResumeRooms({ token }, server.clients.get(newClient), newClient))
+        .to.throw('Session not found');
+      expect(() => server.clientResumeRooms({}, server.clients.get(newClient), newClient))
+        .to.throw('Invalid resume token');
+    });
+
+    it('should remove the client immediately if it is in no room', () => {
+      const lonelyClient = createMockClient();
+      server.createClientMetadata(lonelyClient, {});
+
+      server.onClose(lonelyClient);
+
+      expect(server.isClientSuspended(lonelyClient)).to.be.false;
+      expect(server.resumeTokens.has(lonelyClient)).to.be.false;
+    });
+  });
+
   describe('Server Cleanup', () => {
     it('should clear all rooms when server closes', () => {
       server.createRoom('room1');
@@ -643,6 +1351,72 @@ describe('WSServerRoomManager', () => {
     });
   });
 
+  describe('Room Messages to Several Clients', () => {
+    let client1, client2, client3;
+
+    beforeEach(() => {
+      client1 = createMockClient();
+      client2 = createMockClient();
+      client3 = createMockClient();
+      server.clients.set(client1, { id: 'client1' });
+      server.clients.set(client2, { id: 'client2' });
+      server.clients.set(client3, { id: 'client3' });
+
+      server.createRoom('test-room');
+      server.addClientToRoom('test-room', server.clients.get(client1), client1);
+      server.addClientToRoom('test-room', server.clients.get(client2), client2);
+      server.addClientToRoom('test-room', server.clients.get(client3), client3);
+
+      client1.send.resetHistory();
+      client2.send.resetHistory();
+      client3.send.resetHistory();
+    });
+
+    it('should send the same serialized message to the given clients', () => {
+      const stringify = sinon.spy(JSON, 'stringify');
+
+      const result = server.sendRoomNameClients('test-room', [client1, client3], { x: 1 });
+      stringify.restore();
+
+      expect(result).to.be.true;
+      expect(stringify).to.have.been.calledOnce;
+      expect(client2.send.called).to.be.false;
+      expect(client1.send.firstCall.args[0]).to.equal(client3.send.firstCall.args[0]);
+      expect(JSON.parse(client1.send.firstCall.args[0])).to.deep.equal({
+        action: 'pub',
+        chan: '__room-test-room',
+        msg: { x: 1 }
+      });
+    });
+
+    it('should send the same command to the given clients', () => {
+      const result = server.sendRoomNameClientsCmd('test-room', [client2, client3], 'move', { x: 1 });
+
+      expect(result).to.be.true;
+      expect(client1.send.called).to.be.false;
+      expect(JSON.parse(client2.send.firstCall.args[0])).to.deep.equal({
+        action: 'pub-cmd',
+        chan: '__room-test-room',
+        msg: { cmd: 'move', data: { x: 1 } }
+      });
+      expect(client3.send.calledOnce).to.be.true;
+    });
+
+    it('should skip the clients not in the room', () => {
+      const otherClient = createMockClient();
+
+      server.sendRoomNameClients('test-room', [client1, otherClient], { x: 1 });
+
+      expect(client1.send.calledOnce).to.be.true;
+      expect(otherClient.send.called).to.be.false;
+    });
+
+    it('should return false for a non-existent room', () => {
+      expect(server.sendRoomNameClients('non-existent-room', [client1], {})).to.be.false;
+      expect(server.sendRoomNameClientsCmd('non-existent-room', [client1], 'move')).to.be.false;
+    });
+  });
+
   describe('Room Commands by Name', () => {
     let client1, client2, room;
 
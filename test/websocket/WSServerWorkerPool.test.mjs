@@ -0,0 +1,282 @@
+import { expect } from 'chai';
+
+import WSServerRoomManager from '../../src/websocket/WSServerRoomManager.mjs';
+import WSServerGameRoom from '../../src/websocket/WSServerGameRoom.mjs';
+import WSServerError from '../../src/websocket/WSServerError.mjs';
+import WorkerGameRoom from '../helpers/WorkerGameRoom.mjs';
+import { createMockClient } from '../helpers/testUtils.mjs';
+
+const roomModule = new URL('../helpers/WorkerGameRoom.mjs', import.meta.url);
+
+// Wait for the messages relayed by the workers
+const waitFor = async (check, timeout = 2000) => {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeout) throw new Error('Timeout');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const sentMessages = client => client.send.getCalls().map(call => JSON.parse(call.args[0]));
+
+const rejection = async promise => {
+  try {
+    await promise;
+  } catch (e) {
+    return e;
+  }
+  expect.fail('Should have rejected');
+};
+
+describe('WSServerWorkerPool', function () {
+  this.timeout(10000);
+
+  let server;
+
+  const connect = id => {
+    const client = createMockClient();
+    server.clients.set(client, { id });
+    return client;
+  };
+
+  beforeEach(() => {
+    server = new WSServerRoomManager({ roomClass: WorkerGameRoom, roomWorkers: 2, roomModule, logLevel: 'none' });
+  });
+
+  afterEach(() => {
+    server.close();
+  });
+
+  describe('Constructor', () => {
+    it('should require a game room class', () => {
+      expect(() => new WSServerRoomManager({ roomWorkers: 1, roomModule, logLevel: 'none' }))
+        .to.throw('Room workers require a game room class');
+    });
+
+    it('should require the room module', () => {
+      expect(() => new WSServerRoomManager({ roomClass: class extends WSServerGameRoom {}, roomWorkers: 1, logLevel: 'none' }))
+        .to.throw('The roomModule option is required to run the rooms in workers');
+    });
+
+    it('should not start any worker before the first room', () => {
+      expect(server.roomWorkerPool.workers).to.have.length(0);
+    });
+  });
+
+  describe('Hooks', () => {
+    it('should create and join the room with the metadata of the worker hooks', async () => {
+      const client = connect('c1');
+
+      const pending = server.clientCreateRoom({ name: 'arena' }, server.clients.get(client), client);
+      expect(pending).to.be.a('promise');
+      const response = await pending;
+
+      expect(response.name).to.equal('arena');
+      expect(server.getRoomMeta('arena')).to.deep.include({ level: 2 });
+      expect(server.clients.get(client).team).to.equal('red');
+      expect(server.roomWorkerPool.workers).to.have.length(1);
+    });
+
+    it('should abort the creation and reject the join from the worker', async () => {
+      const client = connect('c1');
+
+      const aborted = await rejection(server.clientCreateRoom({ name: 'arena', msg: 'abort' }, server.clients.get(client), client));
+      expect(aborted).to.be.instanceOf(WSServerError).with.property('message', 'Room creation aborted');
+      const forbidden = await rejection(server.clientCreateRoom({ name: 'arena', msg: 'forbidden' }, server.clients.get(client), client));
+      expect(forbidden).to.be.instanceOf(WSServerError).with.property('message', 'Not allowed');
+
+      server.createRoom('arena');
+      const other = connect('c2');
+      const refused = await rejection(server.clientJoinRoom({ name: 'arena', msg: 'no-seat' }, server.clients.get(other), other));
+      expect(refused).to.be.instanceOf(WSServerError).with.property('message', 'No seat');
+      expect(server.rooms.has('arena')).to.be.true;
+    });
+
+    it('should create a room with its onCreate hook from the server', async () => {
+      const roomName = await server.createRoom('arena', true);
+
+      expect(roomName).to.equal('arena');
+      expect(server.getRoomMeta('arena')).to.deep.include({ level: 2 });
+    });
+
+    it('should not join a client that disconnected while onJoin was pending', async () => {
+      const owner = connect('c1');
+      await server.clientCreateRoom({ name: 'arena' }, server.clients.get(owner), owner);
+      const client = connect('c2');
+
+      const pending = server.clientJoinRoom({ name: 'arena' }, server.clients.get(client), client);
+      server.onClose(client);
+
+      expect(await rejection(pending)).to.have.property('message', 'Client disconnected');
+      expect(server.rooms.get('arena').chan.clients.has(client)).to.be.false;
+    });
+
+    it('should use the onSendClient hook of the worker', async () => {
+      const client = connect('c1');
+      const response = await server.clientCreateRoom({ name: 'arena' }, server.clients.get(client), client);
+
+      const clients = sentMessages(client).filter(msg => msg.action === 'pub' && msg.chan === '__room-arena-clients');
+
+      expect(response.clients).to.deep.equal([{ id: 'c1', team: 'red' }]);
+      expect(clients.at(-1).msg).to.deep.equal([{ id: 'c1', team: 'red' }]);
+    });
+
+    it('should publish the views changed in the worker', async () => {
+      const client = connect('c1');
+      await server.clientCreateRoom({ name: 'arena' }, server.clients.get(client), client);
+      client.send.resetHistory();
+
+      server.onMessage(client, JSON.stringify({ action: 'pub-room-cmd', room: 'arena', cmd: 'team', msg: 'blue' }));
+
+      await waitFor(() => client.send.called);
+      const [clients] = sentMessages(client).filter(msg => msg.action === 'pub' && msg.chan === '__room-arena-clients');
+      expect(clients.msg).to.deep.equal([{ id: 'c1', team: 'blue' }]);
+    });
+
+    it('should get the stats of the rooms from the workers', async () => {
+      const client = connect('c1');
+      await server.clientCreateRoom({ name: 'arena' }, server.clients.get(client), client);
+
+      expect(server.getRoomsStats().rooms.arena).to.include({ frames: 0, patches: 0 });
+    });
+
+    it('should not block the main thread while a worker is busy', async () => {
+      const client = connect('c1');
+      await server.clientCreateRoom({ name: 'arena' }, server.clients.get(client), client);
+      server.onMessage(client, JSON.stringify({ action: 'pub-room-cmd', room: 'arena', cmd: 'busy', msg: 200 }));
+
+      const other = connect('c2');
+      const start = Date.now();
+      const pending = server.clientJoinRoom({ name: 'arena' }, server.clients.get(other), other);
+      server.prepareRoomList();
+      server.getRoomsStats();
+
+      expect(Date.now() - start).to.be.below(100);
+      expect((await pending).name).to.equal('arena');
+    });
+
+    it('should reject the pending calls of a crashed worker', async () => {
+      const client = connect('c1');
+      await server.clientCreateRoom({ name: 'arena' }, server.clients.get(client), client);
+      server.onMessage(client, JSON.stringify({ action: 'pub-room-cmd', room: 'arena', cmd: 'busy', msg: 200 }));
+
+      const other = connect('c2');
+      const pending = server.clientJoinRoom({ name: 'arena' }, server.clients.get(other), other);
+      server.roomWorkerPool.workers[0].worker.terminate();
+      const error = await rejection(pending);
+
+      expect(error).to.be.instanceOf(WSServerError).with.property('message', 'Room unavailable');
+      expect(server.rooms.has('arena')).to.be.false;
+    });
+  });
+
+  describe('Messages', () => {
+    let client1, client2;
+
+    beforeEach(async () => {
+      client1 = connect('c1');
+      client2 = connect('c2');
+      await server.clientCreateRoom({ name: 'arena' }, server.clients.get(client1), client1);
+      await server.clientJoinRoom({ name: 'arena' }, server.clients.get(client2), client2);
+      client1.send.resetHistory();
+      client2.send.resetHistory();
+    });
+
+    it('should relay the broadcasts of the room to its clients', async () => {
+      server.onMessage(client1, JSON.stringify({ action: 'pub-room', room: 'arena', msg: 'hello' }));
+
+      await waitFor(() => client2.send.called);
+      expect(sentMessages(client2)[0].msg).to.deep.equal({ echo: 'hello', from: 'c1', clients: 2 });
+      expect(sentMessages(client1)[0].msg).to.deep.equal({ echo: 'hello', from: 'c1', clients: 2 });
+    });
+
+    it('should relay the commands sent to one client', async () => {
+      server.onMessage(client2, JSON.stringify({ action: 'pub-room-cmd', room: 'arena', cmd: 'ping', msg: 1 }));
+
+      await waitFor(() => client2.send.called);
+      expect(sentMessages(client2)[0].msg).to.deep.equal({ cmd: 'pong', data: { msg: 1, team: 'red', room: 'arena' } });
+      expect(client1.send.called).to.be.false;
+    });
+
+    it('should reject the unknown commands on the main thread', () => {
+      server.onMessage(client1, JSON.stringify({ action: 'pub-room-cmd', room: 'arena', cmd: 'unknown', msg: 1 }));
+
+      expect(sentMessages(client1)[0].msg).to.equal('Unknown command');
+    });
+
+    it('should report the errors of the worker to the client', async () => {
+      server.onMessage(client1, JSON.stringify({ action: 'room-input', room: 'arena', seq: 1, input: 'a' }));
+      server.onMessage(client1, JSON.stringify({ action: 'room-input', room: 'arena', seq: 1, input: 'b' }));
+
+      await waitFor(() => client1.send.called);
+      expect(sentMessages(client1)[0]).to.deep.include({ action: 'error', msg: 'Input rejected' });
+    });
+
+    it('should relay the room messages to the spectators', async () => {
+      const spectator = connect('s1');
+      const refused = await rejection(server.clientSpectateRoom({ name: 'arena', msg: 'no-seat' }, server.clients.get(spectator), spectator));
+      expect(refused).to.be.instanceOf(WSServerError).with.property('message', 'No seat');
+      await server.clientSpectateRoom({ name: 'arena' }, server.clients.get(spectator), spectator);
+      expect(server.clients.get(spectator).team).to.equal('spectator');
+      spectator.send.resetHistory();
+
+      server.onMessage(client1, JSON.stringify({ action: 'pub-room-cmd', room: 'arena', cmd: 'watchers', msg: 1 }));
+      await waitFor(() => spectator.send.called);
+      expect(sentMessages(spectator)[0].msg).to.deep.equal({ cmd: 'watchers', data: ['s1'] });
+
+      server.onMessage(client1, JSON.stringify({ action: 'pub-room', room: 'arena', msg: 'hello' }));
+      await waitFor(() => spectator.send.callCount === 2);
+      expect(sentMessages(spectator)[1].msg).to.deep.equal({ echo: 'hello', from: 'c1', clients: 2 });
+    });
+
+    it('should kick and ban the clients from the worker', async () => {
+      server.onMessage(client1, JSON.stringify({ action: 'pub-room-cmd', room: 'arena', cmd: 'ban', msg: 'c2' }));
+
+      await waitFor(() => !server.rooms.get('arena').chan.clients.has(client2));
+      expect(sentMessages(client2)[0].msg).to.deep.equal({ cmd: '__kicked', data: { reason: 'Cheating', banned: true } });
+      expect(server.isClientBanned('arena', 'c2')).to.be.true;
+      expect(() => server.clientJoinRoom({ name: 'arena' }, server.clients.get(client2), client2))
+        .to.throw(WSServerError, 'Banned from room');
+    });
+  });
+
+  describe('Pool', () => {
+    it('should spread the rooms on the least loaded workers', async () => {
+      for (const name of ['a', 'b', 'c']) {
+        const client = connect(name);
+        await server.clientCreateRoom({ name }, server.clients.get(client), client);
+      }
+
+      expect(server.roomWorkerPool.workers.map(entry => entry.rooms.size)).to.deep.equal([2, 1]);
+    });
+
+    it('should release the room of its worker when deleted', async () => {
+      const client = connect('c1');
+      await server.clientCreateRoom({ name: 'arena' }, server.clients.get(client), client);
+
+      server.removeClientFromRoom('arena', client);
+
+      expect(server.rooms.has('arena')).to.be.false;
+      expect(server.roomWorkerPool.workers[0].rooms.size).to.equal(0);
+    });
+
+    it('should only delete the rooms of a crashed worker', async () => {
+      const clients = [];
+      for (const name of ['a', 'b']) {
+        const client = connect(name);
+        await server.clientCreateRoom({ name }, server.clients.get(client), client);
+        clients.push(client);
+      }
+
+      server.onMessage(clients[0], JSON.stringify({ action: 'pub-room-cmd', room: 'a', cmd: 'crash', msg: null }));
+
+      await waitFor(() => !server.rooms.has('a'));
+      expect(server.rooms.has('b')).to.be.true;
+      expect(server.roomWorkerPool.workers).to.have.length(1);
+
+      const client = connect('c');
+      await server.clientCreateRoom({ name: 'c' }, server.clients.get(client), client);
+      expect(server.roomWorkerPool.workers).to.have.length(2);
+    });
+  });
+});